@@ -1,3 +1,5 @@
+import { Hasher } from '../util/hasher.js'
+
 /**
  * Given any object and a function, or a named property of a function within
  * the supplied object, a callable proxy is returned. This proxy can reference
@@ -38,6 +40,78 @@
  * // Might look like ['Doe, Jane', 'Smith, Sally Joanne']
  */
 export class Callable {
+  /**
+   * @private
+   * The interceptors wrapped around each invocation, outermost first. See
+   * {@link Callable.use}.
+   */
+  #interceptors = [];
+
+  /**
+   * @private
+   * The proxy returned by the constructor, handed to interceptors.
+   */
+  #proxy = undefined;
+
+  /**
+   * @private
+   * The cache of results when memoizing, otherwise `undefined`.
+   */
+  #cache = undefined;
+
+  /**
+   * @private
+   * How many promises returned by the target may be unsettled at once.
+   */
+  #concurrency = Infinity;
+
+  /**
+   * @private
+   * How many promises returned by the target are unsettled.
+   */
+  #running = 0;
+
+  /**
+   * @private
+   * Invocations waiting for one of the running promises to settle.
+   */
+  #queue = [];
+
+  /**
+   * @private
+   * The name of the target, for error messages.
+   */
+  #name = undefined;
+
+  /**
+   * @private
+   * The zod schemas validating the arguments and the return value, if any.
+   */
+  #schemas = {};
+
+  /**
+   * @private
+   * The function given to the constructor, or the method it named, before
+   * any conversion of arrow functions.
+   */
+  #original = undefined;
+
+  /**
+   * @private
+   * How many arguments the target declares, not counting the handler
+   * received by arrow functions.
+   */
+  #arity = 0;
+
+  /**
+   * @private
+   * The function the proxy wraps. Its own `name` and `length` describe the
+   * target, its prototype supplies function-like fallbacks and it mirrors
+   * whatever of the handler the proxy invariants require; see
+   * {@link Callable#mirror}.
+   */
+  #target = undefined;
+
   /**
    * Constructs a `Callable` object that wraps a function or an object's method
    * with a `Proxy` to enable custom behavior when the function is called.
@@ -45,6 +119,20 @@ export class Callable {
    * @param {Object} object - The object to which the callable is bound.
    * @param {Function|string} callablePropertyOrFunction - The function or the
    *        name of the method in the object to be called.
+   * @param {Object} [options={}] - Additional options.
+   * @param {boolean|Object|CallableCache} [options.memoize] - Caches results
+   *        by their arguments; `true` for a default {@link CallableCache},
+   *        or the options for one, or a cache to use. The cache is cleared
+   *        whenever a property of the handler is set, defined or deleted
+   *        through the callable.
+   * @param {number} [options.concurrency=Infinity] - How many promises
+   *        returned by the target may be unsettled at once; further calls
+   *        are queued in order, so every call returns a promise.
+   * @param {Object} [options.args] - A zod schema, typically a `z.tuple`,
+   *        validating and parsing the list of arguments of each call; see
+   *        {@link Callable.typed}.
+   * @param {Object} [options.returns] - A zod schema validating and parsing
+   *        the value returned, or the value a returned promise resolves to.
    * @throws {Error} If the first parameter is not an object or if the specified
    *         callable is not a function or a valid method of the object.
    * @returns {Proxy} A proxy that wraps the callable for custom behavior.
@@ -66,8 +154,40 @@ export class Callable {
    * }
    * const callable = new Callable({}, greet)
    * callable() // Outputs: Hello, world!
+   *
+   * @example
+   * // Memoizing a derivation of the handler
+   * const fullName = new Callable(person, function () {
+   *   return `${this.firstName} ${this.lastName}`
+   * }, { memoize: { maxSize: 1 } })
+   *
+   * fullName()                 // computed
+   * fullName()                 // cached
+   * fullName.lastName = 'Doe'  // clears the cache
+   *
+   * @example
+   * // Async targets, at most two in flight, the rest queued
+   * const load = new Callable(api, async function (id, signal) {
+   *   return (await fetch(`${this.base}/${id}`, { signal })).json()
+   * }, { concurrency: 2 })
+   *
+   * const controller = new AbortController()
+   * const users = [1, 2, 3].map((id) => load(id, controller.signal))
+   *
+   * load[Callable.kPending]  // 3
+   * controller.abort()       // rejects all three with the abort reason
+   *
+   * @example
+   * // Generator targets can be iterated directly
+   * const pages = new Callable(api, async function* () {
+   *   for (let page = 1; page <= this.pages; page++)
+   *     yield this.fetchPage(page)
+   * })
+   *
+   * for await (const page of pages)
+   *   console.log(page)
    */
-  constructor(object, callablePropertyOrFunction) {
+  constructor(object, callablePropertyOrFunction, options = {}) {
     this.targetFunction = undefined
 
     // Validate that the first parameter is an object
@@ -90,10 +210,15 @@ export class Callable {
       this.targetFunction = callablePropertyOrFunction
     }
 
+    this.#original = this.targetFunction
+    this.#arity = this.targetFunction.length
+
     // If the target function is a big arrow function, convert it to
     // a bindable function. Note that big arrow functions will receive
     // the handler as its first parameter; so account for that.
-    if (!Reflect.has(this.targetFunction, 'prototype')) {
+    if (isArrowFunction(this.targetFunction)) {
+      this.#arity = Math.max(this.#arity - 1, 0)
+
       const arrowFunction = this.targetFunction
 
       this.targetFunction = function (...args) {
@@ -104,14 +229,54 @@ export class Callable {
     // Store the object to bind the callable to
     this.handler = object
 
+    this.#name = typeof callablePropertyOrFunction === 'function'
+      ? callablePropertyOrFunction.name || 'anonymous'
+      : String(callablePropertyOrFunction)
+
+    const { memoize, concurrency = Infinity, args, returns } = options
+
+    for (const schema of [args, returns]) {
+      if (schema !== undefined && !isSchema(schema))
+        throw new TypeError('Callable args and returns must be zod schemas')
+    }
+
+    this.#schemas = { args, returns }
+
+    if (!(concurrency >= 1) || concurrency % 1) {
+      throw new TypeError(
+        'Callable concurrency must be a positive integer or Infinity'
+      )
+    }
+
+    this.#concurrency = concurrency
+
+    if (memoize) {
+      this.#cache = memoize instanceof CallableCache
+        ? memoize
+        : new CallableCache(memoize === true ? {} : memoize)
+    }
+
     // Create and return a proxy that wraps the callable
-    return new Proxy(
-      (...args) => this.targetFunction.apply(this.handler, args),
+    this.#target = (...args) => this.targetFunction.apply(this.handler, args)
+
+    Object.defineProperties(this.#target, {
+      name: { value: this.#original.name },
+      length: { value: this.#arity },
+    })
+    Object.setPrototypeOf(this.#target, Callable.#prototype)
+
+    this.#proxy = new Proxy(
+      this.#target,
       this.#proxyTraps(this.handler, this.targetFunction),
     )
+
+    return this.#proxy
   }
 
   #proxyTraps(handler, actualCallable) {
+    const interceptors = this.#interceptors
+    const callable = this
+
     return {
       /**
        * Traps the `get` operation on the proxy object.
@@ -120,6 +285,10 @@ export class Callable {
        * It uses the `Reflect.get` method to retrieve the property value from
        * the `handler` object, ensuring that the correct rules of JavaScript
        * property access are followed, such as invoking getters if they exist.
+       * Properties the handler lacks fall back to those of a function; the
+       * `name` and `length` of the target, `call`, `apply` and `bind`, and a
+       * `toString` returning the target's source, which also replaces the
+       * handler's when it is merely `Object.prototype.toString`.
        *
        * @param {Object} target - The target object for the proxy (unused).
        * @param {string|Symbol} property - The name or Symbol of the property
@@ -137,9 +306,38 @@ export class Callable {
       get(_, property, receiver) {
         if (property === Callable.kHandler) return handler
 
+        if (property === kInstance) return callable
+
         if (property === Callable.kFunction) return actualCallable
 
-        return Reflect.get(handler, property, receiver)
+        if (property === Callable.kOverloads)
+          return actualCallable[Callable.kOverloads]
+
+        if (property === Callable.kInterceptors) return interceptors
+
+        if (property === Callable.kCache) return callable.#cache
+
+        if (property === Callable.kArgs) return callable.#schemas.args
+
+        if (property === Callable.kReturns) return callable.#schemas.returns
+
+        if (property === Callable.kPending)
+          return callable.#running + callable.#queue.length
+
+        if (
+          isIterationOf(actualCallable, property) &&
+          !Reflect.has(handler, property)
+        ) {
+          return () => callable.#proxy()
+        }
+
+        if (callable.#owns(property))
+          return Reflect.get(handler, property, receiver)
+
+        if (callable.#isVirtual(property))
+          return Reflect.get(callable.#target, property)
+
+        return Reflect.get(Callable.#prototype, property, receiver)
       },
 
       /**
@@ -148,7 +346,8 @@ export class Callable {
        * This trap is invoked when a property value is set on the proxy object.
        * It uses the `Reflect.set` method to accurately assign the value to the
        * `handler` object, ensuring that the correct rules of JavaScript are
-       * followed, such as invoking setters if they exist.
+       * followed, such as invoking setters if they exist. Setters run with the
+       * `handler` as `this` when the proxy itself is the receiver.
        *
        * @param {Object} target - The target object for the proxy (unused).
        * @param {string} property - The name of the property to set.
@@ -165,7 +364,18 @@ export class Callable {
        * // This sets `someProperty` on `handler` to 'newValue'.
        */
       set(_, property, value, receiver) {
-        return Reflect.set(handler, property, value, receiver)
+        callable.#cache?.clear()
+
+        const assigned = Reflect.set(
+          handler,
+          property,
+          value,
+          receiver === callable.#proxy ? handler : receiver,
+        )
+
+        callable.#mirror(property)
+
+        return assigned
       },
 
       /**
@@ -173,7 +383,8 @@ export class Callable {
        *
        * This trap is invoked when the `in` operator is used to determine if a
        * property exists on the proxy object. It delegates the operation to the
-       * `handler` object to check for the property's existence.
+       * `handler` object to check for the property's existence, and then to
+       * the function-like fallbacks described for the `get` trap.
        *
        * @param {Object} target - The target object for the proxy.
        * @param {string} property - The name of the property to check for.
@@ -187,7 +398,13 @@ export class Callable {
        * // `hasProperty` is true if `exampleProperty` exists on `handler`.
        */
       has(_, property) {
-        return Reflect.has(handler, property)
+        callable.#prune()
+
+        return (
+          Reflect.has(handler, property) ||
+          callable.#isVirtual(property) ||
+          Reflect.has(Callable.#prototype, property)
+        )
       },
 
       /**
@@ -195,7 +412,8 @@ export class Callable {
        *
        * This trap is invoked when a property is attempted to be deleted from
        * the proxy object using the `delete` operator. It delegates the deletion
-       * to the `handler` object's property.
+       * to the `handler` object's property, or to the target for its `name`
+       * and `length` when the handler has none.
        *
        * @param {Object} target - The target object for the proxy.
        * @param {string} property - The name of the property to delete.
@@ -209,7 +427,16 @@ export class Callable {
        * // The `exampleProperty` is deleted from `handler`.
        */
       deleteProperty(target, property) {
-        return Reflect.deleteProperty(this.handler, property)
+        callable.#cache?.clear()
+
+        if (callable.#isVirtual(property))
+          return Reflect.deleteProperty(target, property)
+
+        const deleted = Reflect.deleteProperty(handler, property)
+
+        callable.#mirror(property)
+
+        return deleted
       },
 
       /**
@@ -218,7 +445,8 @@ export class Callable {
        * `apply` method. It delegates the call to the actual callable function
        * or method stored in the `actualCallable` variable, using the provided
        * `thisArg` as the `this` value, or the `handler` if `thisArg` is not
-       * provided.
+       * provided. Any interceptors registered with {@link Callable.use} run
+       * around the call.
        *
        * @param {Object} target - The target object for the proxy.
        * @param {Object} thisArg - The `this` argument for the call.
@@ -232,7 +460,40 @@ export class Callable {
        * // `result` is the return value of `myFunction(arg1, arg2)`.
        */
       apply(_, thisArg, argumentsList) {
-        return actualCallable.call(handler || thisArg, ...argumentsList)
+        const self = handler || thisArg
+        const cache = callable.#cache
+        const schemas = callable.#schemas
+        const schedule = (args) => callable.#returning(self, callable.#schedule(
+          () => actualCallable.apply(self, args),
+          args.at(-1) instanceof AbortSignal ? args.at(-1) : undefined,
+        ))
+        const call = (given) => {
+          const args = schemas.args
+            ? [...callable.#validate(self, 'arguments', schemas.args, given)]
+            : given
+
+          return cache
+            ? memoized(cache, args, () => schedule(args))
+            : schedule(args)
+        }
+
+        if (!interceptors.length)
+          return call(argumentsList)
+
+        const context = {
+          callable: callable.#proxy,
+          handler: self,
+          target: actualCallable,
+          args: argumentsList,
+          [Callable.kHandler]: self,
+          [Callable.kFunction]: actualCallable,
+        }
+
+        return intercept(
+          [...interceptors],
+          context,
+          () => call(context.args),
+        )
       },
 
       /**
@@ -308,7 +569,9 @@ export class Callable {
        *
        * This trap is called when `Object.isExtensible()` is invoked on the
        * proxy object. It allows checking whether new properties can be added
-       * to the handler object or not.
+       * to the handler object or not. As proxies must report the
+       * extensibility of their target, a handler found to be non-extensible
+       * is first mirrored onto the target, which is then made so as well.
        *
        * @param {Object} target - The target object for the proxy.
        * @returns {boolean} A boolean indicating whether the handler object
@@ -322,7 +585,9 @@ export class Callable {
        * // the `handler` object.
        */
       isExtensible(target) {
-        return Reflect.isExtensible(handler)
+        callable.#syncExtensibility()
+
+        return Reflect.isExtensible(target)
       },
 
       /**
@@ -331,7 +596,8 @@ export class Callable {
        *
        * This trap is called when `Object.preventExtensions()` is invoked on
        * the proxy object. It ensures that no new properties can be added to
-       * the handler object, effectively making it non-extensible.
+       * the handler object, effectively making it non-extensible, and then
+       * mirrors the handler onto the target, which is made non-extensible too.
        *
        * @param {Object} target - The target object for the proxy.
        * @returns {boolean} A boolean indicating whether the handler object
@@ -345,7 +611,10 @@ export class Callable {
        * // non-extensible.
        */
       preventExtensions(target) {
-        return Reflect.preventExtensions(handler)
+        Reflect.preventExtensions(handler)
+        callable.#syncExtensibility()
+
+        return !Reflect.isExtensible(target)
       },
 
       /**
@@ -355,13 +624,15 @@ export class Callable {
        * This trap is called when `Object.getOwnPropertyDescriptor()` is
        * invoked on the proxy object. It allows the retrieval of the
        * descriptor for a specific property, which includes attributes like
-       * value, writability, enumerability, and configurability.
+       * value, writability, enumerability, and configurability. Descriptors
+       * come from the `handler`, or from the target for its `name` and
+       * `length` when the handler has none, matching the `ownKeys` trap.
        *
        * @param {Object} target - The target object for the proxy.
        * @param {string | Symbol} property - The name or Symbol of the property
        * whose descriptor is to be retrieved.
        * @returns {PropertyDescriptor | undefined} The property descriptor of
-       * the specified property if it exists on the target object, otherwise
+       * the specified property if it exists on the handler object, otherwise
        * `undefined`.
        *
        * @example
@@ -375,7 +646,12 @@ export class Callable {
        * // exists on the `handler` object.
        */
       getOwnPropertyDescriptor(target, property) {
-        return Object.getOwnPropertyDescriptor(target, property)
+        if (callable.#isVirtual(property))
+          return Reflect.getOwnPropertyDescriptor(target, property)
+
+        callable.#mirror(property)
+
+        return Reflect.getOwnPropertyDescriptor(handler, property)
       },
 
       /**
@@ -384,7 +660,8 @@ export class Callable {
        * This trap is called internally by Object.defineProperty() and similar
        * methods when they are invoked on the proxy object. It allows the
        * definition of new properties or modification of existing ones on the
-       * proxy's handler object.
+       * proxy's handler object, or on the target for its `name` and `length`
+       * when the handler has none.
        *
        * @param {Object} target - The target object for the proxy.
        * @param {string | Symbol} property - The name or Symbol of the property
@@ -408,17 +685,27 @@ export class Callable {
        * // the value 42.
        */
       defineProperty(target, property, descriptor) {
-        return Reflect.defineProperty(handler, property, descriptor)
+        callable.#cache?.clear()
+
+        if (callable.#isVirtual(property))
+          return Reflect.defineProperty(target, property, descriptor)
+
+        const defined = Reflect.defineProperty(handler, property, descriptor)
+
+        callable.#mirror(property)
+
+        return defined
       },
 
       /**
        * Traps the `ownKeys` operation which is called when Object.keys(),
        * Object.getOwnPropertyNames(), or Object.getOwnPropertySymbols() are
        * used. This method intercepts these calls and returns the list of
-       * own property keys of the proxy target.
+       * own property keys of the handler, followed by the `length` and
+       * `name` of the target when the handler has none.
        *
        * @param {Object} target - The target object for the proxy.
-       * @returns {Array} An array of the target object's own property keys.
+       * @returns {Array} An array of the handler object's own property keys.
        *
        * @example
        * // Assuming `callableInstance` is an instance of a class that uses
@@ -427,42 +714,261 @@ export class Callable {
        * // `keys` will contain all own property keys of `callableInstance`.
        */
       ownKeys(target) {
-        return Reflect.ownKeys(handler)
+        callable.#prune()
+
+        return [
+          ...Reflect.ownKeys(handler),
+          ...Reflect.ownKeys(target).filter((key) => (
+            callable.#isVirtual(key)
+          )),
+        ]
       },
     }
   }
 
+  /**
+   * Determines whether a property is read from the handler; any it has, save
+   * a `toString` that is merely `Object.prototype.toString`.
+   *
+   * @param {string|symbol} property the property looked up.
+   * @returns {boolean} `true` if the handler provides the property.
+   */
+  #owns(property) {
+    if (!Reflect.has(this.handler, property))
+      return false
+
+    return (
+      property !== 'toString' ||
+      Reflect.get(this.handler, property) !== Object.prototype.toString
+    )
+  }
+
+  /**
+   * Determines whether a property is one of the target's own, `name` or
+   * `length`, that the proxy reports when the handler has no such property.
+   *
+   * @param {string|symbol} property the property looked up.
+   * @returns {boolean} `true` if the target supplies the property.
+   */
+  #isVirtual(property) {
+    return (
+      (property === 'name' || property === 'length') &&
+      !Reflect.has(this.handler, property) &&
+      Object.hasOwn(this.#target, property)
+    )
+  }
+
+  /**
+   * Copies the handler's own property onto the target whenever the proxy
+   * invariants require the target to have it; when it is non-configurable,
+   * or when the target is no longer extensible. Properties the handler no
+   * longer has are removed from the target.
+   *
+   * @param {string|symbol} property the property to mirror.
+   */
+  #mirror(property) {
+    const target = this.#target
+
+    if (this.#isVirtual(property))
+      return
+
+    const descriptor = Reflect.getOwnPropertyDescriptor(this.handler, property)
+
+    if (!descriptor)
+      Reflect.deleteProperty(target, property)
+    else if (!descriptor.configurable || !Reflect.isExtensible(target))
+      Reflect.defineProperty(target, property, descriptor)
+  }
+
+  /**
+   * Mirrors every property of the target once it is no longer extensible,
+   * dropping those since deleted from the handler.
+   */
+  #prune() {
+    if (Reflect.isExtensible(this.#target))
+      return
+
+    for (const property of Reflect.ownKeys(this.#target))
+      this.#mirror(property)
+  }
+
+  /**
+   * Makes the target non-extensible once the handler is, after copying the
+   * handler's own properties and prototype onto it; proxies must report the
+   * extensibility, keys and prototype of non-extensible targets faithfully.
+   */
+  #syncExtensibility() {
+    const target = this.#target
+
+    if (Reflect.isExtensible(this.handler) || !Reflect.isExtensible(target))
+      return
+
+    for (const property of Reflect.ownKeys(this.handler)) {
+      Reflect.defineProperty(
+        target,
+        property,
+        Reflect.getOwnPropertyDescriptor(this.handler, property),
+      )
+    }
+
+    Reflect.setPrototypeOf(target, Reflect.getPrototypeOf(this.handler))
+    Reflect.preventExtensions(target)
+  }
+
+  /**
+   * Invokes the target now, or queues the invocation while `concurrency`
+   * promises returned by the target are unsettled. When the arguments end
+   * with an `AbortSignal`, aborting it rejects the returned promise with the
+   * signal's reason, removing the call from the queue if it has not
+   * started, and ends async iterators returned by the target. The target
+   * itself receives the signal to stop any work already under way.
+   *
+   * @param {Function} invoke calls the target.
+   * @param {AbortSignal} [signal] the signal passed as the last argument.
+   * @returns {*} the result of the target, or a promise of it.
+   */
+  #schedule(invoke, signal) {
+    if (signal?.aborted)
+      return Promise.reject(signal.reason)
+
+    if (this.#running < this.#concurrency && !this.#queue.length)
+      return this.#start(invoke, signal)
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        start: () => {
+          signal?.removeEventListener('abort', abort)
+
+          try {
+            resolve(this.#start(invoke, signal))
+          }
+          catch (error) {
+            reject(error)
+          }
+        },
+      }
+
+      const abort = () => {
+        this.#queue = this.#queue.filter((each) => each !== entry)
+        reject(signal.reason)
+      }
+
+      signal?.addEventListener('abort', abort, { once: true })
+      this.#queue.push(entry)
+    })
+  }
+
+  /**
+   * Invokes the target, tracking the promise it returns, if any, until it
+   * settles and the next queued invocation may start.
+   *
+   * @param {Function} invoke calls the target.
+   * @param {AbortSignal} [signal] the signal passed as the last argument.
+   * @returns {*} the result of the target, made abortable by `signal`.
+   */
+  #start(invoke, signal) {
+    const result = invoke()
+
+    if (signal && typeof result?.[Symbol.asyncIterator] === 'function')
+      return abortableIterator(result, signal)
+
+    if (!isThenable(result))
+      return result
+
+    const settle = () => {
+      this.#running--
+
+      while (this.#running < this.#concurrency && this.#queue.length)
+        this.#queue.shift().start()
+    }
+
+    this.#running++
+    Promise.resolve(result).then(settle, settle)
+
+    return signal ? abortable(result, signal) : result
+  }
+
+  /**
+   * Validates a value against a schema, naming the handler and the target
+   * when it fails.
+   *
+   * @param {Object} handler the object the call is bound to.
+   * @param {string} subject what is validated, for the error message.
+   * @param {Object} schema a zod schema.
+   * @param {*} value the value to validate.
+   * @returns {*} the value as parsed by the schema.
+   * @throws {CallableTypeError} if the value does not satisfy the schema.
+   */
+  #validate(handler, subject, schema, value) {
+    const result = schema.safeParse(value)
+
+    if (!result.success) {
+      throw new CallableTypeError(
+        subject, this.#name, handler, value, result.error.issues,
+      )
+    }
+
+    return result.data
+  }
+
+  /**
+   * Validates the result of the target against the `returns` schema, once
+   * settled if it is a promise.
+   *
+   * @param {Object} handler the object the call is bound to.
+   * @param {*} result the result of the target.
+   * @returns {*} the result as parsed by the schema, or a promise of it.
+   * @throws {CallableTypeError} if the result does not satisfy the schema.
+   */
+  #returning(handler, result) {
+    const { returns } = this.#schemas
+
+    if (!returns)
+      return result
+
+    return isThenable(result)
+      ? result.then((value) => (
+        this.#validate(handler, 'return value', returns, value)
+      ))
+      : this.#validate(handler, 'return value', returns, result)
+  }
+
   /**
    * A getter for the default string description of the object, which is used
    * in the object-to-string conversion process. It is accessed internally
    * by the `Object.prototype.toString` method.
    *
-   * @returns {string} The name of the object if available, the name of the
-   * constructor if the object name is not available, or the string 'Callable'
-   * as a default value.
+   * The callable proxy reports it unless its handler defines its own.
+   *
+   * @returns {string} The `name` of the handler if it is a string, the name
+   * of the handler's constructor otherwise, or the string 'Callable' as a
+   * default value.
    *
    * @example
-   * // If the object has a name property
-   * const callable = new Callable()
-   * callable.object = { name: 'MyCallable' }
+   * // If the handler has a name property
+   * const callable = new Callable({ name: 'MyCallable' }, () => {})
    * console.log(Object.prototype.toString.call(callable))
    * // expected output: "[object MyCallable]"
    *
    * @example
-   * // If the object does not have a name property, but its constructor does
-   * const callable = new Callable()
-   * callable.object = new (class SomeCallable {})
+   * // If the handler does not have a name property, but its constructor does
+   * const callable = new Callable(new (class SomeCallable {}), () => {})
    * console.log(Object.prototype.toString.call(callable))
    * // expected output: "[object SomeCallable]"
    *
    * @example
-   * // If neither the object nor its constructor have a name property
-   * const callable = new Callable()
+   * // If neither the handler nor its constructor have a name
+   * const callable = new Callable(Object.create(null), () => {})
    * console.log(Object.prototype.toString.call(callable))
    * // expected output: "[object Callable]"
    */
   get [Symbol.toStringTag]() {
-    return this.object?.name ?? this.object?.constructor.name ?? 'Callable'
+    const name = this.handler?.name
+
+    if (typeof name === 'string' && name)
+      return name
+
+    return this.handler?.constructor?.name || 'Callable'
   }
 
   /**
@@ -502,4 +1008,1339 @@ export class Callable {
   static get kFunction() {
     return Symbol.for('callable.function')
   }
+
+  /**
+   * Determines whether a value is a callable proxy created by `Callable`,
+   * as the proxies themselves inherit from their handlers.
+   *
+   * @param {*} value the value to test.
+   * @returns {boolean} `true` if `value` is a `Callable`.
+   *
+   * @example
+   * const callable = new Callable(new Person(), 'fullName')
+   * callable instanceof Callable  // true
+   * callable instanceof Person    // true
+   */
+  static [Symbol.hasInstance](value) {
+    return Callable.#instanceOf(value) !== undefined
+  }
+
+  /**
+   * @private
+   * The prototype of every proxy target, supplying the fallbacks of the
+   * `get` trap and the description `util.inspect` shows in Node.js, which
+   * inspects the target rather than the proxy.
+   */
+  static #prototype = Object.create(Function.prototype, {
+    toString: {
+      value: function toString() {
+        const instance = Callable.#instanceOf(this)
+
+        return Function.prototype.toString.call(instance?.#original ?? this)
+      },
+      writable: true,
+      configurable: true,
+    },
+
+    [Symbol.toStringTag]: {
+      get() {
+        return Callable.#instanceOf(this)?.[Symbol.toStringTag] ?? 'Callable'
+      },
+      configurable: true,
+    },
+
+    [Symbol.for('nodejs.util.inspect.custom')]: {
+      value: function inspect(depth, options, inspect) {
+        const instance = Callable.#instanceOf(this)
+        const label = `[Callable: ${instance?.#original.name || 'anonymous'}]`
+
+        if (!instance || depth < 0)
+          return label
+
+        return `${label} ${inspect(instance.handler, { ...options, depth })}`
+      },
+      writable: true,
+      configurable: true,
+    },
+  });
+
+  /**
+   * Callables created with {@link Callable.overloaded} return their
+   * {@link CallableOverloads} registry when this constant is used as a key,
+   * so that further overloads can be registered after creation. Other
+   * callables return `undefined`.
+   *
+   * @type {symbol}
+   *
+   * @example
+   * const area = Callable.overloaded(shapes, [[[Number], 'square']])
+   * area[Callable.kOverloads].add([Number, Number], 'rectangle')
+   */
+  static get kOverloads() {
+    return Symbol.for('callable.overloads')
+  }
+
+  /**
+   * A constant key that returns the live list of interceptors of a callable,
+   * outermost first, when used as a key on the callable. Each entry is the
+   * `around` function {@link Callable.use} derived from what it was given.
+   *
+   * @type {symbol}
+   */
+  static get kInterceptors() {
+    return Symbol.for('callable.interceptors')
+  }
+
+  /**
+   * A constant key that returns the {@link CallableCache} of a memoized
+   * callable, or `undefined` for other callables, when used as a key on the
+   * callable; useful to clear it or to evict a single result.
+   *
+   * @type {symbol}
+   *
+   * @example
+   * const lookup = new Callable(api, 'fetchUser', { memoize: true })
+   * lookup[Callable.kCache].delete(42)
+   */
+  static get kCache() {
+    return Symbol.for('callable.cache')
+  }
+
+  /**
+   * A constant key that returns how many invocations of a callable are
+   * pending, when used as a key on the callable; those whose promises are
+   * unsettled plus those queued by the `concurrency` option.
+   *
+   * @type {symbol}
+   */
+  static get kPending() {
+    return Symbol.for('callable.pending')
+  }
+
+  /**
+   * A constant key that returns the zod schema validating the arguments of
+   * a callable, or `undefined`, when used as a key on the callable.
+   *
+   * @type {symbol}
+   */
+  static get kArgs() {
+    return Symbol.for('callable.args')
+  }
+
+  /**
+   * A constant key that returns the zod schema validating the return value
+   * of a callable, or `undefined`, when used as a key on the callable.
+   *
+   * @type {symbol}
+   */
+  static get kReturns() {
+    return Symbol.for('callable.returns')
+  }
+
+  /**
+   * Creates a callable whose arguments and return value are validated with
+   * zod at invocation time. Both are replaced by what the schemas parse, so
+   * coercions, transforms and defaults apply; promises are validated once
+   * they resolve. Failures throw, or reject with, a
+   * {@link CallableTypeError} naming the handler and the function.
+   *
+   * @param {Object} object - The object to which the callable is bound.
+   * @param {Function|string} callablePropertyOrFunction - The function or the
+   *        name of the method in the object to be called.
+   * @param {Object} schemas - The schemas, and any other options for the
+   *        `Callable` constructor.
+   * @param {Object} [schemas.args] - Validates the list of arguments.
+   * @param {Object} [schemas.returns] - Validates the return value.
+   * @returns {Proxy} A callable proxy bound to `object`.
+   * @throws {TypeError} if neither `args` nor `returns` is a zod schema.
+   *
+   * @example
+   * const greet = Callable.typed(person, function (greeting, times) {
+   *   return `${greeting}, ${this.name}`.repeat(times)
+   * }, {
+   *   args: z.tuple([z.string(), z.coerce.number().int()]),
+   *   returns: z.string().max(80),
+   * })
+   *
+   * greet('Hi', '2')  // 'Hi, JaneHi, Jane'
+   * greet(42, 1)
+   * // CallableTypeError: Invalid arguments for anonymous on Object:
+   * // 0: Expected string, received number
+   */
+  static typed(object, callablePropertyOrFunction, schemas = {}) {
+    if (!isSchema(schemas.args) && !isSchema(schemas.returns))
+      throw new TypeError('Callable.typed requires an args or returns schema')
+
+    return new Callable(object, callablePropertyOrFunction, schemas)
+  }
+
+  /**
+   * Composes functions from right to left; see {@link Callable.pipe}, which
+   * takes them in the order they are applied.
+   *
+   * @param {...Function} functions - Callables or plain functions, the last
+   *        of which is applied first.
+   * @returns {Proxy} A callable bound to the handler of the first callable
+   *        applied.
+   *
+   * @example
+   * const shout = Callable.compose((text) => text.toUpperCase(), fullName)
+   * shout()  // 'JANE DOE'
+   */
+  static compose(...functions) {
+    return Callable.pipe(...functions.reverse())
+  }
+
+  /**
+   * Creates a callable passing its arguments to the first function and the
+   * result of each function to the next. Callables keep their own handlers
+   * while plain functions receive the handler of the pipeline as `this`;
+   * that of the first callable applied, which the pipeline is bound to. A
+   * step returning a promise makes the following steps wait for it.
+   *
+   * @param {...Function} functions - Callables or plain functions, in the
+   *        order they are applied.
+   * @returns {Proxy} A callable bound to the handler of the first callable
+   *        applied.
+   * @throws {TypeError} if no function is a `Callable`, or any is not a
+   *         function.
+   *
+   * @example
+   * const label = Callable.pipe(fullName, (name) => `<${name}>`)
+   * label()  // '<Jane Doe>'
+   */
+  static pipe(...functions) {
+    if (!functions.every((fn) => typeof fn === 'function'))
+      throw new TypeError('Callable.pipe only accepts functions')
+
+    const first = functions.find((fn) => Callable.#instanceOf(fn))
+
+    if (!first)
+      throw new TypeError('Callable.pipe requires at least one Callable')
+
+    const handler = first[Callable.kHandler]
+    const apply = (fn, args) => (
+      Callable.#instanceOf(fn) ? fn(...args) : fn.apply(handler, args)
+    )
+    const [head, ...rest] = functions
+
+    return new Callable(handler, function (...args) {
+      return rest.reduce((value, fn) => (
+        isThenable(value)
+          ? value.then((resolved) => apply(fn, [resolved]))
+          : apply(fn, [value])
+      ), apply(head, args))
+    })
+  }
+
+  /**
+   * Creates a callable on the same handler that invokes a callable with
+   * some leading arguments already supplied.
+   *
+   * @param {Proxy} callable - The callable to apply partially.
+   * @param {...*} args - The leading arguments.
+   * @returns {Proxy} A callable taking the remaining arguments.
+   * @throws {TypeError} if `callable` is not a `Callable`.
+   *
+   * @example
+   * const greet = new Callable(person, function (greeting, punctuation) {
+   *   return `${greeting}, ${this.name}${punctuation}`
+   * })
+   * const hello = Callable.partial(greet, 'Hello')
+   * hello('!')  // 'Hello, Jane!'
+   */
+  static partial(callable, ...args) {
+    const instance = Callable.#required(callable, 'partial')
+
+    return new Callable(instance.handler, function (...rest) {
+      return callable(...args, ...rest)
+    })
+  }
+
+  /**
+   * Creates a curried callable on the same handler; it collects arguments
+   * over as many calls as it takes to reach `arity` and then invokes the
+   * original callable with all of them. Each call short of that returns a
+   * further curried callable, whose `length` is the number of arguments
+   * still to be collected.
+   *
+   * @param {Proxy} callable - The callable to curry.
+   * @param {number} [arity] - How many arguments to collect; defaults to the
+   *        number the target function declares, not counting the handler
+   *        arrow functions receive.
+   * @returns {Proxy} A curried callable.
+   * @throws {TypeError} if `callable` is not a `Callable` or `arity` is not
+   *         a non-negative integer.
+   *
+   * @example
+   * const between = Callable.curry(new Callable(limits, (self, lo, hi) => (
+   *   self.values.filter((value) => value >= lo && value <= hi)
+   * )))
+   * between(2)(5)  // the values from 2 to 5
+   * between(2, 5)  // the same
+   */
+  static curry(callable, arity) {
+    const instance = Callable.#required(callable, 'curry')
+
+    arity ??= instance.#arity
+
+    if (!Number.isInteger(arity) || arity < 0)
+      throw new TypeError('Callable.curry arity must be a non-negative integer')
+
+    const collect = (collected) => {
+      const curried = function (...args) {
+        const all = [...collected, ...args]
+
+        return all.length >= arity ? callable(...all) : collect(all)
+      }
+
+      // Report the arguments still wanted, as curried functions usually do
+      Object.defineProperty(curried, 'length', {
+        value: Math.max(arity - collected.length, 0),
+      })
+
+      return new Callable(instance.handler, curried)
+    }
+
+    return collect([])
+  }
+
+  /**
+   * Creates a sibling of a callable bound to a different handler, reusing
+   * its function along with its interceptors, schemas, concurrency and
+   * memoization settings; the sibling starts with an empty cache of its
+   * own. This suits applying one function to many model objects, such as
+   * the rows of an API response.
+   *
+   * @param {Proxy} callable - The callable to copy.
+   * @param {Object} handler - The object the sibling is bound to.
+   * @returns {Proxy} The sibling callable.
+   * @throws {TypeError} if `callable` is not a `Callable`.
+   *
+   * @example
+   * const parseName = new Callable(rows[0], lastThenFirstThenMiddle)
+   * const names = rows.map((row) => Callable.rebind(parseName, row)())
+   */
+  static rebind(callable, handler) {
+    const instance = Callable.#required(callable, 'rebind')
+    const cache = instance.#cache
+    const sibling = new Callable(handler, instance.#original, {
+      ...instance.#schemas,
+      concurrency: instance.#concurrency,
+      memoize: cache && {
+        key: cache.key,
+        ttl: cache.ttl,
+        maxSize: cache.maxSize,
+      },
+    })
+
+    sibling[Callable.kInterceptors].push(...instance.#interceptors)
+
+    return sibling
+  }
+
+  /**
+   * Finds the `Callable` behind a proxy.
+   *
+   * @param {*} value a proxy returned by the constructor, or anything else.
+   * @returns {Callable|undefined} the instance behind `value`, if any.
+   */
+  static #instanceOf(value) {
+    return typeof value === 'function' ? value[kInstance] : undefined
+  }
+
+  /**
+   * Finds the `Callable` behind a proxy given to a static method.
+   *
+   * @param {*} value the value given to the method.
+   * @param {string} method the name of the method, for the error message.
+   * @returns {Callable} the instance behind `value`.
+   * @throws {TypeError} if `value` is not a `Callable` proxy.
+   */
+  static #required(value, method) {
+    const instance = Callable.#instanceOf(value)
+
+    if (!instance)
+      throw new TypeError(`Callable.${method} requires a Callable`)
+
+    return instance
+  }
+
+  /**
+   * Wraps every subsequent invocation of a callable in one or more
+   * interceptors. The first interceptor registered is the outermost. Each
+   * is either an `around` function or an object with any of `before`,
+   * `after` and `around`, all of which receive a context holding the
+   * `callable`, the bound `handler`, the `target` function (also available
+   * under {@link Callable.kHandler} and {@link Callable.kFunction}) and the
+   * `args`, which may be replaced to transform them.
+   *
+   * - `around(context, next)` calls `next()` to continue the chain and
+   *   returns the result, or skips it to short-circuit
+   * - `before(context)` short-circuits by returning anything other than
+   *   `undefined`
+   * - `after(context)` sees `context.result`, or `context.error` when the
+   *   call threw, and replaces the result, recovering from any error, by
+   *   returning anything other than `undefined`
+   *
+   * Targets returning promises are supported: `after` waits for them to
+   * settle, and any of the interceptors may themselves be async.
+   *
+   * @param {Proxy} callable - A callable created by `Callable`.
+   * @param {...(Function|{before?: Function, after?: Function,
+   *        around?: Function})} interceptors - The interceptors to add.
+   * @returns {Proxy} `callable`, for chaining.
+   * @throws {TypeError} if `callable` is not a `Callable` or an interceptor
+   *         provides none of `before`, `after` and `around`.
+   *
+   * @example
+   * const total = new Callable(cart, function () {
+   *   return this.items.reduce((sum, item) => sum + item.price, 0)
+   * })
+   *
+   * Callable.use(total, {
+   *   before({ handler }) { if (!handler.items.length) return 0 },
+   *   after({ result }) { return Math.round(result * 100) / 100 },
+   * })
+   */
+  static use(callable, ...interceptors) {
+    const list = callable?.[Callable.kInterceptors]
+
+    if (!Array.isArray(list))
+      throw new TypeError('Interceptors can only be added to a Callable')
+
+    for (const interceptor of interceptors)
+      list.push(...aroundAll(interceptor))
+
+    return callable
+  }
+
+  /**
+   * Creates a callable that dispatches each invocation to one of several
+   * handlers, chosen by the shape of the arguments. Overloads are tried in
+   * the order they were registered and the first whose matcher accepts the
+   * arguments is invoked, bound to `object`. When none match, a
+   * {@link CallableOverloadError} listing every candidate signature is
+   * thrown. See {@link CallableOverloads} for the kinds of matchers.
+   *
+   * @param {Object} object - The object to which the callable is bound.
+   * @param {CallableOverloads|Array} [overloads=[]] - A registry, or a list
+   *        of `[matcher, handler, signature]` tuples or
+   *        `{ match, handler, signature }` objects.
+   * @returns {Proxy} A callable proxy bound to `object`.
+   *
+   * @example
+   * const shapes = {
+   *   square(side) { return side * side },
+   *   rectangle(width, height) { return width * height },
+   * }
+   *
+   * const area = Callable.overloaded(shapes, [
+   *   [[Number], 'square'],
+   *   [[Number, Number], 'rectangle'],
+   *   [z.tuple([z.object({ radius: z.number() })]), ({ radius }) => (
+   *     Math.PI * radius ** 2
+   *   )],
+   * ])
+   *
+   * area(3)             // 9
+   * area(2, 5)          // 10
+   * area('wide')
+   * // CallableOverloadError: No overload matches (string); candidates are
+   * //   (number)
+   * //   (number, number)
+   * //   ({ radius })
+   */
+  static overloaded(object, overloads = []) {
+    const registry = overloads instanceof CallableOverloads
+      ? overloads
+      : new CallableOverloads(overloads)
+
+    const dispatcher = function (...args) {
+      return registry.invoke(this, args)
+    }
+
+    dispatcher[Callable.kOverloads] = registry
+
+    return new Callable(object, dispatcher)
+  }
+}
+
+/**
+ * Determines whether a value is a promise, or any other thenable.
+ *
+ * @param {*} value the value to test.
+ * @returns {boolean} `true` if `value` has a `then` method.
+ */
+function isThenable(value) {
+  return typeof value?.then === 'function'
+}
+
+/**
+ * The key under which a callable proxy returns its `Callable` instance. It
+ * is not registered with `Symbol.for`, keeping the instance private to
+ * this module.
+ *
+ * @type {symbol}
+ */
+const kInstance = Symbol('callable.instance')
+
+/**
+ * The prototypes of generator and async generator functions, which tell
+ * them apart from other functions.
+ *
+ * @type {Object}
+ */
+const kGeneratorFunction = Object.getPrototypeOf(function* () {})
+const kAsyncGeneratorFunction = Object.getPrototypeOf(async function* () {})
+
+/**
+ * The parts of function source that matter when finding the end of a
+ * parameter list: string literals and comments, which may hold unbalanced
+ * parentheses, and the parentheses themselves.
+ *
+ * @type {RegExp}
+ */
+const kParameterTokens = new RegExp([
+  `'(?:\\\\.|[^'\\\\])*'`,
+  '"(?:\\\\.|[^"\\\\])*"',
+  '`(?:\\\\.|[^`\\\\])*`',
+  '\\/\\/.*',
+  '\\/\\*[\\s\\S]*?\\*\\/',
+  '[()]',
+].join('|'), 'g')
+
+/**
+ * Determines whether a function is an arrow function, which cannot be
+ * bound and so receives the handler of a `Callable` as its first argument.
+ * Async functions and methods lack a `prototype` too, so the source of the
+ * function tells them apart; a parenthesized parameter list only belongs
+ * to an arrow function when `=>` follows it, as a method named `async`
+ * shows.
+ *
+ * @param {Function} fn the function to test.
+ * @returns {boolean} `true` if `fn` is an arrow function.
+ */
+function isArrowFunction(fn) {
+  if (Reflect.has(fn, 'prototype'))
+    return false
+
+  const source = Function.prototype.toString.call(fn)
+  const head = /^(?:async\s*)?(?:[\w$]+\s*=>|\()/.exec(source)
+
+  if (!head?.[0].endsWith('('))
+    return !!head
+
+  const tokens = new RegExp(kParameterTokens)
+  let depth = 0
+
+  tokens.lastIndex = head[0].length - 1
+
+  for (let match; (match = tokens.exec(source));) {
+    depth += match[0] === '(' ? 1 : match[0] === ')' ? -1 : 0
+
+    if (!depth)
+      return /^\s*=>/.test(source.slice(tokens.lastIndex))
+  }
+
+  return false
+}
+
+/**
+ * Determines whether iterating a callable with a given symbol should invoke
+ * it; `Symbol.iterator` for generator functions and `Symbol.asyncIterator`
+ * for async generator functions.
+ *
+ * @param {Function} fn the target function of a callable.
+ * @param {string|symbol} property the property looked up on the callable.
+ * @returns {boolean} `true` if `fn` produces iterators for `property`.
+ */
+function isIterationOf(fn, property) {
+  const prototype = Object.getPrototypeOf(fn)
+
+  return (
+    (property === Symbol.iterator && prototype === kGeneratorFunction) ||
+    (property === Symbol.asyncIterator && prototype === kAsyncGeneratorFunction)
+  )
+}
+
+/**
+ * Wraps a promise so that it rejects with the reason of a signal as soon as
+ * the signal aborts.
+ *
+ * @param {Promise} promise the promise to wrap.
+ * @param {AbortSignal} signal the signal that cancels it.
+ * @returns {Promise} a promise settling like `promise` unless aborted first.
+ */
+function abortable(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(signal.reason)
+
+    signal.addEventListener('abort', abort, { once: true })
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', abort))
+  })
+}
+
+/**
+ * Wraps an async iterator so that it ends quietly, returning the wrapped
+ * iterator, once a signal aborts; a pending `next()` resolves as done.
+ *
+ * @param {AsyncIterator} iterator the iterator to wrap.
+ * @param {AbortSignal} signal the signal that ends it.
+ * @returns {AsyncIterableIterator} the abortable iterator.
+ */
+function abortableIterator(iterator, signal) {
+  const finish = (value) => (
+    iterator.return
+      ? iterator.return(value)
+      : Promise.resolve({ done: true, value })
+  )
+
+  return {
+    next(...args) {
+      if (signal.aborted)
+        return finish()
+
+      return new Promise((resolve, reject) => {
+        const abort = () => {
+          resolve({ done: true, value: undefined })
+          finish()
+        }
+
+        signal.addEventListener('abort', abort, { once: true })
+        Promise.resolve(iterator.next(...args))
+          .then(resolve, reject)
+          .finally(() => signal.removeEventListener('abort', abort))
+      })
+    },
+
+    return: finish,
+
+    throw(error) {
+      return iterator.throw ? iterator.throw(error) : Promise.reject(error)
+    },
+
+    [Symbol.asyncIterator]() {
+      return this
+    },
+  }
+}
+
+/**
+ * Returns the cached result for a list of arguments or computes and caches
+ * it. Promises are cached as they are, but dropped from the cache should
+ * they reject so that failures are retried.
+ *
+ * @param {CallableCache} cache the cache of results.
+ * @param {Array} args the arguments of the invocation.
+ * @param {Function} compute invokes the target with `args`.
+ * @returns {*} the cached or computed result.
+ */
+function memoized(cache, args, compute) {
+  if (cache.has(...args))
+    return cache.get(...args)
+
+  const value = compute()
+
+  cache.set(args, value)
+
+  if (isThenable(value)) {
+    value.then(undefined, () => {
+      if (cache.has(...args) && cache.get(...args) === value)
+        cache.delete(...args)
+    })
+  }
+
+  return value
+}
+
+/**
+ * Runs a chain of `around` interceptors, the last `next` of which invokes
+ * the target.
+ *
+ * @param {Function[]} interceptors `around(context, next)` functions.
+ * @param {object} context the invocation context shared by the chain.
+ * @param {Function} invoke calls the target with `context.args`.
+ * @returns {*} the result of the outermost interceptor.
+ */
+function intercept(interceptors, context, invoke) {
+  const step = (index) => () => (
+    index < interceptors.length
+      ? interceptors[index](context, step(index + 1))
+      : invoke()
+  )
+
+  return step(0)()
+}
+
+/**
+ * Converts an interceptor given to {@link Callable.use} into the `around`
+ * functions it stands for; `before`, then `around`, then `after`, from the
+ * outside in.
+ *
+ * @param {Function|object} interceptor an `around` function, or an object
+ * with any of `before`, `after` and `around`.
+ * @returns {Function[]} `around(context, next)` functions.
+ * @throws {TypeError} if `interceptor` provides none of the three.
+ */
+function aroundAll(interceptor) {
+  if (typeof interceptor === 'function')
+    return [interceptor]
+
+  const { before, after, around } = interceptor ?? {}
+  const arounds = []
+
+  if (typeof before === 'function') {
+    arounds.push((context, next) => {
+      const early = before(context)
+
+      if (isThenable(early))
+        return early.then((value) => value === undefined ? next() : value)
+
+      return early === undefined ? next() : early
+    })
+  }
+
+  if (typeof around === 'function')
+    arounds.push(around)
+
+  if (typeof after === 'function') {
+    arounds.push((context, next) => {
+      const settle = (failed, value) => {
+        context.error = failed ? value : undefined
+        context.result = failed ? undefined : value
+
+        const finish = (replacement) => {
+          if (replacement !== undefined)
+            return replacement
+
+          if (failed)
+            throw value
+
+          return value
+        }
+
+        const replacement = after(context)
+
+        return isThenable(replacement)
+          ? replacement.then(finish)
+          : finish(replacement)
+      }
+
+      let result
+
+      try {
+        result = next()
+      }
+      catch (error) {
+        return settle(true, error)
+      }
+
+      return isThenable(result)
+        ? result.then(
+          (value) => settle(false, value),
+          (error) => settle(true, error),
+        )
+        : settle(false, result)
+    })
+  }
+
+  if (!arounds.length) {
+    throw new TypeError(
+      'Interceptors must be functions or provide before, after or around'
+    )
+  }
+
+  return arounds
+}
+
+/**
+ * Caches the results of a memoized {@link Callable}, keyed by the arguments
+ * they were computed from. By default arguments are hashed with
+ * {@link Hasher} and entries sharing a hash are told apart by comparing
+ * their arguments with `Object.is`, so objects are matched by identity. A
+ * custom `key` function replaces both steps; arguments producing the same
+ * key share a result.
+ *
+ * Entries expire `ttl` milliseconds after they are stored and, beyond
+ * `maxSize` entries, the least recently used entry is evicted.
+ *
+ * @example
+ * const cache = new CallableCache({ ttl: 60_000, maxSize: 100 })
+ * const user = new Callable(api, 'fetchUser', { memoize: cache })
+ *
+ * await user(42)
+ * cache.has(42)  // true
+ * cache.size     // 1
+ */
+export class CallableCache {
+  /**
+   * @private
+   * Entries grouped by key; several share a key when hashes collide.
+   */
+  #buckets = new Map();
+
+  /**
+   * @private
+   * Every entry, least recently used first.
+   */
+  #order = new Set();
+
+  /**
+   * @private
+   * The custom key function, if any.
+   */
+  #key = undefined;
+
+  /**
+   * Creates an empty cache.
+   *
+   * @param {Object} [options={}] - The options for the cache.
+   * @param {Function} [options.key] - Derives the key for a list of
+   *        arguments, given as its arguments.
+   * @param {number} [options.ttl=Infinity] - How many milliseconds a result
+   *        remains valid.
+   * @param {number} [options.maxSize=Infinity] - How many results are kept.
+   * @throws {TypeError} if `key` is not a function or `ttl` or `maxSize`
+   *         are not positive numbers.
+   */
+  constructor({ key, ttl = Infinity, maxSize = Infinity } = {}) {
+    if (key !== undefined && typeof key !== 'function')
+      throw new TypeError('A cache key must be a function')
+
+    if (!(ttl > 0) || !(maxSize > 0))
+      throw new TypeError('Cache ttl and maxSize must be positive numbers')
+
+    this.#key = key
+    this.ttl = ttl
+    this.maxSize = maxSize
+  }
+
+  /**
+   * The custom key function, if any.
+   *
+   * @returns {Function|undefined} the function given as the `key` option.
+   */
+  get key() {
+    return this.#key
+  }
+
+  /**
+   * The number of results cached, including any that have expired but have
+   * not yet been looked up.
+   *
+   * @returns {number} the number of entries.
+   */
+  get size() {
+    return this.#order.size
+  }
+
+  /**
+   * Determines whether an unexpired result is cached for some arguments.
+   *
+   * @param {...*} args the arguments.
+   * @returns {boolean} `true` if a result is cached.
+   */
+  has(...args) {
+    return this.#find(args) !== undefined
+  }
+
+  /**
+   * Retrieves the result cached for some arguments, marking it as the most
+   * recently used.
+   *
+   * @param {...*} args the arguments.
+   * @returns {*} the cached result, or `undefined`.
+   */
+  get(...args) {
+    const entry = this.#find(args)
+
+    if (!entry)
+      return undefined
+
+    this.#order.delete(entry)
+    this.#order.add(entry)
+
+    return entry.value
+  }
+
+  /**
+   * Caches a result for a list of arguments, replacing any cached before
+   * and evicting the least recently used entries beyond `maxSize`.
+   *
+   * @param {Array} args the arguments.
+   * @param {*} value the result.
+   * @returns {CallableCache} this cache, for chaining.
+   */
+  set(args, value) {
+    this.delete(...args)
+
+    const key = this.#keyOf(args)
+    const entry = { key, args, value, expires: Date.now() + this.ttl }
+    const bucket = this.#buckets.get(key) ?? []
+
+    bucket.push(entry)
+    this.#buckets.set(key, bucket)
+    this.#order.add(entry)
+
+    while (this.#order.size > this.maxSize)
+      this.#remove(this.#order.values().next().value)
+
+    return this
+  }
+
+  /**
+   * Evicts the result cached for some arguments.
+   *
+   * @param {...*} args the arguments.
+   * @returns {boolean} `true` if a result was cached.
+   */
+  delete(...args) {
+    const entry = this.#find(args)
+
+    if (entry)
+      this.#remove(entry)
+
+    return entry !== undefined
+  }
+
+  /**
+   * Evicts every cached result.
+   */
+  clear() {
+    this.#buckets.clear()
+    this.#order.clear()
+  }
+
+  /**
+   * Derives the key of a list of arguments.
+   *
+   * @param {Array} args the arguments.
+   * @returns {*} the custom key, or the hash of the arguments.
+   */
+  #keyOf(args) {
+    return this.#key ? this.#key(...args) : new Hasher(...args).hash
+  }
+
+  /**
+   * Finds the unexpired entry for a list of arguments, evicting it if it
+   * has expired.
+   *
+   * @param {Array} args the arguments.
+   * @returns {Object|undefined} the entry, if any.
+   */
+  #find(args) {
+    const bucket = this.#buckets.get(this.#keyOf(args)) ?? []
+    const entry = bucket.find((each) => (
+      this.#key || (
+        each.args.length === args.length &&
+        each.args.every((value, index) => Object.is(value, args[index]))
+      )
+    ))
+
+    if (entry && entry.expires <= Date.now()) {
+      this.#remove(entry)
+
+      return undefined
+    }
+
+    return entry
+  }
+
+  /**
+   * Removes an entry from its bucket and from the recency order.
+   *
+   * @param {Object} entry the entry to remove.
+   */
+  #remove(entry) {
+    const bucket = this.#buckets.get(entry.key)
+    const remaining = bucket.filter((each) => each !== entry)
+
+    if (remaining.length)
+      this.#buckets.set(entry.key, remaining)
+    else
+      this.#buckets.delete(entry.key)
+
+    this.#order.delete(entry)
+  }
+}
+
+/**
+ * The constructors of primitive values mapped to the `typeof` results they
+ * stand for in an overload signature; `[Number]` matches `1` and not only
+ * `new Number(1)`.
+ *
+ * @type {Map<Function, string>}
+ */
+const kPrimitiveTypes = new Map([
+  [Number, 'number'],
+  [String, 'string'],
+  [Boolean, 'boolean'],
+  [BigInt, 'bigint'],
+  [Symbol, 'symbol'],
+  [Function, 'function'],
+])
+
+/**
+ * Determines whether a value is a zod schema, or anything else offering
+ * zod's `safeParse`.
+ *
+ * @param {*} value the value to test.
+ * @returns {boolean} `true` if `value` can validate values.
+ */
+function isSchema(value) {
+  return typeof value?.safeParse === 'function'
+}
+
+/**
+ * Names the type of a schema for a signature, preferring its description.
+ * Tuples list their items and objects their keys.
+ *
+ * @param {object} schema a zod schema.
+ * @returns {string} a short name for the schema.
+ */
+function describeSchema(schema) {
+  const { description, typeName, items, shape } = schema._def ?? {}
+
+  if (schema.description ?? description)
+    return schema.description ?? description
+
+  if (typeName === 'ZodTuple')
+    return items.map(describeSchema).join(', ')
+
+  if (typeName === 'ZodObject')
+    return `{ ${Object.keys(shape()).join(', ')} }`
+
+  return String(typeName ?? 'schema').replace(/^Zod/, '').toLowerCase()
+}
+
+/**
+ * Names a single argument specification for a signature.
+ *
+ * @param {*} spec the specification; a constructor, a type name, a schema,
+ * `null` or `undefined`.
+ * @returns {string} a short name for the specification.
+ */
+function describeSpec(spec) {
+  if (isSchema(spec))
+    return describeSchema(spec)
+
+  if (typeof spec === 'function')
+    return kPrimitiveTypes.get(spec) ?? spec.name
+
+  return String(spec)
+}
+
+/**
+ * Names the type of an actual argument, for error messages.
+ *
+ * @param {*} value an argument passed to an overloaded callable.
+ * @returns {string} the name of its type.
+ */
+function describeValue(value) {
+  if (value === null)
+    return 'null'
+
+  if (typeof value !== 'object')
+    return typeof value
+
+  return Array.isArray(value) ? 'array' : value.constructor?.name ?? 'object'
+}
+
+/**
+ * Tests one argument against one argument specification.
+ *
+ * @param {*} spec a constructor, a type name such as `'string'`, `'array'`,
+ * `'null'` or `'any'`, a zod schema, `null` or `undefined`.
+ * @param {*} value the argument to test.
+ * @returns {{matches: boolean, value: *}} whether the argument matches and
+ * its value, as parsed by a schema when `spec` is one.
+ */
+function matchSpec(spec, value) {
+  if (isSchema(spec)) {
+    const result = spec.safeParse(value)
+
+    return { matches: result.success, value: result.data }
+  }
+
+  let matches
+
+  if (spec === null || spec === undefined)
+    matches = value === spec
+  else if (kPrimitiveTypes.has(spec))
+    matches = typeof value === kPrimitiveTypes.get(spec)
+  else if (spec === Array || spec === 'array')
+    matches = Array.isArray(value)
+  else if (spec === Object)
+    matches = value !== null && typeof value === 'object'
+  else if (typeof spec === 'function')
+    matches = value instanceof spec
+  else if (spec === 'any')
+    matches = true
+  else if (spec === 'null')
+    matches = value === null
+  else
+    matches = typeof value === spec
+
+  return { matches, value }
+}
+
+/**
+ * Thrown when the arguments or the return value of a callable fail to
+ * satisfy the zod schemas given to {@link Callable.typed}. Besides the
+ * message, the error records the `subject` validated, the names of the
+ * `function` and of the `handler`, the offending `value` and the zod
+ * `issues`.
+ */
+export class CallableTypeError extends TypeError {
+  /**
+   * Creates a new error describing the failed validation.
+   *
+   * @param {string} subject `'arguments'` or `'return value'`.
+   * @param {string} functionName the name of the target function.
+   * @param {Object} handler the object the call was bound to.
+   * @param {*} value the value that failed validation.
+   * @param {Object[]} issues the issues zod reported.
+   */
+  constructor(subject, functionName, handler, value, issues) {
+    const handlerName = handler?.constructor?.name || 'Object'
+    const problems = issues.map(({ path, message }) => (
+      path.length ? `${path.join('.')}: ${message}` : message
+    ))
+
+    super(
+      `Invalid ${subject} for ${functionName} on ${handlerName}: ` +
+      problems.join('; ')
+    )
+
+    this.name = 'CallableTypeError'
+    this.subject = subject
+    this.function = functionName
+    this.handler = handlerName
+    this.value = value
+    this.issues = issues
+  }
+}
+
+/**
+ * Thrown when an overloaded callable is invoked with arguments that no
+ * registered overload accepts. Besides the message, which lists every
+ * candidate, the error records the offending `args` and the `signatures`
+ * that were tried.
+ */
+export class CallableOverloadError extends TypeError {
+  /**
+   * Creates a new error describing the arguments and the candidates.
+   *
+   * @param {Array} args the arguments that matched no overload.
+   * @param {string[]} signatures the signatures of every overload tried.
+   */
+  constructor(args, signatures) {
+    const given = `(${args.map(describeValue).join(', ')})`
+    const listed = signatures.map((signature) => `\n  ${signature}`)
+    const candidates = signatures.length
+      ? `; candidates are${listed.join('')}`
+      : '; no overloads are registered'
+
+    super(`No overload matches ${given}${candidates}`)
+
+    this.name = 'CallableOverloadError'
+    this.args = args
+    this.signatures = signatures
+  }
+}
+
+/**
+ * An ordered registry of overloads for {@link Callable.overloaded}. Each
+ * overload pairs a matcher, deciding whether it accepts the arguments of an
+ * invocation, with a handler that is invoked when it does. Matchers may be:
+ *
+ * - a number, accepting exactly that many arguments of any type
+ * - an array with one specification per argument, accepting exactly that
+ *   many arguments; specifications are constructors (`Number`, `String`
+ *   and the other primitive wrappers match primitives, `Object` any
+ *   object, other classes use `instanceof`), `typeof` names, `'array'`,
+ *   `'null'`, `'any'`, `null`, `undefined` or zod schemas
+ * - a zod schema, typically a `z.tuple`, validating the whole argument list
+ * - a predicate function receiving the arguments
+ *
+ * Arguments matched by zod schemas are replaced by the schema's parsed
+ * output, so transforms and defaults reach the handler.
+ *
+ * Handlers are method names, looked up on the bound object at call time,
+ * or functions. As with `Callable`, arrow functions receive the bound
+ * object as their first argument, while other functions receive it as
+ * `this`.
+ */
+export class CallableOverloads {
+  /**
+   * @private
+   * The registered overloads, in the order they are tried.
+   */
+  #overloads = [];
+
+  /**
+   * Creates a registry, optionally with an initial list of overloads.
+   *
+   * @param {Array} [overloads=[]] `[matcher, handler, signature]` tuples or
+   *        `{ match, handler, signature }` objects.
+   */
+  constructor(overloads = []) {
+    for (const overload of overloads) {
+      if (Array.isArray(overload))
+        this.add(...overload)
+      else
+        this.add(overload.match, overload.handler, overload.signature)
+    }
+  }
+
+  /**
+   * Registers an overload after those already registered.
+   *
+   * @param {number|Array|object|Function} match - The matcher deciding
+   *        whether the overload accepts a list of arguments.
+   * @param {Function|string|symbol} handler - The function, or the name of
+   *        the bound object's method, to invoke.
+   * @param {string} [signature] - A description of the overload for error
+   *        messages; derived from `match` when omitted.
+   * @returns {CallableOverloads} this registry, for chaining.
+   * @throws {TypeError} if `match` is not a supported matcher.
+   */
+  add(match, handler, signature) {
+    const valid = (
+      Number.isInteger(match) ||
+      Array.isArray(match) ||
+      isSchema(match) ||
+      typeof match === 'function'
+    )
+
+    if (!valid) {
+      throw new TypeError(
+        'Overloads must match by arity, argument list, schema or predicate'
+      )
+    }
+
+    this.#overloads.push({
+      match,
+      handler,
+      signature: signature ?? CallableOverloads.#describe(match),
+    })
+
+    return this
+  }
+
+  /**
+   * The signatures of the registered overloads, in the order they are
+   * tried.
+   *
+   * @returns {string[]} a description of each overload.
+   */
+  get signatures() {
+    return this.#overloads.map((overload) => overload.signature)
+  }
+
+  /**
+   * Finds the first overload accepting a list of arguments.
+   *
+   * @param {Array} args the arguments of an invocation.
+   * @returns {{handler: Function|string|symbol, signature: string,
+   * args: Array}|undefined} the matching overload and the arguments to pass
+   * it, or `undefined` if no overload matches.
+   */
+  resolve(args) {
+    for (const { match, handler, signature } of this.#overloads) {
+      const accepted = CallableOverloads.#accept(match, args)
+
+      if (accepted)
+        return { handler, signature, args: accepted }
+    }
+
+    return undefined
+  }
+
+  /**
+   * Invokes the first overload accepting a list of arguments.
+   *
+   * @param {Object} thisArg the object the callable is bound to.
+   * @param {Array} args the arguments of the invocation.
+   * @returns {*} the result of the chosen handler.
+   * @throws {CallableOverloadError} if no overload accepts `args`.
+   * @throws {TypeError} if the chosen handler names a missing method.
+   */
+  invoke(thisArg, args) {
+    const overload = this.resolve(args)
+
+    if (!overload)
+      throw new CallableOverloadError(args, this.signatures)
+
+    const { handler, signature } = overload
+
+    if (typeof handler !== 'function') {
+      const method = thisArg?.[handler]
+
+      if (typeof method !== 'function') {
+        throw new TypeError(
+          `Overload ${signature} names a missing method "${String(handler)}"`
+        )
+      }
+
+      return method.apply(thisArg, overload.args)
+    }
+
+    return isArrowFunction(handler)
+      ? handler(thisArg, ...overload.args)
+      : handler.apply(thisArg, overload.args)
+  }
+
+  /**
+   * Tests a list of arguments against a matcher.
+   *
+   * @param {number|Array|object|Function} match the matcher.
+   * @param {Array} args the arguments to test.
+   * @returns {Array|null} the arguments to pass on, parsed by any schemas,
+   * or `null` if they do not match.
+   */
+  static #accept(match, args) {
+    if (Number.isInteger(match))
+      return args.length === match ? args : null
+
+    if (isSchema(match)) {
+      const result = match.safeParse(args)
+
+      return result.success ? [...result.data] : null
+    }
+
+    if (typeof match === 'function')
+      return match(...args) ? args : null
+
+    if (args.length !== match.length)
+      return null
+
+    const results = match.map((spec, index) => matchSpec(spec, args[index]))
+
+    return results.every((result) => result.matches)
+      ? results.map((result) => result.value)
+      : null
+  }
+
+  /**
+   * Derives a signature from a matcher.
+   *
+   * @param {number|Array|object|Function} match the matcher.
+   * @returns {string} a description of the arguments it accepts.
+   */
+  static #describe(match) {
+    if (Number.isInteger(match))
+      return `(${match} argument${match === 1 ? '' : 's'})`
+
+    if (Array.isArray(match))
+      return `(${match.map(describeSpec).join(', ')})`
+
+    if (isSchema(match))
+      return `(${describeSchema(match)})`
+
+    return `(${match.name || 'predicate'})`
+  }
 }
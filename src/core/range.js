@@ -1,3 +1,1358 @@
+/**
+ * Tolerance used when deciding whether a floating point number of steps is
+ * actually a whole number of steps. Without it `0.3` would not be considered
+ * to be part of `0..1` stepping by `0.1`.
+ *
+ * @type {number}
+ */
+const kEpsilon = 1e-9
+
+/**
+ * The number of milliseconds in each of the fixed length duration units
+ * that may be used as the step of a `Date` range.
+ *
+ * @type {object}
+ */
+const kFixedUnits = {
+  hours: 3600000,
+  minutes: 60000,
+  seconds: 1000,
+  milliseconds: 1,
+}
+
+/**
+ * Counts the digits after the decimal point of a number, accounting for
+ * exponent notation such as `1e-7`.
+ *
+ * @param {number} value the number to inspect.
+ * @returns {number} the number of decimal places in `value`.
+ */
+function decimalPlaces(value) {
+  if (!Number.isFinite(value))
+    return 0
+
+  const [mantissa, exponent = 0] = String(value).toLowerCase().split('e')
+  const fraction = mantissa.split('.')[1]?.length ?? 0
+
+  return Math.max(0, fraction - Number(exponent))
+}
+
+/**
+ * Snaps a floating point number of steps to the nearest whole number when
+ * the difference is only floating point noise. The tolerance is absolute;
+ * scaling it with the number of steps would snap away real differences far
+ * into a range, such as `47321` against steps of `Math.SQRT2`.
+ *
+ * @param {number} steps the possibly fractional number of steps.
+ * @returns {number} `steps`, or the nearest integer if it is close enough.
+ */
+function snapSteps(steps) {
+  const nearest = Math.round(steps)
+
+  return Math.abs(steps - nearest) < kEpsilon ? nearest : steps
+}
+
+/**
+ * Sums the fixed length units, hours and smaller, of a normalized duration.
+ *
+ * @param {object} duration a duration as normalized by the `Date` domain.
+ * @returns {number} the fixed portion of `duration` in milliseconds.
+ */
+function fixedLength(duration) {
+  return Object.entries(kFixedUnits).reduce((total, [unit, ms]) => (
+    total + duration[unit] * ms
+  ), 0)
+}
+
+/**
+ * Counts the days in the month of a date, in local time.
+ *
+ * @param {Date} date any date within the month.
+ * @returns {number} the number of days, from `28` to `31`.
+ */
+function daysInMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()
+}
+
+/**
+ * Arithmetic for plain number ranges. Every value is computed from the
+ * start as `start + index * step`, rather than by repeated addition, and
+ * then rounded to the decimal precision of `start` and `step`. This keeps
+ * `0.1` steps landing on `0.3` instead of `0.30000000000000004`.
+ */
+const kNumberDomain = {
+  name: 'number',
+  defaultStep: 1,
+
+  accepts: (value) => typeof value === 'number' && !Number.isNaN(value),
+
+  normalizeStep: (step) => Math.abs(Number(step)),
+
+  compare: (left, right) => (left === right ? 0 : (left < right ? -1 : 1)),
+
+  offset(start, step, index) {
+    const value = start + index * step
+    const places = Math.max(decimalPlaces(start), decimalPlaces(step))
+
+    if (!places || places > 15)
+      return value
+
+    const factor = 10 ** places
+
+    return Math.round(value * factor) / factor
+  },
+
+  distance(from, to, step) {
+    const steps = (to - from) / step
+    const nearest = Math.round(steps)
+
+    // Far into a range the quotient carries more noise than any tolerance
+    // allows, so a value the range lands on exactly counts regardless
+    if (kNumberDomain.offset(from, step, nearest) === to)
+      return nearest
+
+    return snapSteps(steps)
+  },
+
+  scaleStep(step, factor) {
+    const places = decimalPlaces(step)
+    const scaled = step * factor
+
+    return places && places <= 15 ? Number(scaled.toFixed(places)) : scaled
+  },
+
+  successor(value, step) {
+    return this.offset(value, step, 1)
+  },
+
+  predecessor(value, step) {
+    return this.offset(value, step, -1)
+  },
+}
+
+/**
+ * Arithmetic for `BigInt` ranges. Values are exact; only the number of
+ * steps between two values is reported as a `number`.
+ */
+const kBigIntDomain = {
+  name: 'bigint',
+  defaultStep: 1n,
+
+  accepts: (value) => typeof value === 'bigint',
+
+  normalizeStep(step) {
+    const magnitude = BigInt(step)
+
+    return magnitude < 0n ? -magnitude : magnitude
+  },
+
+  compare: (left, right) => (left === right ? 0 : (left < right ? -1 : 1)),
+
+  offset: (start, step, index) => start + BigInt(index) * step,
+
+  distance(from, to, step) {
+    const delta = to - from
+
+    return Number(delta / step) + Number(delta % step) / Number(step)
+  },
+
+  scaleStep: (step, factor) => step * BigInt(factor),
+
+  successor: (value, step) => value + step,
+
+  predecessor: (value, step) => value - step,
+}
+
+/**
+ * Arithmetic for `Date` ranges. The step is a duration object such as
+ * `{ days: 1 }` or `{ months: 1, days: 15 }`, or a number of milliseconds.
+ * Years, months, weeks and days are calendar units applied in local time,
+ * so a range stepping by `{ days: 1 }` lands on midnight every day even
+ * across daylight saving changes. Stepping by months from the 31st lands
+ * on the last day of shorter months. Hours and smaller are fixed lengths.
+ */
+const kDateDomain = {
+  name: 'date',
+  defaultStep: { days: 1 },
+
+  accepts: (value) => value instanceof Date,
+
+  normalizeStep(step) {
+    const duration = typeof step === 'object' ? step : { milliseconds: step }
+    const units = ['years', 'months', 'weeks', 'days']
+
+    units.push(...Object.keys(kFixedUnits))
+
+    return Object.fromEntries(units.map((unit) => (
+      [unit, Math.abs(Number(duration?.[unit] ?? 0))]
+    )))
+  },
+
+  compare(left, right) {
+    return kNumberDomain.compare(left.getTime(), right.getTime())
+  },
+
+  offset(start, step, index) {
+    const date = new Date(start.getTime())
+    const months = step.years * 12 + step.months
+    const days = step.weeks * 7 + step.days
+    const fixed = fixedLength(step)
+
+    if (months) {
+      // Clamp to the end of shorter months rather than spilling into the
+      // next, so Jan 31 plus one month is the end of February
+      const day = date.getDate()
+
+      date.setDate(1)
+      date.setMonth(date.getMonth() + months * index)
+      date.setDate(Math.min(day, daysInMonth(date)))
+    }
+
+    if (days)
+      date.setDate(date.getDate() + days * index)
+
+    if (fixed)
+      date.setTime(date.getTime() + fixed * index)
+
+    return date
+  },
+
+  distance(from, to, step) {
+    const elapsed = to.getTime() - from.getTime()
+    const at = (index) => kDateDomain.offset(from, step, index).getTime()
+    const calendar = step.years || step.months || step.weeks || step.days
+
+    if (!calendar)
+      return snapSteps(elapsed / fixedLength(step))
+
+    // Calendar units vary in length; estimate, then walk to the exact step
+    let index = Math.floor(elapsed / (at(1) - from.getTime()))
+
+    while (at(index + 1) <= to.getTime())
+      index++
+
+    while (at(index) > to.getTime())
+      index--
+
+    const lower = at(index)
+
+    return index + (to.getTime() - lower) / (at(index + 1) - lower)
+  },
+
+  scaleStep(step, factor) {
+    return Object.fromEntries(Object.entries(step).map(([unit, amount]) => (
+      [unit, amount * factor]
+    )))
+  },
+
+  successor(value, step) {
+    return this.offset(value, step, 1)
+  },
+
+  predecessor(value, step) {
+    return this.offset(value, step, -1)
+  },
+}
+
+/**
+ * Arithmetic for ranges of single characters, such as `'a'..'z'`. Values
+ * are strings holding exactly one Unicode code point and stepping moves
+ * through code points, so emoji and other astral characters work as well.
+ */
+const kCharacterDomain = {
+  name: 'character',
+  defaultStep: 1,
+
+  accepts: (value) => (
+    typeof value === 'string' &&
+    value.length > 0 &&
+    String.fromCodePoint(value.codePointAt(0)) === value
+  ),
+
+  normalizeStep: (step) => Math.abs(Number(step)),
+
+  compare(left, right) {
+    return kNumberDomain.compare(left.codePointAt(0), right.codePointAt(0))
+  },
+
+  offset(start, step, index) {
+    return String.fromCodePoint(start.codePointAt(0) + step * index)
+  },
+
+  distance(from, to, step) {
+    return (to.codePointAt(0) - from.codePointAt(0)) / step
+  },
+
+  successor(value, step) {
+    return this.offset(value, step, 1)
+  },
+
+  predecessor(value, step) {
+    return this.offset(value, step, -1)
+  },
+}
+
+/**
+ * Converts a spreadsheet column label, such as `A`, `Z` or `AZ`, into its
+ * one based ordinal; `A` is `1`, `Z` is `26` and `AA` is `27`.
+ *
+ * @param {string} label the column label, in either case.
+ * @returns {number} the ordinal of the column.
+ */
+function columnToOrdinal(label) {
+  return [...label.toUpperCase()].reduce((ordinal, letter) => (
+    ordinal * 26 + letter.charCodeAt(0) - 64
+  ), 0)
+}
+
+/**
+ * Converts a one based ordinal into a spreadsheet column label.
+ *
+ * @param {number} ordinal the ordinal to convert; must be at least `1`.
+ * @param {boolean} [lowerCase=false] if `true`, the label is lower case.
+ * @returns {string} the column label.
+ */
+function ordinalToColumn(ordinal, lowerCase = false) {
+  let label = ''
+
+  for (let remaining = ordinal; remaining > 0;) {
+    const letter = (remaining - 1) % 26
+
+    label = String.fromCharCode(65 + letter) + label
+    remaining = Math.floor((remaining - 1) / 26)
+  }
+
+  return lowerCase ? label.toLowerCase() : label
+}
+
+/**
+ * Arithmetic for spreadsheet style column labels, `A`, `B`, ... `Z`, `AA`,
+ * `AB` and so on. The case of the start value is preserved in every value
+ * the range produces. This domain is never detected automatically, since
+ * `'A'..'Z'` is just as valid a character range; pass it explicitly as the
+ * `domain` option.
+ */
+const kColumnDomain = {
+  name: 'column',
+  defaultStep: 1,
+
+  accepts: (value) => typeof value === 'string' && /^[A-Za-z]+$/.test(value),
+
+  normalizeStep: (step) => Math.abs(Number(step)),
+
+  compare(left, right) {
+    return kNumberDomain.compare(columnToOrdinal(left), columnToOrdinal(right))
+  },
+
+  offset(start, step, index) {
+    const ordinal = columnToOrdinal(start) + step * index
+
+    if (ordinal < 1)
+      throw new RangeError(`There is no column ${ordinal} steps before A`)
+
+    return ordinalToColumn(ordinal, start === start.toLowerCase())
+  },
+
+  distance(from, to, step) {
+    return (columnToOrdinal(to) - columnToOrdinal(from)) / step
+  },
+
+  successor(value, step) {
+    return this.offset(value, step, 1)
+  },
+
+  predecessor(value, step) {
+    return this.offset(value, step, -1)
+  },
+}
+
+/**
+ * Describes how a `Range` moves through, and measures, values of some type.
+ * Only `compare`, `successor` and `predecessor` are required; `offset` and
+ * `distance` make random access, `size` and `includes` constant time.
+ *
+ * @typedef {object} RangeDomain
+ * @property {string} [name] a name for the domain, used in error messages.
+ * @property {function(*, *): number} compare orders two values, returning a
+ * negative number, zero or a positive number.
+ * @property {function(*, *): *} successor returns the value one step after
+ * the given value; receives the value and the range's step.
+ * @property {function(*, *): *} predecessor returns the value one step
+ * before the given value; receives the value and the range's step.
+ * @property {function(*, *, *): number} [distance] returns the signed number
+ * of steps from its first to its second argument, given the step; fractions
+ * indicate the second value is not step aligned with the first.
+ * @property {function(*, *, number): *} [offset] returns the value a signed
+ * number of steps away from a start value.
+ * @property {function(*): boolean} [accepts] whether a value belongs to the
+ * domain.
+ * @property {function(*): *} [normalizeStep] converts a step into the form
+ * expected by the other functions.
+ * @property {function(*, number): *} [scaleStep] multiplies a normalized
+ * step by a whole number; only needed by set operations, such as
+ * `intersect`, between ranges whose steps differ, and only when steps are
+ * not plain numbers.
+ * @property {*} [defaultStep=1] the step used when a range provides none.
+ */
+
+/**
+ * Completed versions of the domain adapters handed to `Range`, keyed by the
+ * adapter itself so that each is only completed once.
+ *
+ * @type {WeakMap<object, object>}
+ */
+const kCompletedDomains = new WeakMap()
+
+/**
+ * Fills in the optional portions of a domain adapter. Adapters only need to
+ * provide `compare`, `successor` and `predecessor`; when `offset` or
+ * `distance` are missing they are derived by walking the domain one step at
+ * a time. Such ranges still work with every `Range` feature, but `size`,
+ * `includes` and random access become linear rather than constant time.
+ *
+ * @param {RangeDomain} adapter the adapter to complete.
+ * @returns {object} a frozen, complete, domain.
+ * @throws {TypeError} if `adapter` lacks `compare` or a way to step.
+ */
+function completeDomain(adapter) {
+  if (kCompletedDomains.has(adapter))
+    return kCompletedDomains.get(adapter)
+
+  const canStep = (
+    typeof adapter?.offset === 'function' || (
+      typeof adapter?.successor === 'function' &&
+      typeof adapter?.predecessor === 'function'
+    )
+  )
+
+  if (typeof adapter?.compare !== 'function' || !canStep) {
+    throw new TypeError(
+      'A range domain requires compare() along with successor() and ' +
+      'predecessor() or offset()'
+    )
+  }
+
+  const successor = (value, step) => (adapter.successor
+    ? adapter.successor(value, step)
+    : adapter.offset(value, step, 1)
+  )
+
+  const predecessor = (value, step) => (adapter.predecessor
+    ? adapter.predecessor(value, step)
+    : adapter.offset(value, step, -1)
+  )
+
+  const walkOffset = (start, step, index) => {
+    const move = index < 0 ? predecessor : successor
+    let value = start
+
+    for (let i = 0; i < Math.abs(index); i++) {
+      value = move(value, step)
+    }
+
+    return value
+  }
+
+  // Walks from `from` toward `to`; landing past `to` reports a fractional
+  // distance so that callers can tell the two are not step aligned.
+  const walkDistance = (from, to, step) => {
+    const order = adapter.compare(from, to)
+
+    if (order === 0)
+      return 0
+
+    const sign = order < 0 ? 1 : -1
+    const move = sign > 0 ? successor : predecessor
+    let value = from
+
+    for (let steps = 1; ; steps++) {
+      value = move(value, step)
+
+      const result = value == null ? sign : adapter.compare(value, to)
+
+      if (result === 0)
+        return sign * steps
+
+      if (Math.sign(result) === sign)
+        return sign * (steps - 0.5)
+    }
+  }
+
+  const complete = Object.freeze({
+    name: adapter.name ?? 'custom',
+    adapter,
+    defaultStep: adapter.defaultStep ?? 1,
+    randomAccess: typeof adapter.offset === 'function',
+    accepts: (value) => (adapter.accepts
+      ? adapter.accepts(value)
+      : value !== undefined && value !== null
+    ),
+    normalizeStep: (step) => (adapter.normalizeStep
+      ? adapter.normalizeStep(step)
+      : step
+    ),
+    compare: (left, right) => adapter.compare(left, right),
+    scaleStep(step, factor) {
+      if (adapter.scaleStep)
+        return adapter.scaleStep(step, factor)
+
+      if (factor === 1)
+        return step
+
+      if (typeof step !== 'number') {
+        throw new TypeError(
+          `Steps of the ${this.name} domain cannot be scaled; ` +
+          'provide scaleStep() in its adapter'
+        )
+      }
+
+      return step * factor
+    },
+    successor,
+    predecessor,
+    offset: (start, step, index) => (adapter.offset
+      ? adapter.offset(start, step, index)
+      : walkOffset(start, step, index)
+    ),
+    distance: (from, to, step) => (adapter.distance
+      ? adapter.distance(from, to, step)
+      : walkDistance(from, to, step)
+    ),
+  })
+
+  kCompletedDomains.set(adapter, complete)
+
+  return complete
+}
+
+/**
+ * Selects the arithmetic used by a range based on the type of its start
+ * value. `BigInt`s, `Date`s and single character strings are detected;
+ * anything else is treated as a number.
+ *
+ * @param {*} value the start value of the range.
+ * @returns {object} the matching, completed, domain.
+ */
+function domainFor(value) {
+  const detectable = [kBigIntDomain, kDateDomain, kCharacterDomain]
+
+  return completeDomain(
+    detectable.find((domain) => domain.accepts(value)) ?? kNumberDomain
+  )
+}
+
+/**
+ * Determines whether the first argument to the `Range` constructor is an
+ * object of options rather than the start value itself. Only plain objects
+ * are treated as options, so `Date` and other class instances can be used
+ * as range values.
+ *
+ * @param {*} value the first constructor argument.
+ * @returns {boolean} `true` if `value` is an options object.
+ */
+function isOptionsObject(value) {
+  if (!value || typeof value !== 'object')
+    return false
+
+  const prototype = Object.getPrototypeOf(value)
+
+  return prototype === Object.prototype || prototype === null
+}
+
+/**
+ * Determines whether a value is usable as the step of a range: a non-zero
+ * number or `BigInt`, or a duration object with at least one non-zero unit.
+ *
+ * @param {*} value the proposed step.
+ * @returns {boolean} `true` if `value` is a valid step.
+ */
+function isValidStep(value) {
+  switch (typeof value) {
+    case 'bigint':
+      return value !== 0n
+    case 'object':
+      return !!value && Object.values(value).some((unit) => (
+        typeof unit === 'number' && unit !== 0 && !isNaN(unit)
+      ))
+    default:
+      return !isNaN(value) && Number(value) !== 0
+  }
+}
+
+/**
+ * Determines whether a start or end value leaves that side of a range
+ * unbounded. Infinite numbers are unbounded in every domain, and so is an
+ * `undefined` end.
+ *
+ * @param {*} value the start or end value of a range.
+ * @param {boolean} [isEnd=false] whether `value` is the end of the range.
+ * @returns {boolean} `true` if the range has no bound on that side.
+ */
+function isUnbounded(value, isEnd = false) {
+  return (
+    value === Infinity ||
+    value === -Infinity ||
+    (isEnd && value === undefined)
+  )
+}
+
+/**
+ * Describes the values of a range as an ascending arithmetic progression,
+ * `count` values starting at `lo` and moving `step` at a time. The set
+ * operations of `Range` and `RangeSet` are all computed on spans.
+ *
+ * @typedef {object} RangeSpan
+ * @property {object} domain the completed domain of the values.
+ * @property {*} lo the lowest value of the span.
+ * @property {*} step the normalized step between values.
+ * @property {number} count the number of values in the span.
+ */
+
+/**
+ * Converts a range into its ascending span.
+ *
+ * @param {Range} range the range to convert.
+ * @returns {RangeSpan} the span holding the same values as `range`.
+ */
+function spanOf(range) {
+  const { domain, size } = range
+  const step = domain.normalizeStep(range.step)
+  const first = range.at(0) ?? range.start
+  const descending = size > 1 && domain.compare(first, range.at(1)) > 0
+
+  if (descending && size === Infinity)
+    throw new RangeError('Ranges without a lowest value cannot be combined')
+
+  return { domain, lo: descending ? range.at(-1) : first, step, count: size }
+}
+
+/**
+ * Converts a span back into an ascending range that is inclusive of its end
+ * value. Empty spans become empty, exclusive, ranges that start and end on
+ * the span's lowest value, and endless spans end at `Infinity`.
+ *
+ * @param {RangeSpan} span the span to convert.
+ * @returns {Range} a range holding the same values as `span`.
+ */
+function rangeOf({ domain, lo, step, count }) {
+  const end = count === Infinity
+    ? Infinity
+    : (count ? domain.offset(lo, step, count - 1) : lo)
+
+  return new Range({
+    start: lo,
+    end,
+    step: isDefaultStep(domain, step) ? undefined : step,
+    inclusive: count > 0,
+    domain: domain.adapter,
+  })
+}
+
+/**
+ * Determines whether a step is the default step of its domain, so that
+ * ranges computed from others need not record it as if it were chosen.
+ *
+ * @param {RangeDomain} domain the completed domain of the step.
+ * @param {*} step the step, as given or normalized.
+ * @returns {boolean} `true` if `step` equals the domain's default step.
+ */
+function isDefaultStep(domain, step) {
+  const { defaultStep } = domain
+
+  if (typeof step !== 'object' || step === null)
+    return Object.is(step, defaultStep)
+
+  const normalized = domain.normalizeStep(step)
+  const fallback = domain.normalizeStep(defaultStep)
+
+  return Object.keys({ ...normalized, ...fallback }).every((unit) => (
+    Object.is(normalized[unit], fallback[unit])
+  ))
+}
+
+/**
+ * Selects part of a span, by index, as a new span.
+ *
+ * @param {RangeSpan} span the span to select from.
+ * @param {number} first the index of the first value to select.
+ * @param {number} period the number of steps between selected values.
+ * @param {number} count the number of values to select.
+ * @returns {RangeSpan} the selected values.
+ */
+function subSpan(span, first, period, count) {
+  const { domain, lo, step } = span
+
+  return {
+    domain,
+    lo: domain.offset(lo, step, first),
+    step: domain.scaleStep(step, period),
+    count: Math.max(0, count),
+  }
+}
+
+/**
+ * Throws unless two spans share a domain; values of different domains can
+ * not be compared.
+ *
+ * @param {RangeSpan} left the first span.
+ * @param {RangeSpan} right the second span.
+ * @throws {TypeError} if the spans belong to different domains.
+ */
+function assertSameDomain(left, right) {
+  if (left.domain !== right.domain) {
+    throw new TypeError(
+      `Cannot combine ranges of the ${left.domain.name} and ` +
+      `${right.domain.name} domains`
+    )
+  }
+}
+
+/**
+ * Measures the step of a span in units of another step.
+ *
+ * @param {RangeSpan} span the span whose step is measured.
+ * @param {*} step the normalized step to measure with.
+ * @returns {number} how many `step`s fit in one step of `span`.
+ */
+function stepRatio(span, step) {
+  const { domain, lo } = span
+
+  return domain.distance(lo, domain.offset(lo, span.step, 1), step)
+}
+
+/**
+ * Writes finite numbers as `BigInt` numerators over a shared power of two,
+ * which represents each of them exactly.
+ *
+ * @param {...number} values the numbers to write.
+ * @returns {{numerators: bigint[], denominator: bigint}} the numerators, in
+ * the order of `values`, and their denominator.
+ */
+function dyadic(...values) {
+  const scaled = values.map((value) => {
+    let bits = 0
+
+    while (!Number.isInteger(value)) {
+      value *= 2
+      bits++
+    }
+
+    return [BigInt(value), bits]
+  })
+
+  // At least 64 bits, so that the tolerance of whole indices is resolved
+  const shift = Math.max(64, ...scaled.map(([, bits]) => bits))
+
+  return {
+    numerators: scaled.map(([value, bits]) => value << BigInt(shift - bits)),
+    denominator: 1n << BigInt(shift),
+  }
+}
+
+/**
+ * Finds the smallest `x >= 0` for which `a * x mod m` lies within
+ * `[low, high]`, in logarithmic time. When no multiple of `a` falls within
+ * the interval directly, the problem is the same one for `m mod a` and `a`,
+ * as in Euclid's algorithm.
+ *
+ * @param {bigint} a the multiplier, where `0 <= a < m`.
+ * @param {bigint} m the modulus.
+ * @param {bigint} low the least acceptable residue.
+ * @param {bigint} high the greatest acceptable residue, below `m`.
+ * @returns {bigint} the smallest such `x`, or `-1n` if there is none.
+ */
+function firstMultipleIn(a, m, low, high) {
+  if (low === 0n)
+    return 0n
+
+  if (a === 0n)
+    return -1n
+
+  const direct = (low + a - 1n) / a
+
+  if (a * direct <= high)
+    return direct
+
+  const y = firstMultipleIn(m % a, a, (a - high % a) % a, (a - low % a) % a)
+
+  if (y < 0n)
+    return -1n
+
+  const x = (m * y + low + a - 1n) / a
+
+  return a * x - m * y <= high ? x : -1n
+}
+
+/**
+ * Finds the first step at which a progression of fractional indices,
+ * `(start + step * j) / denominator`, comes within `tolerance / denominator`
+ * of a whole index.
+ *
+ * @param {bigint} start the numerator of the first index.
+ * @param {bigint} step the numerator of the increment between indices.
+ * @param {bigint} denominator the denominator of both.
+ * @param {bigint} tolerance the numerator of the tolerance.
+ * @returns {bigint} the smallest such `j`, or `-1n` if there is none.
+ */
+function firstWholeIndex(start, step, denominator, tolerance) {
+  const modulo = (value) => ((value % denominator) + denominator) % denominator
+  const multiplier = modulo(step)
+  const low = modulo(-start - tolerance)
+  const high = modulo(-start + tolerance)
+  const found = low <= high
+    ? [firstMultipleIn(multiplier, denominator, low, high)]
+    : [
+      firstMultipleIn(multiplier, denominator, low, denominator - 1n),
+      firstMultipleIn(multiplier, denominator, 0n, high),
+    ]
+
+  return found
+    .filter((j) => j >= 0n)
+    .reduce((least, j) => (least < 0n || j < least ? j : least), -1n)
+}
+
+/**
+ * Finds the values two spans have in common, expressed as indices into
+ * the first span. Common values of two arithmetic progressions are always
+ * an arithmetic progression themselves, so the result is the index of the
+ * first common value, the number of steps of `a` between common values and
+ * how many there are.
+ *
+ * The values of `b` are never walked. The indices into `a` they land on,
+ * `origin + j * ratio`, are computed exactly and the first two values of
+ * `b` landing on whole indices are solved for arithmetically. Steps whose
+ * ratio has no small enough fraction, such as `1` and `Math.SQRT2`, share
+ * at most one value. Indices count as whole within {@link kEpsilon}, so
+ * values that only coincide once rounded to floating point, far into long
+ * ranges, are not common values. For the same reason a period may drift
+ * off whole indices; the count ends where it does.
+ *
+ * @param {RangeSpan} a the span whose indices are reported.
+ * @param {RangeSpan} b the other span.
+ * @returns {{first: number, period: number, count: number}|null} the common
+ * values, or `null` if there are none.
+ */
+function commonIndices(a, b) {
+  assertSameDomain(a, b)
+
+  if (!a.count || !b.count)
+    return null
+
+  const origin = a.domain.distance(a.lo, b.lo, a.step)
+  const ratio = b.count > 1 ? stepRatio(b, a.step) : 1
+  const from = Math.max(0, Math.ceil(snapSteps(-origin / ratio)))
+  const to = Math.min(
+    b.count - 1,
+    Math.floor(snapSteps((a.count - 1 - origin) / ratio))
+  )
+
+  if (!(from <= to) || !Number.isFinite(origin) || !Number.isFinite(ratio))
+    return null
+
+  const { numerators: [offset, step], denominator } = dyadic(origin, ratio)
+  const tolerance = denominator / BigInt(Math.round(1 / kEpsilon))
+  const at = (j) => offset + step * BigInt(j)
+  const error = (value) => {
+    const residue = ((value % denominator) + denominator) % denominator
+
+    return residue * 2n > denominator ? residue - denominator : residue
+  }
+  const whole = (value) => Number((value - error(value)) / denominator)
+
+  const skip = firstWholeIndex(at(from), step, denominator, tolerance)
+  const firstJ = from + Number(skip)
+
+  if (skip < 0n || firstJ > to)
+    return null
+
+  const first = whole(at(firstJ))
+  const gap = firstWholeIndex(at(firstJ + 1), step, denominator, tolerance)
+  const cycle = Number(gap) + 1
+
+  if (gap < 0n || firstJ + cycle > to)
+    return { first, period: 1, count: 1 }
+
+  const drift = error(step * BigInt(cycle))
+  const offBy = error(at(firstJ))
+  const lasting = drift === 0n
+    ? Infinity
+    : Number(drift > 0n
+      ? (tolerance - offBy) / drift
+      : (tolerance + offBy) / -drift)
+
+  return {
+    first,
+    period: whole(step * BigInt(cycle)),
+    count: Math.min(Math.floor((to - firstJ) / cycle), lasting) + 1,
+  }
+}
+
+/**
+ * Computes the values of one span that are not part of another. Removing
+ * every `period`th value leaves either runs between the removed values or
+ * progressions between them; whichever takes fewer spans is returned.
+ *
+ * @param {RangeSpan} a the span to remove values from.
+ * @param {RangeSpan} b the span of values to remove.
+ * @returns {RangeSpan[]} the remaining, non-empty, spans.
+ */
+function differenceOf(a, b) {
+  const common = commonIndices(a, b)
+
+  if (!common)
+    return [a]
+
+  const { first, period, count } = common
+  const last = first + (count - 1) * period
+  const between = period - 1 <= count - 1
+    ? Array.from({ length: period - 1 }, (_, residue) => (
+      subSpan(a, first + residue + 1, period, count - 1)
+    ))
+    : Array.from({ length: count - 1 }, (_, run) => (
+      subSpan(a, first + run * period + 1, 1, period - 1)
+    ))
+
+  return [
+    subSpan(a, 0, 1, first),
+    ...between,
+    subSpan(a, last + 1, 1, a.count - last - 1),
+  ].filter((span) => span.count > 0)
+}
+
+/**
+ * Merges two spans into one when their values together form a single
+ * progression; that is when they share a step, are aligned with each other
+ * and overlap or follow on directly from one another. A span holding a
+ * single value takes on the step of the other.
+ *
+ * @param {RangeSpan} left the first span.
+ * @param {RangeSpan} right the second span.
+ * @returns {RangeSpan|null} the merged span, or `null` if the two cannot be
+ * expressed as one.
+ */
+function mergeSpans(left, right) {
+  assertSameDomain(left, right)
+
+  if (!left.count || !right.count)
+    return left.count ? left : right
+
+  const { domain } = left
+  const [a, b] = domain.compare(left.lo, right.lo) > 0
+    ? [right, left]
+    : [left, right]
+  const step = a.count > 1 || b.count === 1 ? a.step : b.step
+  const aligned = [a, b].every((span) => (
+    span.count === 1 || stepRatio(span, step) === 1
+  ))
+  const gap = domain.distance(a.lo, b.lo, step)
+
+  if (!aligned || !Number.isInteger(gap) || gap > a.count)
+    return null
+
+  return { domain, lo: a.lo, step, count: Math.max(a.count, gap + b.count) }
+}
+
+/**
+ * Orders spans by their lowest value, dropping empty ones and merging those
+ * that together form a single progression.
+ *
+ * @param {RangeSpan[]} spans disjoint spans of a single domain.
+ * @returns {RangeSpan[]} the ordered, merged, spans.
+ */
+function normalizeSpans(spans) {
+  return spans
+    .filter((span) => span.count > 0)
+    .sort((left, right) => left.domain.compare(left.lo, right.lo))
+    .reduce((merged, span) => {
+      const previous = merged.at(-1)
+      const union = previous && mergeSpans(previous, span)
+
+      if (union)
+        merged[merged.length - 1] = union
+      else
+        merged.push(span)
+
+      return merged
+    }, [])
+}
+
+/**
+ * Lists the ranges making up a `Range` or `RangeSet`.
+ *
+ * @param {Range|RangeSet} value the range or set of ranges.
+ * @returns {Range[]} the ranges making up `value`.
+ */
+function rangesIn(value) {
+  return value instanceof RangeSet ? value.ranges : [value]
+}
+
+/**
+ * Reduces a `RangeSet` to a single `Range` when it has one range or none,
+ * so that operations on ranges only return sets when they must.
+ *
+ * @param {RangeSet} set the set to settle.
+ * @param {Range} origin the range the operation was performed on; used for
+ * the domain and position of an empty result.
+ * @returns {Range|RangeSet} a range, if possible, otherwise `set`.
+ */
+function settle(set, origin) {
+  const { ranges } = set
+
+  if (ranges.length > 1)
+    return set
+
+  return ranges[0] ?? rangeOf({ ...spanOf(origin), count: 0 })
+}
+
+/**
+ * Compares two bounds or steps of a range by value; `Date`s by their time
+ * and duration objects by their units.
+ *
+ * @param {*} left the first value.
+ * @param {*} right the second value.
+ * @returns {boolean} `true` if the two are the same.
+ */
+function sameValue(left, right) {
+  if (left instanceof Date && right instanceof Date)
+    return left.getTime() === right.getTime()
+
+  if (left && right && typeof left === 'object' && typeof right === 'object')
+    return JSON.stringify(left) === JSON.stringify(right)
+
+  return Object.is(left, right)
+}
+
+/**
+ * Determines whether two ranges have the same bounds, step and inclusivity.
+ *
+ * @param {Range} left the first range.
+ * @param {Range} right the second range.
+ * @returns {boolean} `true` if the ranges describe the same values.
+ */
+function sameBounds(left, right) {
+  return ['start', 'end', 'step', 'startInclusive', 'endInclusive'].every(
+    (key) => sameValue(left[key], right[key])
+  )
+}
+
+/**
+ * Waits for a number of milliseconds, or until a signal is aborted,
+ * whichever comes first.
+ *
+ * @param {number} ms the time to wait.
+ * @param {AbortSignal} [signal] a signal that ends the wait early.
+ * @returns {Promise<void>} resolves when the wait is over.
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted)
+      return resolve()
+
+    const done = () => {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', done)
+      resolve()
+    }
+
+    const timer = setTimeout(done, ms)
+
+    signal?.addEventListener('abort', done, { once: true })
+  })
+}
+
+/**
+ * Thrown when a string cannot be parsed as a range. In addition to a
+ * readable message, the error records the offending `input`, the character
+ * `offset` at which parsing failed and a description of what the parser
+ * `expected` to find there.
+ *
+ * @example
+ * try {
+ *   Range.parse('[0, 100')
+ * }
+ * catch (error) {
+ *   error.offset    // 7
+ *   error.expected  // '"]" or ")"'
+ * }
+ */
+export class RangeParseError extends Error {
+  /**
+   * Creates a new parse error describing where and why parsing failed.
+   *
+   * @param {string} input the string that was being parsed.
+   * @param {number} offset the character offset within `input` at which
+   * parsing failed.
+   * @param {string} expected a short description of what was expected at
+   * `offset`.
+   */
+  constructor(input, offset, expected) {
+    const found = offset < input.length
+      ? `"${input[offset]}"`
+      : 'end of input'
+
+    super(
+      `Invalid range "${input}": expected ${expected} at offset ` +
+      `${offset}, found ${found}`
+    )
+
+    this.name = 'RangeParseError'
+    this.input = input
+    this.offset = offset
+    this.expected = expected
+  }
+}
+
+/**
+ * The literals that may appear as the bounds or step of a range string,
+ * tried in order. Dates and `BigInt`s are tried before numbers so that
+ * neither is cut short at its first non-digit.
+ *
+ * @type {Array<[string, RegExp]>}
+ */
+const kBoundPatterns = [
+  ['infinity', /([+-]?)(?:Infinity|∞)/y],
+  ['date', /[+-]?\d{4,6}-\d\d-\d\dT\d\d:\d\d:\d\d(?:\.\d+)?Z/y],
+  ['bigint', /-?\d+n/y],
+  ['number', /[+-]?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+  ['string', /'([^']*)'|"([^"]*)"/y],
+]
+
+/**
+ * Converts a matched bound literal into its value.
+ *
+ * @param {string} kind the name of the pattern that matched.
+ * @param {RegExpExecArray} match the match of that pattern.
+ * @returns {number|bigint|string} the value of the literal.
+ */
+function boundValue(kind, match) {
+  switch (kind) {
+    case 'infinity':
+      return match[1] === '-' ? -Infinity : Infinity
+    case 'date':
+      return new Date(match[0])
+    case 'bigint':
+      return BigInt(match[0].slice(0, -1))
+    case 'string':
+      return match[1] ?? match[2]
+    default:
+      return Number(match[0])
+  }
+}
+
+/**
+ * An ISO 8601 duration such as `P1M` or `PT1.5S`, the notation `Date`
+ * range steps are written in. At least one unit must be present.
+ *
+ * @type {RegExp}
+ */
+const kDurationPattern = new RegExp([
+  'P(?=\\d|T\\d)',
+  ...['Y', 'M', 'W', 'D'].map((unit) => `(?:(\\d+(?:\\.\\d+)?)${unit})?`),
+  '(?:T',
+  ...['H', 'M', 'S'].map((unit) => `(?:(\\d+(?:\\.\\d+)?)${unit})?`),
+  ')?',
+].join(''), 'y')
+
+/**
+ * The units of a `Date` range step, in the order ISO 8601 durations list
+ * them, with their designators. Milliseconds are written as fractional
+ * seconds.
+ *
+ * @type {Array<[string, string]>}
+ */
+const kDurationUnits = [
+  ['years', 'Y'], ['months', 'M'], ['weeks', 'W'], ['days', 'D'],
+  ['hours', 'H'], ['minutes', 'M'], ['seconds', 'S'],
+]
+
+/**
+ * Writes a `Date` range step as an ISO 8601 duration.
+ *
+ * @param {object} duration a duration such as `{ months: 1 }`.
+ * @returns {string} the duration, such as `'P1M'`.
+ */
+function formatDuration(duration) {
+  const amount = (unit) => Math.abs(Number(duration[unit] ?? 0))
+  const seconds = amount('seconds') + amount('milliseconds') / 1000
+  const parts = kDurationUnits.map(([unit, designator]) => {
+    const value = unit === 'seconds' ? seconds : amount(unit)
+
+    return value ? `${value}${designator}` : ''
+  })
+
+  const time = parts.slice(4).join('')
+
+  return `P${parts.slice(0, 4).join('')}${time ? `T${time}` : ''}`
+}
+
+/**
+ * Converts a match of {@link kDurationPattern} into a `Date` range step,
+ * holding only the units that were written.
+ *
+ * @param {RegExpExecArray} match the match of the duration.
+ * @returns {object} the duration, such as `{ months: 1 }`.
+ */
+function durationValue(match) {
+  const duration = {}
+
+  kDurationUnits.forEach(([unit], index) => {
+    if (match[index + 1] !== undefined)
+      duration[unit] = Number(match[index + 1])
+  })
+
+  if (duration.seconds % 1) {
+    duration.milliseconds = Math.round(duration.seconds % 1 * 1000)
+    duration.seconds = Math.trunc(duration.seconds)
+  }
+
+  return duration
+}
+
+/**
+ * Parses the notations accepted by {@link Range.parse} into options for the
+ * `Range` constructor.
+ *
+ * @param {string} input the string to parse.
+ * @returns {object} the `start`, `end`, `step`, `startInclusive` and
+ * `endInclusive` described by `input`; `step` only when one was given.
+ * @throws {RangeParseError} if `input` is not a valid range.
+ */
+function parseRange(input) {
+  let offset = 0
+
+  const fail = (expected) => {
+    throw new RangeParseError(input, offset, expected)
+  }
+
+  const skipSpace = () => {
+    while (/\s/.test(input[offset] ?? ''))
+      offset++
+  }
+
+  const literal = (...tokens) => {
+    const token = tokens.find((each) => input.startsWith(each, offset))
+
+    if (token)
+      offset += token.length
+
+    return token
+  }
+
+  const bound = (optional = false) => {
+    for (const [kind, pattern] of kBoundPatterns) {
+      pattern.lastIndex = offset
+
+      const match = pattern.exec(input)
+
+      if (match) {
+        offset = pattern.lastIndex
+        return boundValue(kind, match)
+      }
+    }
+
+    if (!optional)
+      fail('a number, BigInt, date, quoted string or infinity')
+
+    return undefined
+  }
+
+  const options = {}
+
+  skipSpace()
+
+  const opening = literal('[', '(')
+
+  if (opening) {
+    skipSpace()
+    options.start = bound()
+    skipSpace()
+    literal(',') ?? fail('","')
+    skipSpace()
+    options.end = bound()
+    skipSpace()
+
+    const closing = literal(']', ')') ?? fail('"]" or ")"')
+
+    options.startInclusive = opening === '['
+    options.endInclusive = closing === ']'
+  }
+  else {
+    options.start = bound(true)
+
+    if (options.start === undefined && !input.startsWith('..', offset))
+      fail('a number, BigInt, date, quoted string, "[" or "("')
+
+    options.start ??= -Infinity
+    skipSpace()
+
+    const dots = literal('..=', '...', '..') ?? fail('"..", "..." or "..="')
+
+    skipSpace()
+    options.end = bound(true) ?? Infinity
+    options.endInclusive = dots !== '...'
+  }
+
+  skipSpace()
+
+  if (literal('step')) {
+    skipSpace()
+
+    const position = offset
+
+    kDurationPattern.lastIndex = offset
+
+    const duration = kDurationPattern.exec(input)
+
+    if (duration)
+      offset = kDurationPattern.lastIndex
+
+    const step = duration ? durationValue(duration) : bound()
+
+    if (!isValidStep(step) || isUnbounded(step)) {
+      offset = position
+      fail('a finite, non-zero, step')
+    }
+
+    options.step = step
+  }
+
+  skipSpace()
+
+  if (offset < input.length)
+    fail('"step" or end of input')
+
+  return options
+}
+
+/**
+ * Formats a bound or step of a range the way {@link Range.parse} reads it.
+ * `Date`s are written as ISO strings and `Date` range steps as ISO 8601
+ * durations, such as `P1M`.
+ *
+ * @param {*} value the value to format.
+ * @returns {string} the formatted value.
+ */
+function formatValue(value) {
+  switch (typeof value) {
+    case 'bigint':
+      return `${value}n`
+    case 'string':
+      return value.includes("'") ? `"${value}"` : `'${value}'`
+    case 'number':
+      if (Number.isFinite(value))
+        return String(value)
+
+      return value < 0 ? '-∞' : '∞'
+    case 'object':
+      if (value instanceof Date)
+        return value.toISOString()
+
+      return value ? formatDuration(value) : String(value)
+    default:
+      return String(value)
+  }
+}
+
 /**
  * Represents a numerical range with a start, end, and step value. The range
  * can be inclusive or exclusive of the end value. It can be iterated over
@@ -6,290 +1361,2167 @@
  * The step value must be non-zero. The range can be used in for...of loops
  * and other iterable contexts.
  *
+ * Besides plain numbers, ranges of `BigInt` and `Date` values and single
+ * characters are supported with the same iteration, `size` and `includes`
+ * semantics. Values are always computed as `start + index * step`, never by
+ * repeated addition. Any other type can be ranged over by providing a
+ * {@link RangeDomain} as the `domain` option; see {@link Range.domains}.
+ *
+ * Ranges may be unbounded. An end of `Infinity`, `-Infinity` or `undefined`
+ * makes a range endless, and a start of `-Infinity` or `Infinity` makes one
+ * that counts away from its end instead; see {@link Range.from} and
+ * {@link Range.upTo}. Either bound may also be excluded, as in the interval
+ * notation `(1, 5]`, with `startInclusive` and `endInclusive`.
+ *
+ * Ranges whose bounds are functions can be observed; see
+ * {@link Range#subscribe}, {@link Range#refresh} and {@link Range#watch}.
+ *
+ * @example
+* // Create an inclusive range from 1 to 5 with a step of 1
+* const range = new Range(1, 5)
+* for (const value of range) {
+*   console.log(value) // Logs 1, 2, 3, 4, 5
+* }
+*
+* @example
+* // Create an exclusive range from 10 to 20 with a step of 2
+* const exclusiveRange = new Range({
+*   start: 10, end: 20, step: 2, inclusive: false
+* })
+* for (const value of exclusiveRange) {
+*   console.log(value) // Logs 10, 12, 14, 16, 18
+* }
+*/
+export class Range {
+   /**
+    * @private
+    * The starting value of the range. This can be any type, but if it is a
+    * function, the function should return the starting value of the range.
+    * When accessed through the getter, if `#start` is a function, it will
+    * invoke the function to get the starting value, otherwise it will return
+    * the value directly.
+    */
+   #start;
+
+   /**
+    * @private
+    * The ending value of the range. Similar to `#start`, this can be any type,
+    * and if it is a function, the function should return the ending value of
+    * the range. When accessed through the getter, if `#end` is a function, it
+    * will invoke the function to get the ending value, otherwise it will
+    * return the value directly.
+    */
+   #end;
+
+   /**
+    * @private
+    * The step value of the range, determining the increment between each value
+    * in the range. This can be any type, but if it is a function, the function
+    * should return the step value. When accessed through the getter, if `#step`
+    * is a function, it will invoke the function to get the step value,
+    * \otherwise it will return the value directly. The step value must be a
+    * non-zero number or a function that returns a non-zero number, otherwise
+    * an error is thrown.
+    */
+   #step;
+
+   /**
+    * @private
+    * The completed domain adapter given to this range, or `undefined` when
+    * the domain is detected from the type of the start value.
+    */
+   #domain;
+
+   /**
+    * @private
+    * The listeners subscribed to changes of the range's bounds.
+    */
+   #listeners = new Set();
+
+   /**
+    * @private
+    * The bounds of the range as of the last refresh, or `undefined` until
+    * the range is first observed.
+    */
+   #snapshot;
+
+   /**
+    * Determines whether the range includes its start value. When `false`
+    * the range begins one step after `start`, like the `(` of the interval
+    * notation `(1, 5]`. This property is `true` by default.
+    *
+    * @type {boolean}
+    */
+   startInclusive = true;
+
+   /**
+    * Determines whether the range includes the end value. When set to `true`,
+    * the range will include the end value in its set of values. When set to
+    * `false`, the end value is not included. This property is `true` by
+    * default, meaning ranges are inclusive of the end value unless
+    * explicitly set otherwise.
+    *
+    * @type {boolean}
+    */
+   endInclusive = true;
+
+   /**
+    * Creates a new Range instance representing a range of values.
+    *
+    * The constructor can be called with either an object containing the
+    * properties `start`, `end`, `step`, and `inclusive`, or with individual
+    * arguments for each property. If `inclusive` is not provided, it defaults
+    * to true, meaning the range includes the end value. The options object
+    * also accepts `startInclusive` and `endInclusive`, the latter taking
+    * precedence over `inclusive`.
+    *
+    * Numbers, `BigInt`s and `Date`s are all supported as values. The type
+    * of `start` decides the arithmetic used, and `end` must be of the same
+    * type. If `step` is not provided it defaults to `1`, `1n` or `{ days: 1 }`
+    * respectively. `Date` ranges take a duration object as their step, any
+    * of `years`, `months`, `weeks`, `days`, `hours`, `minutes`, `seconds` and
+    * `milliseconds`, or a plain number of milliseconds.
+    *
+    * Any other kind of value can be used by passing a `domain` adapter in
+    * the options object, such as `Range.domains.column` for spreadsheet
+    * columns or a {@link RangeDomain} of your own.
+    *
+    * @param {object|number|bigint|Date} start - An object containing all
+    * properties, or the starting value of the range. If a plain object is
+    * provided, other parameters are ignored.
+    * @param {number|bigint|Date} [end] - The ending value of the range.
+    * Required if `start` is a value.
+    * @param {number|bigint|object|function} [step] - The step value between
+    * each value in the range, or a function that returns the step value.
+    * Must be non-zero. Only its magnitude matters; the direction of the range
+    * is determined by `start` and `end`.
+    * @param {boolean} [inclusive=true] - Determines whether the range includes
+    * the end value.
+    *
+    * @example
+    * // decimal steps land exactly on each value
+    * [...new Range(0, 1, 0.1)]
+    * // [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1]
+    *
+    * @example
+    * // every day in the first week of March
+    * const week = new Range(new Date(2024, 2, 1), new Date(2024, 2, 7))
+    * week.size  // 7
+    *
+    * @example
+    * // spreadsheet columns
+    * const { column } = Range.domains
+    * const columns = new Range({ start: 'A', end: 'AC', domain: column })
+    * [...columns].slice(-4)  // ['Z', 'AA', 'AB', 'AC']
+    *
+    * @example
+    * // values well beyond Number.MAX_SAFE_INTEGER
+    * const big = new Range(2n ** 64n, 2n ** 64n + 10n, 5n)
+    * [...big]   // [18446744073709551616n, ...621n, ...626n]
+    */
+   constructor(start, end, step, inclusive = true) {
+     if (isOptionsObject(start)) {
+       this.start = start.start
+       this.end = start.end
+       this.startInclusive = start.startInclusive ?? true
+       this.endInclusive = start.endInclusive ?? start.inclusive ?? true
+
+       if (start.domain !== undefined)
+         this.domain = start.domain
+
+       if (start.step !== undefined)
+         this.step = start.step
+     }
+     else {
+       this.start = start
+       this.end = end
+       this.inclusive = inclusive ?? true
+
+       if (step !== undefined)
+         this.step = step
+     }
+   }
+
+   /**
+    * Determines whether the range includes the end value; an alias of
+    * `endInclusive`.
+    *
+    * @returns {boolean} `true` if the end value is part of the range.
+    */
+   get inclusive() {
+     return this.endInclusive
+   }
+
+   /**
+    * Sets whether the range includes the end value; an alias of
+    * `endInclusive`.
+    *
+    * @param {boolean} value `true` to include the end value.
+    */
+   set inclusive(value) {
+     this.endInclusive = value
+   }
+
+   /**
+    * Retrieves the starting value of the range. If the starting value is a
+    * function, it invokes the function and returns its result. Otherwise, it
+    * returns the starting value directly.
+    *
+    * @returns {number} The starting value of the range or the result of the
+    * starting value function.
+    */
+   get start() {
+     return typeof this.#start === 'function' ? this.#start() : this.#start
+   }
+
+   /**
+    * Sets the starting value of the range. This value can be a number or a
+    * function that returns a number. If a function is provided, it will be
+    * invoked to determine the starting value each time the `start` property
+    * is accessed.
+    *
+    * @param {number|function} value - The new starting value or a function
+    * that returns the starting value.
+    */
+   set start(value) {
+     this.#start = value
+   }
+
+   /**
+    * Retrieves the ending value of the range. If the ending value is a function,
+    * it invokes the function and returns its result. Otherwise, it returns the
+    * ending value directly.
+    *
+    * @returns {number} The ending value of the range or the result of the ending
+    * value function.
+    */
+   get end() {
+     return typeof this.#end === 'function' ? this.#end() : this.#end
+   }
+
+   /**
+    * Sets the ending value of the range. This value can be a number or a
+    * function that returns a number. If a function is provided, it will be
+    * invoked to determine the ending value each time the `end` property
+    * is accessed.
+    *
+    * @param {number|function} value - The new ending value or a function
+    * that returns the ending value.
+    */
+   set end(value) {
+     this.#end = value
+   }
+
+   /**
+    * Retrieves the step value of the range. If the step value is a function,
+    * it invokes the function and returns its result. Otherwise, it returns the
+    * step value directly. This value determines the increment between each
+    * value in the range. When no step was ever provided, the default step for
+    * the type of the range's values is returned.
+    *
+    * @returns {number|bigint|object} The step value of the range or the
+    * result of the step value function.
+    */
+   get step() {
+     const step = typeof this.#step === 'function' ? this.#step() : this.#step
+
+     return step ?? this.domain.defaultStep
+   }
+
+   /**
+    * Sets the step value of the range. The step value determines the increment
+    * between each value in the range. It can be a non-zero number or `BigInt`,
+    * a duration object for `Date` ranges, or a function that returns one of
+    * these. If the provided value is zero or not a number, an error is thrown.
+    *
+    * @param {number|bigint|object|function} value - The new step value or a
+    * function that returns the step value. Must not be zero or return zero.
+    * @throws {Error} If the value is zero, not a number, or a function that
+    * returns zero or not a number.
+    */
+   set step(value) {
+     if (typeof value === 'function' || isValidStep(value)) {
+       this.#step = value
+     }
+     else {
+       throw new Error(
+         'Step must be a non-zero number or a function that returns a non-zero number.'
+       )
+     }
+   }
+
+   /**
+    * Retrieves the domain that governs how this range moves between and
+    * compares its values. Unless one was provided, it is detected from the
+    * type of the start value, or of the end value when the range has no
+    * lower bound. The returned domain always implements every
+    * member of {@link RangeDomain}, whichever the original adapter omitted.
+    *
+    * @returns {object} the completed domain of the range.
+    */
+   get domain() {
+     const { start } = this
+
+     return this.#domain ?? domainFor(isUnbounded(start) ? this.end : start)
+   }
+
+   /**
+    * Sets the domain of the range. Passing `undefined` or `null` restores
+    * detection from the type of the start value.
+    *
+    * @param {RangeDomain} [adapter] the domain adapter to use.
+    * @throws {TypeError} if the adapter lacks `compare`, or lacks both
+    * `successor` and `predecessor` and `offset`.
+    */
+   set domain(adapter) {
+     this.#domain = adapter == null ? undefined : completeDomain(adapter)
+   }
+
+   /**
+    * Retrieves the size of the range, which is the number of values the range
+    * will produce when iterated. The count is computed arithmetically rather
+    * than by iterating, taking the direction of the range and whether it is
+    * inclusive of its start and end values into account. For `BigInt`
+    * ranges the size is still reported as a `number`.
+    *
+    * Unbounded ranges have a size of `Infinity`.
+    *
+    * @returns {number} The size of the range, representing the count of
+    * discrete steps within the range.
+    */
+   get size() {
+     if (this.#isUnanchored())
+       return Infinity
+
+     return this.#resolve().size
+   }
+
+   /**
+    * Iterates over the range, executing a callback for each value in the range.
+    * The iteration order is from the start value to the end value, inclusive or
+    * exclusive based on the 'inclusive' property. If 'inclusive' is true, the
+    * end value is included in the iteration; otherwise, it is excluded. The
+    * iteration step is determined by the 'step' property. If the start value is
+    * less than the end value, the iteration is in ascending order; if the start
+    * value is greater than the end value, the iteration is in descending order.
+    *
+    * @param {Function} callback - The function to execute for each value in the
+    * range. It receives the current value as an argument.
+    */
+   each(callback) {
+     for (const value of this) {
+       callback(value)
+     }
+   }
+
+   /**
+    * Determines whether a given value is included in the range. A value is
+    * included if it lies between the start and end values, honoring the
+    * direction of the range and the 'inclusive' property, and is a whole
+    * number of steps away from the start value. Floating point noise is
+    * tolerated, so `0.3` is part of `0..1` stepping by `0.1`, and `Date`
+    * values must land exactly on a step.
+    *
+    * Values beyond an unbounded end are included as long as they are step
+    * aligned, while a range unbounded at both ends has no steps to align to
+    * and includes every value of its domain.
+    *
+    * @param {*} val - The value to check for inclusion in
+    * the range.
+    * @returns {boolean} True if the value is included in the range, false
+    * otherwise.
+    */
+   includes(val) {
+     if (this.#isUnanchored())
+       return this.domain.accepts(val) && !isUnbounded(val)
+
+     return this.indexOf(val) !== -1
+   }
+
+   /**
+    * Finds the position of a value within the range, computed from the
+    * start value rather than by iterating; the inverse of
+    * {@link Range#at}.
+    *
+    * @param {*} value the value to look for.
+    * @returns {number} the zero based index of `value`, or `-1` if it is
+    * not part of the range.
+    *
+    * @example
+    * new Range(10, 0, 2).indexOf(4)   // 3
+    * new Range(0, 1, 0.1).indexOf(0.3) // 3
+    */
+   indexOf(value) {
+     if (this.#isUnanchored())
+       return -1
+
+     const { domain, first, step, direction, size } = this.#resolve()
+
+     if (!domain.accepts(value))
+       return -1
+
+     const index = domain.distance(first, value, step) * direction
+
+     if (!Number.isInteger(index) || index < 0 || index >= size)
+       return -1
+
+     // Descending ranges produce -0 for their first value
+     return Math.abs(index)
+   }
+
+   /**
+    * Determines whether this range shares at least one value with another.
+    * Step alignment matters, so `0..10` stepping by `2` does not overlap
+    * `1..9` stepping by `2` even though their bounds do.
+    *
+    * @param {Range|RangeSet} other the range, or set of ranges, to test.
+    * @returns {boolean} `true` if any value is part of both.
+    * @throws {TypeError} if the ranges belong to different domains.
+    */
+   overlaps(other) {
+     if (other instanceof RangeSet)
+       return other.ranges.some((range) => this.overlaps(range))
+
+     return commonIndices(spanOf(this), spanOf(other)) !== null
+   }
+
+   /**
+    * Determines whether every value of another range is also a value of
+    * this one. Empty ranges are contained by every range.
+    *
+    * @param {Range|RangeSet} other the range, or set of ranges, to test.
+    * @returns {boolean} `true` if `other` is a subset of this range.
+    * @throws {TypeError} if the ranges belong to different domains.
+    *
+    * @example
+    * new Range(0, 100, 5).contains(new Range(10, 30, 10))  // true
+    * new Range(0, 100, 5).contains(new Range(10, 30))      // false
+    */
+   contains(other) {
+     if (other instanceof RangeSet)
+       return other.ranges.every((range) => this.contains(range))
+
+     const inner = spanOf(other)
+
+     return !inner.count || (
+       commonIndices(spanOf(this), inner)?.count === inner.count
+     )
+   }
+
+   /**
+    * Determines whether another range picks up exactly where this one
+    * leaves off, or vice versa; the two share no values but together form a
+    * single range. `1..5` is adjacent to `6..10`, as is `1...5`, exclusive of
+    * its end, to `5..10`.
+    *
+    * @param {Range} other the range to test.
+    * @returns {boolean} `true` if the ranges are adjacent.
+    * @throws {TypeError} if the ranges belong to different domains.
+    */
+   adjacentTo(other) {
+     const left = spanOf(this)
+     const right = spanOf(other)
+
+     return (
+       left.count > 0 &&
+       right.count > 0 &&
+       commonIndices(left, right) === null &&
+       mergeSpans(left, right) !== null
+     )
+   }
+
+   /**
+    * Computes the values shared by this range and another. The values two
+    * stepped ranges have in common are evenly spaced themselves, so the
+    * intersection of two ranges is always a range; intersecting `0..30`
+    * stepping by `2` with `0..30` stepping by `3` gives `0..30` stepping by
+    * `6`. Like every set operation, the result is ascending and inclusive of
+    * its end value, and is empty if there is nothing in common.
+    *
+    * @param {Range|RangeSet} other the range, or set of ranges, to intersect
+    * with.
+    * @returns {Range|RangeSet} the shared values; a `RangeSet` is only
+    * returned when `other` is one and the result needs more than one range.
+    * @throws {TypeError} if the ranges belong to different domains.
+    */
+   intersect(other) {
+     if (other instanceof RangeSet)
+       return settle(other.intersect(this), this)
+
+     const span = spanOf(this)
+     const common = commonIndices(span, spanOf(other))
+
+     if (!common)
+       return rangeOf({ ...span, count: 0 })
+
+     return rangeOf(subSpan(span, common.first, common.period, common.count))
+   }
+
+   /**
+    * Combines the values of this range and another. When the two overlap
+    * or are adjacent, share a step and are aligned, the result is a single
+    * range; otherwise it is a `RangeSet` holding both.
+    *
+    * @param {Range|RangeSet} other the range, or set of ranges, to add.
+    * @returns {Range|RangeSet} every value of either.
+    * @throws {TypeError} if the ranges belong to different domains.
+    *
+    * @example
+    * new Range(1, 5).union(new Range(6, 10))   // Range 1..10
+    * new Range(1, 5).union(new Range(8, 10))   // RangeSet [1..5, 8..10]
+    */
+   union(other) {
+     return settle(new RangeSet([this, other]), this)
+   }
+
+   /**
+    * Computes the values of this range that are not part of another. The
+    * result is a single range where possible, such as when trimming either
+    * end, and otherwise a `RangeSet`; removing `4..6` from `1..10` leaves
+    * `1..3` and `7..10`.
+    *
+    * @param {Range|RangeSet} other the range, or set of ranges, to remove.
+    * @returns {Range|RangeSet} the remaining values.
+    * @throws {TypeError} if the ranges belong to different domains.
+    */
+   difference(other) {
+     const spans = rangesIn(other).reduce((remaining, range) => (
+       remaining.flatMap((span) => differenceOf(span, spanOf(range)))
+     ), [spanOf(this)])
+
+     return settle(new RangeSet(normalizeSpans(spans).map(rangeOf)), this)
+   }
+
+   /**
+    * Constrains a value to this range, returning the value of the range
+    * closest to it. Values beyond either end clamp to that end, and values
+    * between steps snap to the nearest step.
+    *
+    * @param {*} value the value to clamp; must belong to the range's domain.
+    * @returns {*} the closest value of the range.
+    * @throws {RangeError} if the range is empty.
+    *
+    * @example
+    * new Range(0, 100, 10).clamp(42)   // 40
+    * new Range(0, 100, 10).clamp(-7)   // 0
+    * new Range(0, 99, 10).clamp(120)   // 90
+    */
+   clamp(value) {
+     const { domain, lo, step, count } = spanOf(this)
+
+     if (!count)
+       throw new RangeError('Cannot clamp a value to an empty range')
+
+     const index = Math.round(domain.distance(lo, value, step))
+
+     return domain.offset(lo, step, Math.min(Math.max(index, 0), count - 1))
+   }
+
+   /**
+    * Returns the value at the given position of the range, computed from
+    * the start value rather than by iterating. Negative indices count back
+    * from the last value, as with `Array.prototype.at`.
+    *
+    * @param {number} index the zero based position of the value.
+    * @returns {*} the value at `index`, or `undefined` if it is out of
+    * bounds.
+    *
+    * @example
+    * new Range(0, 1, 0.1).at(3)       // 0.3
+    * new Range(10, 0, 2).at(-1)       // 0
+    */
+   at(index) {
+     const { domain, first, step, direction, size } = this.#resolve()
+     const offset = Math.trunc(index) || 0
+     const position = offset < 0 ? size + offset : offset
+
+     if (position < 0 || position >= size)
+       return undefined
+
+     return domain.offset(first, step, position * direction)
+   }
+
+   /**
+    * Creates a range of the first `count` values of this range.
+    *
+    * @param {number} count the maximum number of values to take.
+    * @returns {Range} a range of at most `count` values.
+    */
+   take(count) {
+     const { size } = this.#resolve()
+
+     return this.#slice(0, Math.min(Math.max(count, 0), size))
+   }
+
+   /**
+    * Creates a range of the values of this range after the first `count`.
+    *
+    * @param {number} count the number of values to skip.
+    * @returns {Range} the remaining values.
+    */
+   skip(count) {
+     const { size } = this.#resolve()
+     const skipped = Math.min(Math.max(count, 0), size)
+
+     return this.#slice(skipped, size - skipped)
+   }
+
+   /**
+    * Creates a range of every `interval`th value of this range, starting
+    * with its first value. The step of the new range is scaled rather than
+    * the values filtered, so the result is still a `Range`.
+    *
+    * @param {number} interval a positive whole number of steps.
+    * @returns {Range} every `interval`th value.
+    * @throws {RangeError} if `interval` is not a positive whole number.
+    *
+    * @example
+    * [...new Range(1, 10).stepBy(3)]   // [1, 4, 7, 10]
+    */
+   stepBy(interval) {
+     if (!Number.isInteger(interval) || interval < 1)
+       throw new RangeError('stepBy() requires a positive whole number')
+
+     const { size } = this.#resolve()
+
+     return this.#slice(0, Math.ceil(size / interval), interval)
+   }
+
+   /**
+    * Creates a range of the same values in the opposite order. The new
+    * range starts with the last value this range yields, so reversing an
+    * exclusive range, or one whose end is not step aligned, produces an
+    * inclusive range ending with this range's start.
+    *
+    * @returns {Range} the reversed range.
+    * @throws {RangeError} if the range is endless and so has no last value.
+    */
+   reverse() {
+     const { domain, first, step, direction, size } = this.#resolve()
+
+     if (size === Infinity)
+       throw new RangeError('Cannot reverse a range without a last value')
+
+     if (!size)
+       return this.#slice(0, 0)
+
+     return new Range({
+       start: domain.offset(first, step, (size - 1) * direction),
+       end: first,
+       step,
+       domain: this.#domain?.adapter,
+     })
+   }
+
+   /**
+    * Lazily applies a function to each value of the range.
+    *
+    * @param {function(*, number): *} callback receives each value and its
+    * index, and returns the value to yield in its place.
+    * @returns {RangeSequence} the mapped values.
+    */
+   map(callback) {
+     return new RangeSequence(this).map(callback)
+   }
+
+   /**
+    * Lazily selects the values of the range that pass a test.
+    *
+    * @param {function(*, number): boolean} predicate receives each value and
+    * its index, and returns whether to keep the value.
+    * @returns {RangeSequence} the selected values.
+    */
+   filter(predicate) {
+     return new RangeSequence(this).filter(predicate)
+   }
+
+   /**
+    * Lazily pairs each value of the range with the values at the same
+    * position of other iterables, stopping with the shortest.
+    *
+    * @param {...Iterable} iterables the iterables to pair values with.
+    * @returns {RangeSequence} arrays of corresponding values.
+    */
+   zip(...iterables) {
+     return new RangeSequence(this).zip(...iterables)
+   }
+
+   /**
+    * Lazily groups the values of the range into arrays of `size` values;
+    * the last array holds whatever remains.
+    *
+    * @param {number} size the number of values in each chunk.
+    * @returns {RangeSequence} the chunks.
+    */
+   chunk(size) {
+     return new RangeSequence(this).chunk(size)
+   }
+
+   /**
+    * Lazily yields every run of `size` consecutive values of the range, a
+    * sliding window moving one value at a time.
+    *
+    * @param {number} size the number of values in each window.
+    * @returns {RangeSequence} the windows.
+    */
+   window(size) {
+     return new RangeSequence(this).window(size)
+   }
+
+   /**
+    * Reduces the values of the range to a single value, in the manner of
+    * `Array.prototype.reduce`, without creating an array.
+    *
+    * @param {function(*, *, number): *} reducer receives the accumulator,
+    * each value and its index, and returns the next accumulator.
+    * @param {*} [initial] the starting accumulator; the first value of the
+    * range if omitted.
+    * @returns {*} the final accumulator.
+    * @throws {TypeError} if the range is empty and no `initial` is given.
+    */
+   reduce(reducer, ...initial) {
+     return new RangeSequence(this).reduce(reducer, ...initial)
+   }
+
+   /**
+    * Creates a static copy of the range, with its start, end and step
+    * evaluated once. Changes to the functions of this range do not affect
+    * the copy.
+    *
+    * @returns {Range} a range with the current bounds of this one.
+    */
+   snapshot() {
+     return new Range({
+       start: this.start,
+       end: this.end,
+       step: this.#step === undefined ? undefined : this.step,
+       startInclusive: this.startInclusive,
+       endInclusive: this.endInclusive,
+       domain: this.#domain?.adapter,
+     })
+   }
+
+   /**
+    * Subscribes to changes of the range's bounds. The range only notices a
+    * change when {@link Range#refresh} is called, either directly or by a
+    * source attached with {@link Range#watch}; listeners are then called
+    * with a change describing the bounds before and after, and the values
+    * added and removed.
+    *
+    * The `added` and `removed` values of a change are computed with the
+    * set operations of `Range` on first access, so listeners only pay for
+    * them when they use them.
+    *
+    * @param {function({range: Range, previous: Range, current: Range,
+    * added: Range|RangeSet, removed: Range|RangeSet}): void} listener
+    * called with each change.
+    * @returns {function(): void} a function that unsubscribes `listener`.
+    *
+    * @example
+    * let scrollTop = 0
+    * const rows = new Range(() => Math.floor(scrollTop / 20), () => (
+    *   Math.floor(scrollTop / 20) + 30
+    * ))
+    *
+    * rows.subscribe(({ added, removed }) => {
+    *   removed.each(unmountRow)
+    *   added.each(mountRow)
+    * })
+    *
+    * scrollTop = 400
+    * rows.refresh()  // unmounts rows 0 to 19, mounts rows 31 to 50
+    */
+   subscribe(listener) {
+     if (typeof listener !== 'function')
+       throw new TypeError('subscribe() requires a listener function')
+
+     this.#snapshot ??= this.snapshot()
+     this.#listeners.add(listener)
+
+     return () => {
+       this.#listeners.delete(listener)
+     }
+   }
+
+   /**
+    * Re-evaluates the range's bounds and, if they differ from the last time
+    * they were evaluated, notifies every subscribed listener. Every listener
+    * is called even if an earlier one throws; the first error is rethrown
+    * once all have been called.
+    *
+    * @returns {object|null} the change passed to listeners, or `null` if the
+    * bounds have not changed.
+    */
+   refresh() {
+     const previous = this.#snapshot ?? this.snapshot()
+     const current = this.snapshot()
+
+     this.#snapshot = current
+
+     if (sameBounds(previous, current))
+       return null
+
+     let added
+     let removed
+
+     const change = {
+       range: this,
+       previous,
+       current,
+       get added() {
+         return (added ??= current.difference(previous))
+       },
+       get removed() {
+         return (removed ??= previous.difference(current))
+       },
+     }
+
+     const errors = []
+
+     for (const listener of [...this.#listeners]) {
+       try {
+         listener(change)
+       }
+       catch (error) {
+         errors.push(error)
+       }
+     }
+
+     if (errors.length)
+       throw errors[0]
+
+     return change
+   }
+
+   /**
+    * Attaches a source that refreshes the range. A number polls, calling
+    * {@link Range#refresh} every so many milliseconds. A function is a
+    * trigger; it receives a callback that refreshes the range and may
+    * return a cleanup function, in the manner of an effect.
+    *
+    * Errors thrown by listeners during a refresh are passed to `onError`
+    * and the source stays attached. Polling has no caller to throw to, so
+    * an `onError` is required with an interval; without one, a trigger's
+    * refresh throws to whoever called it.
+    *
+    * @param {number|function(function(): void): (function(): void)|void}
+    * source a polling interval in milliseconds, or a trigger.
+    * @param {object} [options] the watch options.
+    * @param {function(Error): void} [options.onError] receives the errors
+    * listeners throw during refreshes caused by `source`; required when
+    * `source` is an interval.
+    * @returns {function(): void} a function that detaches the source.
+    * @throws {TypeError} if `source` is neither a number nor a function, or
+    * is a number without an `onError`.
+    *
+    * @example
+    * const detach = rows.watch((refresh) => {
+    *   viewport.addEventListener('scroll', refresh)
+    *   return () => viewport.removeEventListener('scroll', refresh)
+    * })
+    *
+    * rows.watch(250, { onError: (error) => console.error(error) })
+    */
+   watch(source, { onError } = {}) {
+     const refresh = () => {
+       try {
+         this.refresh()
+       }
+       catch (error) {
+         if (typeof onError !== 'function')
+           throw error
+
+         onError(error)
+       }
+     }
+
+     if (typeof source === 'number') {
+       if (typeof onError !== 'function')
+         throw new TypeError('watch() requires an onError when polling')
+
+       const timer = setInterval(refresh, source)
+
+       return () => clearInterval(timer)
+     }
+
+     if (typeof source === 'function') {
+       const cleanup = source(refresh)
+
+       return () => {
+         if (typeof cleanup === 'function')
+           cleanup()
+       }
+     }
+
+     throw new TypeError(
+       'watch() requires a polling interval in milliseconds or a trigger'
+     )
+   }
+
+   /**
+    * Creates an async iterable over the values of the range that waits
+    * between values; `for await (const attempt of range.paced(...))`. There
+    * is no wait before the first value. The `delay` may be:
+    *
+    * - a number of milliseconds to wait before every value after the first
+    * - a function receiving the index and value about to be yielded and
+    *   returning the number of milliseconds to wait before it
+    * - an iterable of delays, such as {@link Range.backoff}, consumed one
+    *   per value after the first; when it runs out, so does the iteration
+    *
+    * Aborting `signal` ends the iteration early, without an error, even in
+    * the middle of a wait.
+    *
+    * @param {object} [options] the pacing options.
+    * @param {number|function(number, *): number|Iterable<number>}
+    * [options.delay=0] the wait before each value after the first.
+    * @param {AbortSignal} [options.signal] a signal to stop iterating.
+    * @returns {AsyncIterable<*>} the paced values.
+    *
+    * @example
+    * const controller = new AbortController()
+    * const delays = Range.backoff({ base: 250, max: 4000 })
+    *
+    * for await (const attempt of Range.from(1).paced({ delay: delays })) {
+    *   if (await tryToConnect(attempt))
+    *     break
+    * }
+    */
+   paced({ delay = 0, signal } = {}) {
+     const range = this
+
+     return {
+       async *[Symbol.asyncIterator]() {
+         const delays = typeof delay?.[Symbol.iterator] === 'function'
+           ? delay[Symbol.iterator]()
+           : undefined
+         let index = 0
+
+         for (const value of range) {
+           if (signal?.aborted)
+             return
+
+           if (index > 0) {
+             let wait = delay
+
+             if (delays) {
+               const next = delays.next()
+
+               if (next.done)
+                 return
+
+               wait = next.value
+             }
+             else if (typeof delay === 'function') {
+               wait = delay(index, value)
+             }
+
+             await sleep(wait, signal)
+
+             if (signal?.aborted)
+               return
+           }
+
+           yield value
+           index++
+         }
+       },
+     }
+   }
+
+   /**
+    * Iterates the values of the range asynchronously, without waiting
+    * between them; see {@link Range#paced} to add delays.
+    *
+    * @returns {AsyncIterator<*>} an iterator over the values of the range.
+    */
+   [Symbol.asyncIterator]() {
+     return this.paced()[Symbol.asyncIterator]()
+   }
+
+   /**
+    * Creates a range holding some of the values of this range, by index.
+    * The new range keeps this range's direction and domain, and is always
+    * inclusive of its end value.
+    *
+    * @param {number} first the index of the first value to keep.
+    * @param {number} count the number of values to keep.
+    * @param {number} [interval=1] the number of steps between kept values.
+    * @returns {Range} the selected values.
+    */
+   #slice(first, count, interval = 1) {
+     const resolved = this.#resolve()
+     const { domain, step, direction } = resolved
+     const from = domain.offset(resolved.first, step, first * direction)
+     const by = domain.scaleStep(step, interval)
+     const domainOption = this.#domain?.adapter
+
+     if (!count) {
+       return new Range({
+         start: from, end: from, step: by, inclusive: false,
+         domain: domainOption,
+       })
+     }
+
+     const endless = direction > 0 ? Infinity : -Infinity
+
+     return new Range({
+       start: from,
+       end: count === Infinity
+         ? endless
+         : domain.offset(from, by, (count - 1) * direction),
+       step: by,
+       domain: domainOption,
+     })
+   }
+
+   /**
+    * Formats the range as a string that {@link Range.parse} reads back.
+    * Two notations are available:
+    *
+    * - `'dots'`, the default, writes Ruby style `1..10`, or `1...10` when
+    *   the end is excluded, leaving off unbounded ends as in `5..`. Dots
+    *   cannot exclude a start value, so such ranges are written as
+    *   intervals instead.
+    * - `'interval'` writes mathematical notation such as `[0, 100)`, with
+    *   `∞` for unbounded ends.
+    *
+    * Either is followed by ` step n` when the range was given a step other
+    * than the default step of its domain.
+    *
+    * @param {'dots'|'interval'} [format='dots'] the notation to use.
+    * @returns {string} the formatted range.
+    * @throws {TypeError} if `format` is not a known notation.
+    *
+    * @example
+    * new Range(0, 100, 5).toString()                 // '0..100 step 5'
+    * new Range(0, 100, 1, false).toString('interval') // '[0, 100)'
+    */
+   toString(format = 'dots') {
+     if (format !== 'dots' && format !== 'interval')
+       throw new TypeError(`Unknown range format "${format}"`)
+
+     const { start, startInclusive, endInclusive } = this
+     const end = this.end ?? Infinity
+     const suffix = isDefaultStep(this.domain, this.step)
+       ? ''
+       : ` step ${formatValue(this.step)}`
+
+     if (format === 'dots' && (startInclusive || isUnbounded(start))) {
+       const lower = start === -Infinity ? '' : formatValue(start)
+       const upper = end === Infinity ? '' : formatValue(end)
+
+       const dots = endInclusive || !upper ? '..' : '...'
+
+       return `${lower}${dots}${upper}${suffix}`
+     }
+
+     const opening = startInclusive && !isUnbounded(start) ? '[' : '('
+     const closing = endInclusive && !isUnbounded(end) ? ']' : ')'
+     const bounds = `${formatValue(start)}, ${formatValue(end)}`
+
+     return `${opening}${bounds}${closing}${suffix}`
+   }
+
+   /**
+    * Serializes the range as its default string notation, so ranges can be
+    * written to JSON configuration and read back with {@link Range.parse}.
+    *
+    * @returns {string} the range in dot notation.
+    */
+   toJSON() {
+     return this.toString()
+   }
+
+   /**
+    * Determines whether the range is unbounded at both ends, leaving it
+    * without any value from which to count steps.
+    *
+    * @returns {boolean} `true` if neither end of the range is bounded.
+    */
+   #isUnanchored() {
+     return isUnbounded(this.start) && isUnbounded(this.end, true)
+   }
+
+   /**
+    * Evaluates the start, end and step of the range once, along with the
+    * arithmetic appropriate to the type of the values, so that the rest of
+    * an operation sees a consistent snapshot even when any of them are
+    * functions.
+    *
+    * Values are counted from an anchor: the start value, or the end value
+    * when the range has no lower bound, in which case the range counts away
+    * from its end. `first` is the first value the range yields, one step
+    * past the anchor when the anchor is excluded.
+    *
+    * @returns {{domain: object, first: *, step: *, direction: number,
+    * size: number}} the resolved range.
+    * @throws {TypeError} if `start` and `end` are not of the same type.
+    * @throws {RangeError} if the range is unbounded at both ends.
+    */
+   #resolve() {
+     const start = this.start
+     const end = this.end
+     const domain = this.domain
+     const step = domain.normalizeStep(this.step)
+     const openStart = isUnbounded(start)
+     const openEnd = isUnbounded(end, true)
+
+     if (openStart && openEnd)
+       throw new RangeError('A range unbounded at both ends has no first value')
+
+     const bounds = [start, end].filter((value, index) => (
+       !isUnbounded(value, index === 1)
+     ))
+
+     if (!bounds.every((value) => domain.accepts(value))) {
+       throw new TypeError(
+         `Range start and end must both belong to the ${domain.name} domain`
+       )
+     }
+
+     const anchor = openStart ? end : start
+     const included = openStart ? this.endInclusive : this.startInclusive
+     let direction
+     let size
+
+     if (openStart || openEnd) {
+       direction = (openStart ? start : end) === -Infinity ? -1 : 1
+       size = Infinity
+     }
+     else {
+       const distance = Math.abs(domain.distance(start, end, step))
+       const whole = Math.floor(distance)
+
+       direction = domain.compare(start, end) > 0 ? -1 : 1
+       size = whole + (this.endInclusive || whole !== distance ? 1 : 0)
+     }
+
+     if (included)
+       return { domain, first: anchor, step, direction, size }
+
+     return {
+       domain,
+       first: domain.offset(anchor, step, direction),
+       step,
+       direction,
+       size: Math.max(0, size - 1),
+     }
+   }
+
+   /**
+    * Creates an iterator that yields each value in the range according to the
+    * start, end, and step properties. The iterator can be used in for...of loops
+    * and other constructs that consume iterables. If the range is inclusive, the
+    * end value is yielded; otherwise, it is not. The iteration respects the
+    * direction of the range, ascending or descending, based on the start and end
+    * values. Each value is computed from the start value and its index, so no
+    * error accumulates over long ranges with fractional steps. Domains
+    * without an `offset` are walked with `successor` or `predecessor`
+    * instead. Unbounded ranges yield values lazily, forever.
+    *
+    * @yields {*} The next value in the range.
+    */
+   *[Symbol.iterator]() {
+     const { domain, first, step, direction, size } = this.#resolve()
+
+     if (domain.randomAccess) {
+       for (let index = 0; index < size; index++) {
+         yield domain.offset(first, step, index * direction)
+       }
+
+       return
+     }
+
+     const move = direction > 0 ? domain.successor : domain.predecessor
+     let value = first
+
+     for (let index = 0; index < size; index++) {
+       yield value
+
+       if (index + 1 < size)
+         value = move(value, step)
+     }
+   }
+
+   /**
+    * Parses a range from a string. Both Ruby style dots and mathematical
+    * interval notation are understood, optionally followed by a step:
+    *
+    * - `1..10` and `1..=10` include their end, `1...10` excludes it
+    * - `10..1` counts down
+    * - `5..` has no end and `..10` no start
+    * - `[0, 100)`, `(0, 1]` and `(-∞, 0]` use brackets for included bounds
+    *   and parentheses for excluded ones; `∞` and `Infinity` are both
+    *   understood
+    * - `0..100 step 5` sets the step
+    *
+    * Bounds may be numbers, `BigInt`s written with an `n` suffix, quoted
+    * strings such as `'a'..'z'`, or UTC dates in ISO format, whose step is
+    * an ISO 8601 duration such as `step P1M`. Additional constructor
+    * options, such as a `domain`, may be supplied alongside the string.
+    *
+    * @param {string} input the string to parse.
+    * @param {object} [options] further options for the range; values parsed
+    * from `input` take precedence.
+    * @returns {Range} the parsed range.
+    * @throws {RangeParseError} if `input` is not a valid range.
+    *
+    * @example
+    * Range.parse('[0, 100) step 5').size  // 20
+    */
+   static parse(input, options = {}) {
+     return new Range({ ...options, ...parseRange(String(input)) })
+   }
+
+   /**
+    * Creates an endless range counting up from `start`.
+    *
+    * @param {*} start the first value of the range.
+    * @param {*} [step] the step between values; the domain's default if
+    * omitted.
+    * @returns {Range} a range whose `size` is `Infinity`.
+    *
+    * @example
+    * Range.from(5).take(3)      // 5, 6, 7
+    * Range.from(5).includes(1e9) // true
+    */
+   static from(start, step) {
+     return new Range({ start, end: Infinity, step })
+   }
+
+   /**
+    * Creates a range of every value up to `end`, without a lower bound.
+    * Having nowhere else to start, it yields values counting down from
+    * `end`, forever.
+    *
+    * @param {*} end the highest value of the range.
+    * @param {*} [step] the step between values; the domain's default if
+    * omitted.
+    * @returns {Range} a range whose `size` is `Infinity`.
+    *
+    * @example
+    * Range.upTo(10).includes(-3)  // true
+    * Range.upTo(10).take(3)       // 10, 9, 8
+    */
+   static upTo(end, step) {
+     return new Range({ start: -Infinity, end, step })
+   }
+
+   /**
+    * Creates an endless sequence of exponential backoff delays, in
+    * milliseconds: `base`, `base * factor`, `base * factor ** 2` and so on,
+    * never exceeding `max`. Use `take(n)` to limit the number of delays,
+    * and pass the sequence as the `delay` of {@link Range#paced}.
+    *
+    * With `jitter` each delay is randomized to spread out retries from many
+    * clients; `true` picks a delay anywhere between zero and the computed
+    * delay ("full jitter"), while a fraction such as `0.2` removes up to
+    * that proportion of it.
+    *
+    * @param {object} [options] the shape of the backoff.
+    * @param {number} [options.base=100] the first delay.
+    * @param {number} [options.factor=2] the multiplier between delays.
+    * @param {number} [options.max=Infinity] the longest delay.
+    * @param {boolean|number} [options.jitter=false] the randomization.
+    * @returns {RangeSequence} the delays.
+    *
+    * @example
+    * [...Range.backoff({ base: 100, max: 1000 }).take(6)]
+    * // [100, 200, 400, 800, 1000, 1000]
+    */
+   static backoff({
+     base = 100,
+     factor = 2,
+     max = Infinity,
+     jitter = false,
+   } = {}) {
+     const spread = jitter === true ? 1 : Number(jitter) || 0
+
+     return Range.from(0).map((attempt) => {
+       const delay = Math.min(base * factor ** attempt, max)
+
+       return delay - delay * spread * Math.random()
+     })
+   }
+
+   /**
+    * Creates a grid of every combination of values of the given ranges;
+    * their cartesian product. Numbers are shorthand for the range of that
+    * many indices, so `Range.grid(8, 8)` is a chess board. A trailing
+    * options object is passed on to {@link RangeND}.
+    *
+    * @param {...(Range|number|object)} ranges the ranges of each dimension,
+    * optionally followed by options such as `{ order: 'column' }`.
+    * @returns {RangeND} the grid.
+    *
+    * @example
+    * [...Range.grid(2, 3)]
+    * // [[0, 0], [0, 1], [0, 2], [1, 0], [1, 1], [1, 2]]
+    */
+   static grid(...ranges) {
+     const options = isOptionsObject(ranges.at(-1)) ? ranges.pop() : {}
+
+     return new RangeND(ranges.map((range) => (
+       typeof range === 'number' ? new Range(0, range, 1, false) : range
+     )), options)
+   }
+
+   /**
+    * The built-in domain adapters. `number`, `bigint`, `date` and
+    * `character` are detected automatically from the start value of a
+    * range; `column`, for spreadsheet style column labels, must be passed
+    * explicitly. Each can also serve as a template for custom domains.
+    *
+    * @type {{number: RangeDomain, bigint: RangeDomain, date: RangeDomain,
+    * character: RangeDomain, column: RangeDomain}}
+    */
+   static get domains() {
+     return {
+       number: kNumberDomain,
+       bigint: kBigIntDomain,
+       date: kDateDomain,
+       character: kCharacterDomain,
+       column: kColumnDomain,
+     }
+   }
+ }
+
+/**
+ * An ordered set of disjoint ranges of a single domain, as produced when
+ * the union or difference of ranges cannot be expressed as one range. The
+ * set is iterable, yielding every value of its ranges in ascending order,
+ * and supports the same set operations as `Range`.
+ *
+ * Ranges given to the constructor may overlap; values are only ever held
+ * once, and ranges that together form a single progression are merged.
+ *
  * @example
-* // Create an inclusive range from 1 to 5 with a step of 1
-* const range = new Range(1, 5)
-* for (const value of range) {
-*   console.log(value) // Logs 1, 2, 3, 4, 5
-* }
-*
-* @example
-* // Create an exclusive range from 10 to 20 with a step of 2
-* const exclusiveRange = new Range({
-*   start: 10, end: 20, step: 2, inclusive: false
-* })
-* for (const value of exclusiveRange) {
-*   console.log(value) // Logs 10, 12, 14, 16, 18
-* }
-*/
-export class Range {
+ * const slots = new RangeSet([new Range(9, 12), new Range(14, 17)])
+ * slots.size            // 8
+ * slots.includes(13)    // false
+ * slots.difference(new Range(11, 15)).ranges
+ * // [Range 9..10, Range 16..17]
+ */
+export class RangeSet {
+   /**
+    * @private
+    * The disjoint, ascending, ranges of the set.
+    */
+   #ranges;
+
+   /**
+    * Creates a set of ranges.
+    *
+    * @param {Iterable<Range|RangeSet>} [ranges=[]] the ranges, or sets of
+    * ranges, whose values make up the set.
+    * @throws {TypeError} if the ranges belong to different domains.
+    */
+   constructor(ranges = []) {
+     const spans = []
+
+     for (const range of [...ranges].flatMap(rangesIn)) {
+       const fresh = spans.reduce((remaining, existing) => (
+         remaining.flatMap((span) => differenceOf(span, existing))
+       ), [spanOf(range)])
+
+       spans.push(...fresh)
+     }
+
+     this.#ranges = normalizeSpans(spans).map(rangeOf)
+   }
+
+   /**
+    * The ranges of the set, ascending by their lowest value. Each is
+    * ascending and inclusive of its end value.
+    *
+    * @returns {Range[]} a copy of the ranges in the set.
+    */
+   get ranges() {
+     return [...this.#ranges]
+   }
+
+   /**
+    * The total number of values in the set.
+    *
+    * @returns {number} the sum of the sizes of the ranges in the set.
+    */
+   get size() {
+     return this.#ranges.reduce((total, range) => total + range.size, 0)
+   }
+
+   /**
+    * Determines whether a value is part of any range in the set.
+    *
+    * @param {*} value the value to look for.
+    * @returns {boolean} `true` if the set includes `value`.
+    */
+   includes(value) {
+     return this.#ranges.some((range) => range.includes(value))
+   }
+
+   /**
+    * Invokes a callback for each value in the set, in ascending order.
+    *
+    * @param {Function} callback receives each value in turn.
+    */
+   each(callback) {
+     for (const value of this) {
+       callback(value)
+     }
+   }
+
+   /**
+    * Determines whether the set shares at least one value with a range or
+    * another set.
+    *
+    * @param {Range|RangeSet} other the range, or set of ranges, to test.
+    * @returns {boolean} `true` if any value is part of both.
+    */
+   overlaps(other) {
+     return this.#ranges.some((range) => range.overlaps(other))
+   }
+
+   /**
+    * Determines whether every value of a range, or another set, is part of
+    * this set.
+    *
+    * @param {Range|RangeSet} other the range, or set of ranges, to test.
+    * @returns {boolean} `true` if `other` is a subset of this set.
+    */
+   contains(other) {
+     return rangesIn(other).every((range) => (
+       range.difference(this).size === 0
+     ))
+   }
+
+   /**
+    * Computes the values shared by this set and a range or another set.
+    *
+    * @param {Range|RangeSet} other the range, or set of ranges, to intersect
+    * with.
+    * @returns {RangeSet} the shared values.
+    */
+   intersect(other) {
+     const others = rangesIn(other)
+
+     return new RangeSet(this.#ranges.flatMap((range) => (
+       others.map((each) => range.intersect(each))
+     )))
+   }
+
+   /**
+    * Combines the values of this set with those of a range or another set.
+    *
+    * @param {Range|RangeSet} other the range, or set of ranges, to add.
+    * @returns {RangeSet} every value of either.
+    */
+   union(other) {
+     return new RangeSet([this, other])
+   }
+
+   /**
+    * Computes the values of this set that are not part of a range or
+    * another set.
+    *
+    * @param {Range|RangeSet} other the range, or set of ranges, to remove.
+    * @returns {RangeSet} the remaining values.
+    */
+   difference(other) {
+     return new RangeSet(this.#ranges.map((range) => range.difference(other)))
+   }
+
+   /**
+    * Formats the set as its ranges, each written by {@link Range#toString}
+    * in the given notation and separated by commas. An empty set is written
+    * as `∅`.
+    *
+    * @param {'dots'|'interval'} [format='dots'] the notation to use.
+    * @returns {string} the formatted set.
+    * @throws {TypeError} if `format` is not a known notation.
+    *
+    * @example
+    * new Range(1, 10).difference(new Range(4, 6)).toString()
+    * // '1..3, 7..10'
+    */
+   toString(format = 'dots') {
+     const ranges = this.#ranges.map((range) => range.toString(format))
+
+     return ranges.length ? ranges.join(', ') : '∅'
+   }
+
+   /**
+    * Serializes the set as the default string notation of each of its
+    * ranges, which {@link Range.parse} reads back one at a time.
+    *
+    * @returns {string[]} the ranges of the set in dot notation.
+    */
+   toJSON() {
+     return this.#ranges.map((range) => range.toJSON())
+   }
+
+   /**
+    * Yields every value in the set in ascending order. Ranges of a set may
+    * interleave, such as the odd and even numbers left when removing every
+    * third number, so values are merged across ranges as they are yielded.
+    *
+    * @yields {*} the next value in the set.
+    */
+   *[Symbol.iterator]() {
+     const cursors = this.#ranges
+       .map((range) => range[Symbol.iterator]())
+       .map((iterator) => ({ iterator, next: iterator.next() }))
+       .filter((cursor) => !cursor.next.done)
+
+     while (cursors.length) {
+       const { domain } = this.#ranges[0]
+       const lowest = cursors.reduce((best, cursor) => (
+         domain.compare(cursor.next.value, best.next.value) < 0 ? cursor : best
+       ))
+
+       yield lowest.next.value
+
+       lowest.next = lowest.iterator.next()
+
+       if (lowest.next.done)
+         cursors.splice(cursors.indexOf(lowest), 1)
+     }
+   }
+ }
+
+/**
+ * A lazy, re-iterable, sequence of values derived from a range or any other
+ * iterable. Each operation returns a new sequence that computes its values
+ * only as they are iterated, so pipelines over very large ranges never
+ * build intermediate arrays. Iterating a sequence more than once repeats
+ * the work, and requires its source to be iterable more than once, as
+ * ranges are.
+ *
+ * @example
+ * const squares = new Range(1, 1e9)
+ *   .map((n) => n * n)
+ *   .filter((n) => n % 3 === 0)
+ *   .take(3)
+ *
+ * [...squares]   // [9, 36, 81]
+ */
+export class RangeSequence {
+   /**
+    * @private
+    * The iterable the values of the sequence come from.
+    */
+   #source;
+
+   /**
+    * Creates a sequence over the values of an iterable.
+    *
+    * @param {Iterable} source the iterable, or a function returning an
+    * iterator, supplying the values of the sequence.
+    */
+   constructor(source) {
+     this.#source = typeof source === 'function'
+       ? { [Symbol.iterator]: source }
+       : source
+   }
+
+   /**
+    * Lazily applies a function to each value.
+    *
+    * @param {function(*, number): *} callback receives each value and its
+    * index, and returns the value to yield in its place.
+    * @returns {RangeSequence} the mapped values.
+    */
+   map(callback) {
+     const source = this
+
+     return new RangeSequence(function* () {
+       let index = 0
+
+       for (const value of source) {
+         yield callback(value, index++)
+       }
+     })
+   }
+
+   /**
+    * Lazily selects the values that pass a test.
+    *
+    * @param {function(*, number): boolean} predicate receives each value and
+    * its index, and returns whether to keep the value.
+    * @returns {RangeSequence} the selected values.
+    */
+   filter(predicate) {
+     const source = this
+
+     return new RangeSequence(function* () {
+       let index = 0
+
+       for (const value of source) {
+         if (predicate(value, index++))
+           yield value
+       }
+     })
+   }
+
+   /**
+    * Lazily yields at most the first `count` values.
+    *
+    * @param {number} count the maximum number of values to take.
+    * @returns {RangeSequence} the taken values.
+    */
+   take(count) {
+     const source = this
+
+     return new RangeSequence(function* () {
+       if (count < 1)
+         return
+
+       let taken = 0
+
+       for (const value of source) {
+         yield value
+
+         if (++taken >= count)
+           return
+       }
+     })
+   }
+
+   /**
+    * Lazily yields the values after the first `count`.
+    *
+    * @param {number} count the number of values to skip.
+    * @returns {RangeSequence} the remaining values.
+    */
+   skip(count) {
+     return this.filter((_, index) => index >= count)
+   }
+
    /**
-    * @private
-    * The starting value of the range. This can be any type, but if it is a
-    * function, the function should return the starting value of the range.
-    * When accessed through the getter, if `#start` is a function, it will
-    * invoke the function to get the starting value, otherwise it will return
-    * the value directly.
+    * Lazily yields every `interval`th value, starting with the first.
+    *
+    * @param {number} interval a positive whole number.
+    * @returns {RangeSequence} every `interval`th value.
+    * @throws {RangeError} if `interval` is not a positive whole number.
     */
-   #start;
+   stepBy(interval) {
+     if (!Number.isInteger(interval) || interval < 1)
+       throw new RangeError('stepBy() requires a positive whole number')
+
+     return this.filter((_, index) => index % interval === 0)
+   }
 
    /**
-    * @private
-    * The ending value of the range. Similar to `#start`, this can be any type,
-    * and if it is a function, the function should return the ending value of
-    * the range. When accessed through the getter, if `#end` is a function, it
-    * will invoke the function to get the ending value, otherwise it will
-    * return the value directly.
+    * Lazily pairs each value with the values at the same position of other
+    * iterables, stopping with the shortest.
+    *
+    * @param {...Iterable} iterables the iterables to pair values with.
+    * @returns {RangeSequence} arrays of corresponding values.
     */
-   #end;
+   zip(...iterables) {
+     const sources = [this, ...iterables]
+
+     return new RangeSequence(function* () {
+       const iterators = sources.map((source) => source[Symbol.iterator]())
+
+       try {
+         while (true) {
+           const results = iterators.map((iterator) => iterator.next())
+
+           if (results.some((result) => result.done))
+             return
+
+           yield results.map((result) => result.value)
+         }
+       }
+       finally {
+         iterators.forEach((iterator) => iterator.return?.())
+       }
+     })
+   }
 
    /**
-    * @private
-    * The step value of the range, determining the increment between each value
-    * in the range. This can be any type, but if it is a function, the function
-    * should return the step value. When accessed through the getter, if `#step`
-    * is a function, it will invoke the function to get the step value,
-    * \otherwise it will return the value directly. The step value must be a
-    * non-zero number or a function that returns a non-zero number, otherwise
-    * an error is thrown.
+    * Lazily groups values into arrays of `size` values; the last array
+    * holds whatever remains.
+    *
+    * @param {number} size the number of values in each chunk.
+    * @returns {RangeSequence} the chunks.
+    * @throws {RangeError} if `size` is not a positive whole number.
     */
-   #step;
+   chunk(size) {
+     if (!Number.isInteger(size) || size < 1)
+       throw new RangeError('chunk() requires a positive whole number')
+
+     const source = this
+
+     return new RangeSequence(function* () {
+       let chunk = []
+
+       for (const value of source) {
+         chunk.push(value)
+
+         if (chunk.length === size) {
+           yield chunk
+           chunk = []
+         }
+       }
+
+       if (chunk.length)
+         yield chunk
+     })
+   }
 
    /**
-    * Determines whether the range includes the end value. When set to `true`,
-    * the range will include the end value in its set of values. When set to
-    * `false`, the end value is not included. This property is `true` by
-    * default, meaning ranges are inclusive of the end value unless
-    * explicitly set otherwise.
+    * Lazily yields every run of `size` consecutive values, a sliding window
+    * moving one value at a time. Fewer than `size` values yield nothing.
     *
-    * @type {boolean}
+    * @param {number} size the number of values in each window.
+    * @returns {RangeSequence} the windows.
+    * @throws {RangeError} if `size` is not a positive whole number.
     */
-   inclusive = true;
+   window(size) {
+     if (!Number.isInteger(size) || size < 1)
+       throw new RangeError('window() requires a positive whole number')
+
+     const source = this
+
+     return new RangeSequence(function* () {
+       const window = []
+
+       for (const value of source) {
+         window.push(value)
+
+         if (window.length > size)
+           window.shift()
+
+         if (window.length === size)
+           yield [...window]
+       }
+     })
+   }
 
    /**
-    * Creates a new Range instance representing a range of values.
+    * Yields the values in the opposite order. Unlike every other operation
+    * of a sequence this one is not lazy; every value is gathered before the
+    * first is yielded, so it must not be used on endless sequences.
     *
-    * The constructor can be called with either an object containing the
-    * properties `start`, `end`, `step`, and `inclusive`, or with individual
-    * arguments for each property. If `step` is not provided, it defaults to
-    * 1. If `inclusive` is not provided, it defaults to true, meaning the
-    * range includes the end value.
-    *
-    * @param {object|number} start - An object containing all properties, or
-    * the starting value of the range. If an object is provided, other
-    * parameters are ignored.
-    * @param {number} [end] - The ending value of the range. Required if `start`
-    * is a number.
-    * @param {number|function} [step=1] - The step value between each value in
-    * the range, or a function that returns the step value. Must be a non-zero
-    * number or function returning a non-zero number.
-    * @param {boolean} [inclusive=true] - Determines whether the range includes
-    * the end value.
+    * @returns {RangeSequence} the values in reverse order.
     */
-   constructor(start, end, step, inclusive = true) {
-     if (typeof start === 'object') {
-       this.start = start.start
-       this.end = start.end
-       this.step = start.step !== undefined ? start.step : 1
-       this.inclusive = start?.inclusive ?? true
+   reverse() {
+     const source = this
+
+     return new RangeSequence(function* () {
+       yield* [...source].reverse()
+     })
+   }
+
+   /**
+    * Reduces the values to a single value, in the manner of
+    * `Array.prototype.reduce`.
+    *
+    * @param {function(*, *, number): *} reducer receives the accumulator,
+    * each value and its index, and returns the next accumulator.
+    * @param {*} [initial] the starting accumulator; the first value if
+    * omitted.
+    * @returns {*} the final accumulator.
+    * @throws {TypeError} if there are no values and no `initial` is given.
+    */
+   reduce(reducer, ...initial) {
+     let seeded = initial.length > 0
+     let accumulator = initial[0]
+     let index = 0
+
+     for (const value of this) {
+       accumulator = seeded ? reducer(accumulator, value, index) : value
+       seeded = true
+       index++
      }
-     else {
-       this.start = start
-       this.end = end
-       this.step = step !== undefined ? step : 1
-       this.inclusive = inclusive ?? true
+
+     if (!seeded)
+       throw new TypeError('Reduce of an empty sequence with no initial value')
+
+     return accumulator
+   }
+
+   /**
+    * Returns the value at the given position, iterating to reach it.
+    * Negative indices count back from the last value, which requires
+    * iterating every value.
+    *
+    * @param {number} index the zero based position of the value.
+    * @returns {*} the value at `index`, or `undefined` if there is none.
+    */
+   at(index) {
+     const offset = Math.trunc(index) || 0
+
+     if (offset < 0)
+       return [...this].at(offset)
+
+     let position = 0
+
+     for (const value of this) {
+       if (position++ === offset)
+         return value
      }
+
+     return undefined
    }
 
    /**
-    * Retrieves the starting value of the range. If the starting value is a
-    * function, it invokes the function and returns its result. Otherwise, it
-    * returns the starting value directly.
+    * Invokes a callback for each value in turn.
     *
-    * @returns {number} The starting value of the range or the result of the
-    * starting value function.
+    * @param {Function} callback receives each value and its index.
     */
-   get start() {
-     return typeof this.#start === 'function' ? this.#start() : this.#start
+   each(callback) {
+     let index = 0
+
+     for (const value of this) {
+       callback(value, index++)
+     }
    }
 
    /**
-    * Sets the starting value of the range. This value can be a number or a
-    * function that returns a number. If a function is provided, it will be
-    * invoked to determine the starting value each time the `start` property
-    * is accessed.
+    * Gathers every value into an array.
     *
-    * @param {number|function} value - The new starting value or a function
-    * that returns the starting value.
+    * @returns {Array} the values of the sequence.
     */
-   set start(value) {
-     this.#start = value
+   toArray() {
+     return [...this]
    }
 
    /**
-    * Retrieves the ending value of the range. If the ending value is a function,
-    * it invokes the function and returns its result. Otherwise, it returns the
-    * ending value directly.
+    * Yields the values of the sequence.
     *
-    * @returns {number} The ending value of the range or the result of the ending
-    * value function.
+    * @yields {*} the next value.
     */
-   get end() {
-     return typeof this.#end === 'function' ? this.#end() : this.#end
+   *[Symbol.iterator]() {
+     yield* this.#source
    }
+ }
 
+/**
+ * A multi-dimensional range; the cartesian product of one `Range` per
+ * dimension. Iterating yields coordinate arrays such as `[x, y]`, in either
+ * row-major order, where the last dimension changes fastest, or
+ * column-major order, where the first does. Like `Range`, sizes, positions
+ * and membership are all computed arithmetically. Usually created with
+ * {@link Range.grid}.
+ *
+ * @example
+ * const board = Range.grid(new Range(0, 7), new Range(0, 7))
+ * board.size                     // 64
+ * board.includes([3, 8])         // false
+ * board.neighbors([0, 0])        // [[0, 1], [1, 0], [1, 1]]
+ */
+export class RangeND {
    /**
-    * Sets the ending value of the range. This value can be a number or a
-    * function that returns a number. If a function is provided, it will be
-    * invoked to determine the ending value each time the `end` property
-    * is accessed.
+    * @private
+    * The range of each dimension, in order.
+    */
+   #ranges;
+
+   /**
+    * The order in which coordinates are iterated: `'row'` for row-major,
+    * where the last dimension changes fastest, or `'column'` for
+    * column-major, where the first does.
     *
-    * @param {number|function} value - The new ending value or a function
-    * that returns the ending value.
+    * @type {'row'|'column'}
     */
-   set end(value) {
-     this.#end = value
+   order;
+
+   /**
+    * Creates a grid from the range of each dimension.
+    *
+    * @param {Range[]} ranges the range of each dimension; at least one.
+    * @param {object} [options] options for the grid.
+    * @param {'row'|'column'} [options.order='row'] the iteration order.
+    * @throws {TypeError} if no ranges are given, any is not a `Range`, or
+    * `order` is unknown.
+    */
+   constructor(ranges, { order = 'row' } = {}) {
+     if (!ranges?.length || !ranges.every((range) => range instanceof Range))
+       throw new TypeError('A grid requires at least one Range per dimension')
+
+     if (order !== 'row' && order !== 'column')
+       throw new TypeError(`Unknown grid order "${order}"`)
+
+     this.#ranges = [...ranges]
+     this.order = order
    }
 
    /**
-    * Retrieves the step value of the range. If the step value is a function,
-    * it invokes the function and returns its result. Otherwise, it returns the
-    * step value directly. This value determines the increment between each
-    * number in the range.
+    * The range of each dimension.
     *
-    * @returns {number} The step value of the range or the result of the step
-    * value function.
+    * @returns {Range[]} a copy of the ranges of the grid.
     */
-   get step() {
-     return typeof this.#step === 'function' ? this.#step() : this.#step
+   get ranges() {
+     return [...this.#ranges]
    }
 
    /**
-    * Sets the step value of the range. The step value determines the increment
-    * between each number in the range. It can be a non-zero number or a function
-    * that returns a non-zero number. If the provided value is zero, not a number,
-    * or a function that returns zero or not a number, an error is thrown.
+    * The number of dimensions of the grid.
     *
-    * @param {number|function} value - The new step value or a function that
-    * returns the step value. Must not be zero or return zero.
-    * @throws {Error} If the value is zero, not a number, or a function that
-    * returns zero or not a number.
+    * @returns {number} the number of ranges making up the grid.
     */
-   set step(value) {
-     if (typeof value === 'function' || (!isNaN(value) && value !== 0)) {
-       this.#step = value
-     }
-     else {
-       throw new Error(
-         'Step must be a non-zero number or a function that returns a non-zero number.'
-       )
-     }
+   get dimensions() {
+     return this.#ranges.length
    }
 
    /**
-    * Retrieves the size of the range, which is the number of steps from the
-    * start value to the end value. If the end value is undefined, it returns
-    * the number of steps from the start value to zero. The size is always
-    * rounded down to the nearest whole number when the end value is defined,
-    * and rounded to the nearest whole number in general when the end value
-    * is undefined.
+    * The size of each dimension of the grid.
     *
-    * @returns {number} The size of the range, representing the count of
-    * discrete steps within the range.
+    * @returns {number[]} the size of each range, in order.
+    */
+   get shape() {
+     return this.#ranges.map((range) => range.size)
+   }
+
+   /**
+    * The number of coordinates in the grid; the product of its shape. An
+    * empty dimension leaves the grid empty, even if another is endless.
+    *
+    * @returns {number} the number of coordinates.
     */
    get size() {
-     const start = this.start
-     const end = this.end
-     const step = this.step
+     const shape = this.shape
 
-     if (end !== undefined) {
-       return Math.floor((end - start) / step) + 1
-     }
-     else {
-       return Math.round(start / step)
-     }
+     return shape.includes(0)
+       ? 0
+       : shape.reduce((product, size) => product * size, 1)
    }
 
    /**
-    * Iterates over the range, executing a callback for each value in the range.
-    * The iteration order is from the start value to the end value, inclusive or
-    * exclusive based on the 'inclusive' property. If 'inclusive' is true, the
-    * end value is included in the iteration; otherwise, it is excluded. The
-    * iteration step is determined by the 'step' property. If the start value is
-    * less than the end value, the iteration is in ascending order; if the start
-    * value is greater than the end value, the iteration is in descending order.
+    * Determines whether a coordinate is part of the grid.
     *
-    * @param {Function} callback - The function to execute for each value in the
-    * range. It receives the current value as an argument.
+    * @param {Array} point a value for each dimension.
+    * @returns {boolean} `true` if every value is part of its dimension.
     */
-   each(callback) {
-     const start = this.start
-     const end = this.inclusive ? this.end : this.end - (this.step/Math.abs(this.step))
-     const step = this.step
+   includes(point) {
+     return (
+       Array.isArray(point) &&
+       point.length === this.dimensions &&
+       this.#ranges.every((range, axis) => range.includes(point[axis]))
+     )
+   }
 
-     if (start < end) {
-       for (let i = start; i <= end; i += step) {
-         callback(i)
-       }
-     }
-     else if (start > end) {
-       for (let i = start; i >= end; i -= Math.abs(step)) {
-         callback(i)
-       }
+   /**
+    * Returns the coordinate at a position in the iteration order of the
+    * grid. Negative indices count back from the last coordinate.
+    *
+    * @param {number} index the zero based position of the coordinate.
+    * @returns {Array|undefined} the coordinate, or `undefined` if `index`
+    * is out of bounds.
+    */
+   at(index) {
+     const { size } = this
+     const offset = Math.trunc(index) || 0
+     let remaining = offset < 0 ? size + offset : offset
+
+     if (remaining < 0 || remaining >= size)
+       return undefined
+
+     const indices = []
+
+     for (const axis of this.#axes()) {
+       const length = this.#ranges[axis].size
+
+       indices[axis] = remaining % length
+       remaining = Math.floor(remaining / length)
      }
+
+     return this.#pointAt(indices)
    }
 
    /**
-    * Determines whether a given value is included in the range. If the range's
-    * end value is not a number (NaN), it checks if the start value is equal to
-    * the given value. If the end value is a number, it checks if the given value
-    * is between the start and end values, and if the difference between the start
-    * value and the given value is an exact multiple of the step value. This
-    * method takes into account whether the range is inclusive of the end value.
+    * Finds the position of a coordinate in the iteration order of the
+    * grid; the inverse of {@link RangeND#at}.
     *
-    * @param {number} val - The value to check for inclusion in the range.
-    * @returns {boolean} True if the value is included in the range, false
-    * otherwise.
+    * @param {Array} point a value for each dimension.
+    * @returns {number} the zero based position, or `-1` if `point` is not
+    * part of the grid.
     */
-   includes(val) {
-     const start = this.start
-     const end = this.inclusive ? this.end : this.end - (this.step / Math.abs(this.step))
-     const step = this.step
+   indexOf(point) {
+     const indices = this.#indicesOf(point)
 
-     if (isNaN(end)) {
-       return start === val
-     }
-     else if (!isNaN(end) && val <= end && val >= start) {
-       return (val - start) % step === 0
+     if (!indices)
+       return -1
+
+     return this.#axes().reduceRight((position, axis) => (
+       position * this.#ranges[axis].size + indices[axis]
+     ), 0)
+   }
+
+   /**
+    * Creates a sub-grid. Each argument narrows the matching dimension; a
+    * `Range` is intersected with the dimension's values, a `[from, to]`
+    * pair keeps the values at those indices, inclusive, as when slicing a
+    * matrix, and `undefined` or `null` keeps the whole dimension.
+    *
+    * @param {...(Range|number[]|null|undefined)} bounds the bounds of each
+    * dimension.
+    * @returns {RangeND} the sub-grid, in the same order as this grid.
+    * @throws {TypeError} if a bound is neither a `Range` nor a pair.
+    *
+    * @example
+    * Range.grid(8, 8).slice([2, 4]).shape                 // [3, 8]
+    * Range.grid(8, 8).slice(null, new Range(0, 7, 2)).shape // [8, 4]
+    */
+   slice(...bounds) {
+     const ranges = this.#ranges.map((range, axis) => {
+       const bound = bounds[axis]
+
+       if (bound == null)
+         return range
+
+       if (bound instanceof Range)
+         return range.intersect(bound)
+
+       if (!Array.isArray(bound) || bound.length !== 2)
+         throw new TypeError('slice() bounds must be Ranges or index pairs')
+
+       const [from, to] = bound
+
+       return range.skip(from).take(to - from + 1)
+     })
+
+     return new RangeND(ranges, { order: this.order })
+   }
+
+   /**
+    * Finds the coordinates of the grid near a point, measured in steps of
+    * each dimension. With `diagonal` the neighborhood is a square, or cube,
+    * around the point (a Moore neighborhood); without it only points within
+    * `distance` steps when moving along the axes count (a von Neumann
+    * neighborhood). Coordinates outside the grid are left out.
+    *
+    * @param {Array} point the coordinate at the center; must be part of the
+    * grid.
+    * @param {object} [options] the shape of the neighborhood.
+    * @param {number} [options.distance=1] how many steps away to look.
+    * @param {boolean} [options.diagonal=true] whether diagonal neighbors
+    * count.
+    * @param {boolean} [options.includeSelf=false] whether `point` itself
+    * is part of the result.
+    * @returns {Array[]} the neighboring coordinates, in row-major order of
+    * their offsets.
+    * @throws {RangeError} if `point` is not part of the grid.
+    */
+   neighbors(point, options = {}) {
+     const { distance = 1, diagonal = true, includeSelf = false } = options
+     const center = this.#indicesOf(point)
+
+     if (!center)
+       throw new RangeError('neighbors() requires a point within the grid')
+
+     const offsets = [[]]
+
+     for (let axis = 0; axis < this.dimensions; axis++) {
+       const steps = Array.from({ length: 2 * distance + 1 }, (_, i) => (
+         i - distance
+       ))
+
+       offsets.splice(0, offsets.length, ...offsets.flatMap((offset) => (
+         steps.map((step) => [...offset, step])
+       )))
      }
 
-     return false
+     const reach = (offset) => offset.reduce((total, step) => (
+       total + Math.abs(step)
+     ), 0)
+
+     return offsets
+       .filter((offset) => (
+         (includeSelf || offset.some(Boolean)) &&
+         (diagonal || reach(offset) <= distance)
+       ))
+       .map((offset) => center.map((index, axis) => index + offset[axis]))
+       .filter((indices) => indices.every((index, axis) => (
+         index >= 0 && index < this.#ranges[axis].size
+       )))
+       .map((indices) => this.#pointAt(indices))
    }
 
    /**
-    * Creates an iterator that yields each value in the range according to the
-    * start, end, and step properties. The iterator can be used in for...of loops
-    * and other constructs that consume iterables. If the range is inclusive, the
-    * end value is yielded; otherwise, it is not. The iteration respects the
-    * direction of the range, ascending or descending, based on the start and end
-    * values.
+    * Invokes a callback for each coordinate of the grid, in order.
+    *
+    * @param {Function} callback receives each coordinate in turn.
+    */
+   each(callback) {
+     for (const point of this) {
+       callback(point)
+     }
+   }
+
+   /**
+    * Yields every coordinate of the grid in its iteration order. Values are
+    * computed with `Range.prototype.at`, so no dimension is ever gathered
+    * into an array, and an endless dimension is fine as long as it is the
+    * one that changes slowest.
     *
-    * @yields {number} The next value in the range.
+    * @yields {Array} the next coordinate.
     */
    *[Symbol.iterator]() {
-     const start = this.start
-     const end = this.inclusive ? this.end : this.end - (this.step/Math.abs(this.step))
-     const step = this.step
+     if (!this.size)
+       return
 
-     if (start < end) {
-       for (let value = start; value <= end; value += step) {
-         yield value
-       }
-     }
-     else {
-       for (let value = start; value >= end; value -= Math.abs(step)) {
-         yield value
+     const axes = this.#axes()
+     const indices = this.#ranges.map(() => 0)
+
+     while (true) {
+       yield this.#pointAt(indices)
+
+       let carry = 0
+
+       for (; carry < axes.length; carry++) {
+         const axis = axes[carry]
+
+         if (++indices[axis] < this.#ranges[axis].size)
+           break
+
+         indices[axis] = 0
        }
+
+       if (carry === axes.length)
+         return
      }
    }
+
+   /**
+    * Lists the dimensions from fastest to slowest changing.
+    *
+    * @returns {number[]} the axes in the order they advance.
+    */
+   #axes() {
+     const axes = this.#ranges.map((_, axis) => axis)
+
+     return this.order === 'row' ? axes.reverse() : axes
+   }
+
+   /**
+    * Converts an index in each dimension into a coordinate.
+    *
+    * @param {number[]} indices the index within each dimension.
+    * @returns {Array} the values at those indices.
+    */
+   #pointAt(indices) {
+     return indices.map((index, axis) => this.#ranges[axis].at(index))
+   }
+
+   /**
+    * Converts a coordinate into its index in each dimension.
+    *
+    * @param {Array} point a value for each dimension.
+    * @returns {number[]|null} the indices, or `null` if `point` is not part
+    * of the grid.
+    */
+   #indicesOf(point) {
+     if (!Array.isArray(point) || point.length !== this.dimensions)
+       return null
+
+     const indices = point.map((value, axis) => (
+       this.#ranges[axis].indexOf(value)
+     ))
+
+     return indices.includes(-1) ? null : indices
+   }
  }
@@ -1,6 +1,304 @@
+/**
+ * The named scopes created by {@link Singleton.scope} and not yet disposed
+ * of or forgotten by {@link Singleton.resetAll}, keyed by name.
+ *
+ * @type {Map<string, SingletonScope>}
+ */
+const kScopes = new Map()
+
+/**
+ * The method through which {@link Singleton.resetAll} marks the scopes it
+ * forgets disposed of, without disposing of their instances.
+ *
+ * @type {symbol}
+ */
+const kRetire = Symbol('singleton.retire')
+
+/**
+ * A named registry of shared instances, keyed by class. The instances
+ * {@link Singleton.shared} returns live in a default scope; named scopes,
+ * from {@link Singleton.scope}, keep separate instances, for example one
+ * set per tenant, and tear them all down together when disposed.
+ *
+ * Scopes implement `Symbol.dispose`, so runtimes that support explicit
+ * resource management can declare them with `using`; elsewhere, dispose of
+ * them in a `finally` block as below.
+ *
+ * @example
+ * const scope = Singleton.scope('tenant-a')
+ *
+ * try {
+ *   const cache = scope.shared(Cache)
+ *   scope.shared(Cache) === cache   // true
+ *   Cache.shared === cache          // false, that is the default scope's
+ * }
+ * finally {
+ *   scope[Symbol.dispose]()         // disposes of `cache` too
+ * }
+ */
+export class SingletonScope {
+  /**
+   * The instances of this scope, keyed by class.
+   */
+  #instances = null;
+
+  /**
+   * The classes whose instances were supplied by {@link override} rather
+   * than created by the scope, and so are not disposed by it.
+   */
+  #overridden = new Set();
+
+  /**
+   * Whether the scope has been disposed of.
+   */
+  #disposed = false;
+
+  /**
+   * Creates an empty scope.
+   *
+   * @param {string} name the name of the scope.
+   * @param {Map} [instances=new Map()] the map to store instances in.
+   */
+  constructor(name, instances = new Map()) {
+    this.name = name
+    this.#instances = instances
+  }
+
+  /**
+   * The number of instances in this scope.
+   *
+   * @returns {number} the number of classes with an instance.
+   */
+  get size() {
+    return this.#instances.size
+  }
+
+  /**
+   * Whether the scope has been disposed of; disposed scopes refuse to
+   * create instances.
+   *
+   * @returns {boolean} `true` once the scope has been disposed of.
+   */
+  get disposed() {
+    return this.#disposed
+  }
+
+  /**
+   * Returns the instance of a class in this scope, creating it with no
+   * arguments if there is none yet. Classes are keyed by their
+   * `Symbol.species`, as with {@link Singleton.shared}.
+   *
+   * @param {Function} Class the class whose instance is wanted.
+   * @returns {*} the instance of `Class` in this scope.
+   * @throws {ReferenceError} if the scope has been disposed of.
+   */
+  shared(Class) {
+    const species = SingletonScope.#speciesOf(Class)
+
+    if (!this.#instances.has(species)) {
+      if (this.#disposed)
+        throw new ReferenceError(`Singleton scope ${this.name} is disposed`)
+
+      this.#instances.set(species, new species())
+    }
+
+    return this.#instances.get(species)
+  }
+
+  /**
+   * Determines whether this scope holds an instance of a class.
+   *
+   * @param {Function} Class the class to look for.
+   * @returns {boolean} `true` if an instance exists or was overridden.
+   */
+  has(Class) {
+    return this.#instances.has(SingletonScope.#speciesOf(Class))
+  }
+
+  /**
+   * Replaces the instance of a class in this scope, typically with a mock.
+   * The replacement is not disposed of with the scope; that remains the
+   * caller's concern.
+   *
+   * @param {Function} Class the class whose instance to replace.
+   * @param {*} instance the instance to return from now on.
+   * @returns {Function} a function restoring the previous state, whether
+   * that was another instance or none.
+   */
+  override(Class, instance) {
+    const species = SingletonScope.#speciesOf(Class)
+    const existed = this.#instances.has(species)
+    const previous = this.#instances.get(species)
+    const wasOverridden = this.#overridden.has(species)
+
+    this.#instances.set(species, instance)
+    this.#overridden.add(species)
+
+    return () => {
+      if (this.#instances.get(species) !== instance)
+        return
+
+      if (existed)
+        this.#instances.set(species, previous)
+      else
+        this.#instances.delete(species)
+
+      if (!wasOverridden)
+        this.#overridden.delete(species)
+    }
+  }
+
+  /**
+   * Forgets the instance of a class, so that the next request creates a
+   * new one. The forgotten instance is not disposed of.
+   *
+   * @param {Function} Class the class whose instance to forget.
+   * @returns {boolean} `true` if there was an instance.
+   */
+  reset(Class) {
+    const species = SingletonScope.#speciesOf(Class)
+
+    this.#overridden.delete(species)
+
+    return this.#instances.delete(species)
+  }
+
+  /**
+   * Forgets every instance in this scope, without disposing of them.
+   */
+  resetAll() {
+    this.#overridden.clear()
+    this.#instances.clear()
+  }
+
+  /**
+   * Disposes of the scope along with every instance it created, newest
+   * first, calling their `Symbol.dispose` methods where they have one.
+   * Every instance is disposed of even if some throw; a single error is
+   * rethrown as is and several as an `AggregateError`.
+   *
+   * @throws {Error|AggregateError} what disposing of instances threw.
+   */
+  [Symbol.dispose]() {
+    const errors = []
+
+    for (const instance of this.#teardown()) {
+      try {
+        instance?.[Symbol.dispose]?.()
+      }
+      catch (error) {
+        errors.push(error)
+      }
+    }
+
+    SingletonScope.#rethrow(errors, this.name)
+  }
+
+  /**
+   * Disposes of the scope along with every instance it created, newest
+   * first and one at a time, awaiting their `Symbol.asyncDispose` methods,
+   * or calling their `Symbol.dispose` methods, where they have one. Errors
+   * are reported as by `Symbol.dispose`.
+   *
+   * @returns {Promise<void>} settles once every instance is disposed of.
+   */
+  async [Symbol.asyncDispose]() {
+    const errors = []
+
+    for (const instance of this.#teardown()) {
+      try {
+        if (typeof instance?.[Symbol.asyncDispose] === 'function')
+          await instance[Symbol.asyncDispose]()
+        else
+          instance?.[Symbol.dispose]?.()
+      }
+      catch (error) {
+        errors.push(error)
+      }
+    }
+
+    SingletonScope.#rethrow(errors, this.name)
+  }
+
+  /**
+   * Marks the scope disposed of and forgets its instances without disposing
+   * of them, so that holders of a forgotten scope cannot fill it with
+   * instances nothing would ever dispose of.
+   */
+  [kRetire]() {
+    this.#disposed = true
+    this.resetAll()
+  }
+
+  /**
+   * Marks the scope disposed of and empties it, unregistering it so that
+   * {@link Singleton.scope} creates a fresh scope under the same name.
+   *
+   * @returns {Array} the instances the scope created, newest first.
+   */
+  #teardown() {
+    const created = [...this.#instances]
+      .filter(([species]) => !this.#overridden.has(species))
+      .map(([, instance]) => instance)
+      .reverse()
+
+    this.#disposed = true
+    this.resetAll()
+
+    if (kScopes.get(this.name) === this)
+      kScopes.delete(this.name)
+
+    return created
+  }
+
+  /**
+   * Resolves the key a class is stored under.
+   *
+   * @param {Function} Class the class.
+   * @returns {Function} its `Symbol.species`, or the class itself.
+   * @throws {TypeError} if `Class` is not a constructor.
+   */
+  static #speciesOf(Class) {
+    if (typeof Class !== 'function')
+      throw new TypeError('Singleton scopes hold instances of classes')
+
+    return Class[Symbol.species] ?? Class
+  }
+
+  /**
+   * Rethrows the errors raised while disposing of a scope.
+   *
+   * @param {Error[]} errors the errors, in the order they were raised.
+   * @param {string} name the name of the scope.
+   * @throws {Error|AggregateError} the error, or all of them.
+   */
+  static #rethrow(errors, name) {
+    if (errors.length === 1)
+      throw errors[0]
+
+    if (errors.length) {
+      throw new AggregateError(
+        errors,
+        `Disposing of singleton scope ${name} failed`,
+      )
+    }
+  }
+}
+
 /**
  * The Singleton class is a design pattern that ensures only one instance of a
  * class is created and provides a way to access that instance.
+ *
+ * Instances live in a registry that can be reset, overridden and scoped,
+ * which keeps unit tests and tenants from sharing state.
+ *
+ * @example
+ * afterEach(() => Singleton.resetAll())
+ *
+ * test('uses a fake clock', () => {
+ *   Singleton.override(Clock, new FakeClock())
+ *   expect(Clock.shared).toBeInstanceOf(FakeClock)
+ * })
  */
 export class Singleton {
   /**
@@ -10,6 +308,11 @@ export class Singleton {
    */
   static __instanceMap = new Map();
 
+  /**
+   * The default scope, storing its instances in {@link __instanceMap}.
+   */
+  static #root = new SingletonScope('default', Singleton.__instanceMap);
+
   /**
    * The function returns a shared instance of a class, creating a new instance if
    * one does not already exist.
@@ -17,17 +320,64 @@ export class Singleton {
    * @returns The shared instance of the Singleton class.
    */
   static get shared() {
-    // Determine the type of class to instantiate
-    const species = this[Symbol.species]
+    return Singleton.#root.shared(this)
+  }
 
-    // Check to see if the class has been instantiated before
-    if (!Singleton.__instanceMap.has(species)) {
-      // Instantiate the class if it hasn't been
-      Singleton.__instanceMap.set(species, new species())
-    }
+  /**
+   * Forgets the shared instance of a class, so that the next access to
+   * `shared` creates a new one. The instance is not disposed of.
+   *
+   * @param {Function} [Class=this] the class whose instance to forget.
+   * @returns {boolean} `true` if there was an instance.
+   */
+  static reset(Class = this) {
+    return Singleton.#root.reset(Class)
+  }
+
+  /**
+   * Forgets every shared instance, in the default scope and in every named
+   * scope, without disposing of them. The named scopes are forgotten too,
+   * so that {@link scope} creates fresh ones and scopes named after
+   * short-lived keys, such as tenants, do not accumulate. Forgotten scopes
+   * count as disposed of and refuse to create further instances.
+   */
+  static resetAll() {
+    Singleton.#root.resetAll()
+
+    for (const scope of kScopes.values())
+      scope[kRetire]()
+
+    kScopes.clear()
+  }
+
+  /**
+   * Replaces the shared instance of a class, typically with a mock.
+   *
+   * @param {Function} Class the class whose instance to replace.
+   * @param {*} instance the instance `shared` returns from now on.
+   * @returns {Function} a function restoring the previous instance.
+   *
+   * @example
+   * const restore = Singleton.override(Api, fakeApi)
+   * Api.shared === fakeApi  // true
+   * restore()
+   */
+  static override(Class, instance) {
+    return Singleton.#root.override(Class, instance)
+  }
+
+  /**
+   * Returns the named scope, creating it if it does not exist or has been
+   * disposed of.
+   *
+   * @param {string} name the name of the scope.
+   * @returns {SingletonScope} the scope.
+   */
+  static scope(name) {
+    if (!kScopes.has(name))
+      kScopes.set(name, new SingletonScope(name))
 
-    // Return the instantiated class instance
-    return Singleton.__instanceMap.get(species)
+    return kScopes.get(name)
   }
 
   /**
@@ -5,23 +5,48 @@ Patch.enableAll()
 
 import { Deferred } from './async/deferred.js'
 
-import { Callable } from './core/callable.js'
-import { Range } from './core/range.js'
-import { Singleton } from './core/singleton.js'
+import {
+  Callable,
+  CallableCache,
+  CallableOverloadError,
+  CallableOverloads,
+  CallableTypeError,
+} from './core/callable.js'
+import {
+  Range,
+  RangeND,
+  RangeParseError,
+  RangeSequence,
+  RangeSet,
+} from './core/range.js'
+import { Singleton, SingletonScope } from './core/singleton.js'
 
 import { Tags } from './strings/tags.js'
 
 import { Hasher } from './util/hasher.js'
-import { SemVer } from './util/semver.js'
+import { FrozenSemVer, SemVer, SemVerParseError } from './util/semver.js'
+import { SemVerRange } from './util/semver.range.js'
 
 export const classes = {
   Deferred,
   Callable,
+  CallableCache,
+  CallableOverloads,
+  CallableOverloadError,
+  CallableTypeError,
   Range,
+  RangeSet,
+  RangeSequence,
+  RangeParseError,
+  RangeND,
   Singleton,
+  SingletonScope,
   Tags,
   Hasher,
   SemVer,
+  FrozenSemVer,
+  SemVerParseError,
+  SemVerRange,
 }
 
 export const extensions = {
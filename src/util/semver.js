@@ -1,3 +1,254 @@
+/**
+ * Normalizes a value that may be either a version string or an existing
+ * `SemVer` instance into a `SemVer` instance. Strings are parsed, instances
+ * are returned as is. This allows the comparison APIs to accept either form
+ * interchangeably.
+ *
+ * @param {string|SemVer} value the version to normalize.
+ * @returns {SemVer} a `SemVer` instance representing `value`.
+ */
+function toSemVer(value) {
+  return value instanceof SemVer ? value : new SemVer(String(value))
+}
+
+/**
+ * Compares two individual prerelease identifiers according to section 11 of
+ * the semver 2.0.0 specification. Identifiers consisting of only digits are
+ * compared numerically, alphanumeric identifiers are compared lexically in
+ * ASCII sort order, and numeric identifiers always have lower precedence
+ * than alphanumeric ones.
+ *
+ * @param {string} left the left hand prerelease identifier.
+ * @param {string} right the right hand prerelease identifier.
+ * @returns {number} `-1`, `0` or `1` as `left` is lower than, equal to or
+ * higher than `right`.
+ */
+function compareIdentifiers(left, right) {
+  const leftNumeric = /^\d+$/.test(left)
+  const rightNumeric = /^\d+$/.test(right)
+
+  if (leftNumeric && rightNumeric) {
+    const l = BigInt(left)
+    const r = BigInt(right)
+
+    return l === r ? 0 : (l < r ? -1 : 1)
+  }
+
+  if (leftNumeric)
+    return -1
+
+  if (rightNumeric)
+    return 1
+
+  return left === right ? 0 : (left < right ? -1 : 1)
+}
+
+/**
+ * Compares two prerelease strings, such as `alpha.1` and `beta`, using the
+ * semver 2.0.0 precedence rules. A version without a prerelease has higher
+ * precedence than one with a prerelease. Otherwise each dot separated
+ * identifier is compared in turn and, if all shared identifiers are equal,
+ * the longer set of identifiers wins.
+ *
+ * @param {string} left the left hand prerelease string, may be empty.
+ * @param {string} right the right hand prerelease string, may be empty.
+ * @returns {number} `-1`, `0` or `1` as `left` is lower than, equal to or
+ * higher than `right`.
+ */
+function comparePrereleases(left, right) {
+  if (left === right)
+    return 0
+
+  if (!left)
+    return 1
+
+  if (!right)
+    return -1
+
+  const leftIds = left.split('.')
+  const rightIds = right.split('.')
+  const length = Math.min(leftIds.length, rightIds.length)
+
+  for (let i = 0; i < length; i++) {
+    const result = compareIdentifiers(leftIds[i], rightIds[i])
+
+    if (result !== 0)
+      return result
+  }
+
+  return Math.sign(leftIds.length - rightIds.length)
+}
+
+/**
+ * Thrown when a string cannot be parsed as a semantic version. In addition
+ * to a readable message, the error records the offending `input`, the
+ * character `offset` at which parsing failed and a description of what
+ * the parser `expected` to find there. This makes it possible to point a
+ * user directly at the mistake in a configuration file or form field.
+ *
+ * @example
+ * try {
+ *   new SemVer('1.02.3')
+ * }
+ * catch (error) {
+ *   error.offset    // 2
+ *   error.expected  // 'minor version without leading zeros'
+ * }
+ */
+export class SemVerParseError extends Error {
+  /**
+   * Creates a new parse error describing where and why parsing failed.
+   *
+   * @param {string} input the string that was being parsed.
+   * @param {number} offset the character offset within `input` at which
+   * parsing failed.
+   * @param {string} expected a short description of what was expected at
+   * `offset`.
+   */
+  constructor(input, offset, expected) {
+    const found = offset < input.length
+      ? `"${input[offset]}"`
+      : 'end of input'
+
+    super(
+      `Invalid version "${input}": expected ${expected} at offset ` +
+      `${offset}, found ${found}`
+    )
+
+    this.name = 'SemVerParseError'
+    this.input = input
+    this.offset = offset
+    this.expected = expected
+  }
+}
+
+/**
+ * Parses a version string according to the grammar in the semver 2.0.0
+ * specification. Numeric identifiers may not have leading zeros, prerelease
+ * and build identifiers may only contain `[0-9A-Za-z-]` and may not be
+ * empty, and nothing may follow the build metadata.
+ *
+ * In `loose` mode, surrounding whitespace and a leading `=` or `v` are
+ * ignored, missing minor and patch numbers default to `0`, leading zeros
+ * are tolerated and any numeric positions beyond patch, as in `1.2.3.4`,
+ * are discarded.
+ *
+ * @param {string} input the string to parse.
+ * @param {boolean} [loose=false] if `true`, common deviations from the
+ * specification are coerced rather than rejected.
+ * @returns {{major: number, minor: number, patch: number,
+ * prerelease: string, metadata: string}} the parsed version parts.
+ * @throws {SemVerParseError} if `input` does not match the grammar.
+ */
+function parseVersion(input, loose = false) {
+  const isDigit = (char) => char >= '0' && char <= '9'
+  const isIdentifierChar = (char) => !!char && /[0-9A-Za-z-]/.test(char)
+  const fail = (at, expected) => {
+    throw new SemVerParseError(input, at, expected)
+  }
+
+  let offset = 0
+
+  const skipWhitespace = () => {
+    while (offset < input.length && /\s/.test(input[offset]))
+      offset++
+  }
+
+  const numeric = (label) => {
+    const start = offset
+
+    while (isDigit(input[offset]))
+      offset++
+
+    if (start === offset)
+      fail(start, `a numeric ${label} version`)
+
+    if (!loose && input[start] === '0' && offset - start > 1)
+      fail(start, `${label} version without leading zeros`)
+
+    const value = Number(input.slice(start, offset))
+
+    if (value > Number.MAX_SAFE_INTEGER)
+      fail(start, `${label} version no larger than ${Number.MAX_SAFE_INTEGER}`)
+
+    return value
+  }
+
+  const identifiers = (label, numericRules) => {
+    const start = offset
+
+    do {
+      const identifierStart = offset
+
+      while (isIdentifierChar(input[offset]))
+        offset++
+
+      if (identifierStart === offset)
+        fail(offset, `a ${label} identifier`)
+
+      const identifier = input.slice(identifierStart, offset)
+
+      if (numericRules && !loose && /^0\d+$/.test(identifier))
+        fail(identifierStart, `a ${label} identifier without leading zeros`)
+    } while (input[offset] === '.' && ++offset)
+
+    return input.slice(start, offset)
+  }
+
+  if (loose) {
+    skipWhitespace()
+
+    if (input[offset] === '=')
+      offset++
+
+    skipWhitespace()
+
+    if (input[offset] === 'v' || input[offset] === 'V')
+      offset++
+  }
+
+  const major = numeric('major')
+  const [minor, patch] = ['minor', 'patch'].map((label) => {
+    if (input[offset] === '.') {
+      offset++
+      return numeric(label)
+    }
+
+    if (!loose)
+      fail(offset, `"." followed by the ${label} version`)
+
+    return 0
+  })
+
+  if (loose) {
+    while (input[offset] === '.' && isDigit(input[offset + 1])) {
+      offset++
+      numeric('extra')
+    }
+  }
+
+  let prerelease = ''
+  let metadata = ''
+
+  if (input[offset] === '-') {
+    offset++
+    prerelease = identifiers('prerelease', true)
+  }
+
+  if (input[offset] === '+') {
+    offset++
+    metadata = identifiers('build metadata', false)
+  }
+
+  if (loose)
+    skipWhitespace()
+
+  if (offset !== input.length)
+    fail(offset, 'end of version')
+
+  return { major, minor, patch, prerelease, metadata }
+}
+
 /**
  * Represents a semantic version (semver) and provides utility methods for
  * managing and comparing versions according to the semver specification.
@@ -7,23 +258,23 @@ export class SemVer {
    * Constructs a SemVer instance. Initializes the version based on the
    * provided semver string or defaults to "0.0.0" if not specified.
    *
-   * Alternatively, if a specific portion of the version is indicated, only
-   * that portion of the version instance will be modified. The `part` parameter
-   * needs to match a portion of the SemVer object instance that needs updating;
-   * `major`, `minor`, and `patch` are all converted to integers, while `prerelease`
-   * and `metadata` are set as strings, unchanged.
+   * The string must adhere to the semver 2.0.0 grammar unless the `loose`
+   * option is supplied, in which case inputs such as `v1.2`, `=1.2.3` or
+   * `1.2.3.4` are coerced into a valid version.
+   *
+   * ```
+   * interface SemVerOptions {
+   *   // Coerce common deviations from the spec rather than rejecting them
+   *   loose?: boolean;
+   * }
+   * ```
    *
    * @param {string} [semverString="0.0.0"] - The initial semantic version string.
-   * @param {string} [part="*"] - by default this is set to `*` which indicates that
-   * the entire `semverString` is to be parsed. If the `part` is the name of a property
-   * matching one of [`major`, `minor`, `patch`, `prerelease` or `metadata`] then
-   * only that portion of the version is set. For major, minor and patch, the value
-   * will be parsed into an integer. If an unknown key is specified, the entire
-   * string will be processed.
-   * @throws {Error} If semverString is not a valid semver format.
+   * @param {SemVerOptions} [options] - Optional parsing behavior.
+   * @throws {SemVerParseError} If semverString is not a valid semver format.
    */
-  constructor(semverString = "0.0.0") {
-    this.set(semverString)
+  constructor(semverString = "0.0.0", options = {}) {
+    this.set(semverString, SemVer.FULL, options)
   }
 
   /**
@@ -31,10 +282,24 @@ export class SemVer {
    * and updates the major, minor, patch, prerelease, and metadata parts of the
    * version accordingly.
    *
+   * Alternatively, if a specific portion of the version is indicated, only
+   * that portion of the version instance will be modified. The `part`
+   * parameter needs to match a portion of the SemVer object instance that
+   * needs updating; `major`, `minor`, and `patch` are all converted to
+   * integers, while `prerelease` and `metadata` are set as strings, unchanged.
+   *
    * @param {string} semverString - The semver string to parse and set.
-   * @throws {Error} If semverString is not a string or not in valid semver format.
+   * @param {string} [part="*"] - by default this is set to `*` which indicates
+   * that the entire `semverString` is to be parsed. If the `part` is the name
+   * of a property matching one of [`major`, `minor`, `patch`, `prerelease` or
+   * `metadata`] then only that portion of the version is set. If an unknown
+   * key is specified, the entire string will be processed.
+   * @param {SemVerOptions} [options] - Optional parsing behavior; see the
+   * constructor for details.
+   * @throws {Error} If semverString is not a string.
+   * @throws {SemVerParseError} If semverString is not in valid semver format.
    */
-  set(semverString, part = '*') {
+  set(semverString, part = '*', options = {}) {
     const { MAJOR, MINOR, PATCH, PRERELEASE, METADATA, FULL } = SemVer
 
     if (typeof semverString !== 'string') {
@@ -53,25 +318,13 @@ export class SemVer {
       }
     }
 
-    const [versionPart, prereleaseAndMetadata] = semverString.split('+')
-    const [version, prerelease] = versionPart.split('-')
-    const [major, minor, patch] = version.split('.').map(Number)
+    const parsed = parseVersion(semverString, !!options?.loose)
 
-    if (version.split('.').length !== 3) {
-      throw new Error('Version must be in the format major.minor.patch')
-    }
-
-    if ([major, minor, patch].some(num => num < 0 || isNaN(num))) {
-      throw new Error('Major, minor, and patch versions must be non-negative integers')
-    }
-
-    this.major = major
-    this.minor = minor
-    this.patch = patch
-    this.prerelease = prerelease || ''
-    this.metadata = prereleaseAndMetadata && prereleaseAndMetadata !== prerelease
-      ? prereleaseAndMetadata
-      : ''
+    this.major = parsed.major
+    this.minor = parsed.minor
+    this.patch = parsed.patch
+    this.prerelease = parsed.prerelease
+    this.metadata = parsed.metadata
   }
 
   /**
@@ -93,24 +346,169 @@ export class SemVer {
   }
 
   /**
-   * Increments part of the SemVer instance by the indicated amount.
+   * Increments the version according to an npm-style release type. Lower
+   * positions are reset and prerelease identifiers are managed so that the
+   * result is always the next version of the requested kind; incrementing
+   * `1.2.3` by `minor` yields `1.3.0`, not `1.3.3`. Build metadata is left
+   * untouched.
    *
-   * @param {string} version the portion of the version to increment. Valid values
-   * are `major`, `minor` or `patch`.
-   * @param {number} by - the amount by which the version is incremented. This
-   * defaults to 1.
+   * ```
+   * release      1.2.3               1.2.3-beta.1
+   * -----------  ------------------  ------------------
+   * major        2.0.0               2.0.0
+   * minor        1.3.0               1.3.0
+   * patch        1.2.4               1.2.3
+   * premajor     2.0.0-beta.0        2.0.0-beta.0
+   * preminor     1.3.0-beta.0        1.3.0-beta.0
+   * prepatch     1.2.4-beta.0        1.2.4-beta.0
+   * prerelease   1.2.4-beta.0        1.2.3-beta.2
+   * ```
+   *
+   * Note that a prerelease version is already "ahead" of its release, so
+   * `major`, `minor` and `patch` simply graduate a prerelease whose lower
+   * positions are already zero; `1.0.0-rc.1` incremented by `major` becomes
+   * `1.0.0`.
+   *
+   * @param {string} version the release type. Valid values are `major`,
+   * `minor`, `patch`, `premajor`, `preminor`, `prepatch` and `prerelease`;
+   * see the `SemVer` constants of the same names.
+   * @param {number|string} [by=1] the number of times the increment is
+   * applied. A string is used as the prerelease `identifier` instead, with
+   * the increment applied once, when the release type is one of the `pre*`
+   * types or the string is not numeric; `'2'` still means twice for `major`.
+   * @param {string} [identifier] the prerelease identifier, such as `beta`,
+   * used by the `pre*` release types. When the current prerelease begins
+   * with a different identifier, numbering restarts at `0`.
    * @returns {SemVer} the `this` instance for further chaining
+   *
+   * @example
+   * const version = new SemVer('1.2.3')
+   *
+   * version.increment(SemVer.PREMINOR, 'beta').get()   // '1.3.0-beta.0'
+   * version.increment(SemVer.PRERELEASE, 'beta').get() // '1.3.0-beta.1'
+   * version.increment(SemVer.PRERELEASE, 'rc').get()   // '1.3.0-rc.0'
+   * version.increment(SemVer.MINOR).get()              // '1.3.0'
    */
-  increment(version, by = 1) {
-    const { MAJOR, MINOR, PATCH } = SemVer
+  increment(version, by = 1, identifier = '') {
+    const pre = String(version).startsWith('pre')
 
-    if ([MAJOR, MINOR, PATCH].includes(version)) {
-      this[version] = Math.round(this[version] + parseInt(by))
+    if (typeof by === 'string' && (pre || !/^\s*\d+\s*$/.test(by))) {
+      identifier = by
+      by = 1
+    }
+
+    const times = Math.max(0, Math.round(Number(by)))
+
+    for (let i = 0; i < times; i++) {
+      this.#incrementOnce(version, identifier)
     }
 
     return this
   }
 
+  /**
+   * Applies a single increment of the supplied release type. This is the
+   * workhorse behind {@link SemVer.increment}.
+   *
+   * @param {string} release the release type to apply.
+   * @param {string} identifier the prerelease identifier, may be empty.
+   */
+  #incrementOnce(release, identifier) {
+    const { MAJOR, MINOR, PATCH, PRERELEASE } = SemVer
+    const { PREMAJOR, PREMINOR, PREPATCH } = SemVer
+
+    switch (release) {
+      case MAJOR:
+        if (this.minor !== 0 || this.patch !== 0 || !this.prerelease)
+          this.major++
+
+        this.minor = 0
+        this.patch = 0
+        this.prerelease = ''
+        return
+
+      case MINOR:
+        if (this.patch !== 0 || !this.prerelease)
+          this.minor++
+
+        this.patch = 0
+        this.prerelease = ''
+        return
+
+      case PATCH:
+        if (!this.prerelease)
+          this.patch++
+
+        this.prerelease = ''
+        return
+
+      case PREMAJOR:
+        this.major++
+        this.minor = 0
+        this.patch = 0
+        this.prerelease = ''
+        this.#incrementPrerelease(identifier)
+        return
+
+      case PREMINOR:
+        this.minor++
+        this.patch = 0
+        this.prerelease = ''
+        this.#incrementPrerelease(identifier)
+        return
+
+      case PREPATCH:
+        this.patch++
+        this.prerelease = ''
+        this.#incrementPrerelease(identifier)
+        return
+
+      case PRERELEASE:
+        if (!this.prerelease)
+          this.patch++
+
+        this.#incrementPrerelease(identifier)
+        return
+
+      default:
+        break
+    }
+  }
+
+  /**
+   * Advances the prerelease portion of the version. Without an existing
+   * prerelease, one is started at `identifier.0`, or just `0` when no
+   * identifier is given. Otherwise the right-most numeric identifier is
+   * incremented, or `.0` is appended when there is none. If `identifier`
+   * differs from the leading prerelease identifier, numbering restarts.
+   *
+   * @param {string} identifier the prerelease identifier, may be empty.
+   */
+  #incrementPrerelease(identifier) {
+    const start = identifier ? `${identifier}.0` : '0'
+
+    if (!this.prerelease) {
+      this.prerelease = start
+      return
+    }
+
+    const identifiers = this.prerelease.split('.')
+
+    if (identifier && identifiers[0] !== identifier) {
+      this.prerelease = start
+      return
+    }
+
+    const index = identifiers.findLastIndex((id) => /^\d+$/.test(id))
+
+    if (~index)
+      identifiers[index] = String(Number(identifiers[index]) + 1)
+    else
+      identifiers.push('0')
+
+    this.prerelease = identifiers.join('.')
+  }
+
   /**
    * Decrements part of the SemVer instance by the indicated amount.
    *
@@ -132,23 +530,96 @@ export class SemVer {
     return this
   }
 
+  /**
+   * Returns a copy of this version with the supplied fields replaced. The
+   * instance it is called on is never modified, which makes this the
+   * preferred way to derive one version from another when instances are
+   * shared across module boundaries. The copy is of the same class as this
+   * instance, so deriving from a {@link FrozenSemVer} yields another frozen
+   * version.
+   *
+   * @param {object} [changes] any of `major`, `minor`, `patch`, `prerelease`
+   * and `metadata`; omitted fields are copied from this version.
+   * @returns {SemVer} a new instance reflecting the changes.
+   * @throws {SemVerParseError} if the resulting version would be invalid.
+   *
+   * @example
+   * const release = new SemVer('1.4.0')
+   * const candidate = release.with({ minor: 5, prerelease: 'rc.1' })
+   *
+   * candidate.get()  // '1.5.0-rc.1'
+   * release.get()    // '1.4.0'
+   */
+  with(changes = {}) {
+    const {
+      major = this.major,
+      minor = this.minor,
+      patch = this.patch,
+      prerelease = this.prerelease,
+      metadata = this.metadata,
+    } = changes ?? {}
+
+    let semverString = `${major}.${minor}.${patch}`
+
+    if (prerelease)
+      semverString += `-${prerelease}`
+
+    if (metadata)
+      semverString += `+${metadata}`
+
+    return new this.constructor(semverString)
+  }
+
+  /**
+   * Creates an independent copy of this version of the same class.
+   *
+   * @returns {SemVer} a new instance equal to this one.
+   */
+  clone() {
+    return this.with()
+  }
+
+  /**
+   * Creates an immutable copy of this version. See {@link FrozenSemVer}.
+   *
+   * @returns {FrozenSemVer} a frozen instance equal to this one.
+   */
+  toFrozen() {
+    return new FrozenSemVer(this.get())
+  }
+
+  /**
+   * Returns the full version string so that `JSON.stringify` emits
+   * `"1.2.3-beta.1"` rather than an object of individual fields. Use
+   * {@link SemVer.fromJSON} or {@link SemVer.reviver} to turn the string
+   * back into an instance.
+   *
+   * @returns {string} the full version string.
+   *
+   * @example
+   * JSON.stringify({ engine: new SemVer('2.3.0') })
+   * // '{"engine":"2.3.0"}'
+   */
+  toJSON() {
+    return this.get()
+  }
+
   /**
    * Converts the version to a primitive value based on the context. When
    * converting to a number, only the major and minor parts are considered.
-   * When converting to a string, the full semver string is returned.
+   * Otherwise, as with string conversion or `'v' + version`, the full
+   * semver string is returned.
    *
-   * @param {string} hint - The context in which conversion is requested ("number"
-   * or "string").
-   * @returns {(string|number|null)} The converted value.
+   * @param {string} hint - The context in which conversion is requested
+   * ("number", "string" or "default").
+   * @returns {(string|number)} The converted value.
    */
   [Symbol.toPrimitive](hint) {
     switch (hint) {
       case 'number':
         return parseFloat(`${this.major}.${this.minor}`)
-      case 'string':
-        return this.get()
       default:
-        return null
+        return this.get()
     }
   }
 
@@ -201,6 +672,111 @@ export class SemVer {
            this.prerelease === otherVersion.prerelease
   }
 
+  /**
+   * Determines the precedence of this version relative to another, following
+   * section 11 of the semver 2.0.0 specification. Major, minor and patch are
+   * compared numerically, a prerelease version has lower precedence than the
+   * associated normal version, prerelease identifiers are compared one by one
+   * and build metadata is ignored entirely.
+   *
+   * ```
+   * 1.0.0-alpha < 1.0.0-alpha.1 < 1.0.0-alpha.beta < 1.0.0-beta
+   *   < 1.0.0-beta.2 < 1.0.0-beta.11 < 1.0.0-rc.1 < 1.0.0
+   * ```
+   *
+   * @param {SemVer|string} otherVersion the version to compare against. If a
+   * string is supplied, it is parsed into a `SemVer` first.
+   * @returns {number} `-1` if this version has lower precedence, `1` if it has
+   * higher precedence and `0` if both versions share the same precedence.
+   *
+   * @example
+   * new SemVer('1.2.3').compareTo('1.10.0')      // -1
+   * new SemVer('1.0.0').compareTo('1.0.0-rc.1')  // 1
+   * new SemVer('1.0.0+a').compareTo('1.0.0+b')   // 0
+   */
+  compareTo(otherVersion) {
+    const other = toSemVer(otherVersion)
+
+    for (const part of [SemVer.MAJOR, SemVer.MINOR, SemVer.PATCH]) {
+      if (this[part] !== other[part])
+        return this[part] < other[part] ? -1 : 1
+    }
+
+    return comparePrereleases(this.prerelease, other.prerelease)
+  }
+
+  /**
+   * Returns `true` if this version has lower precedence than `otherVersion`,
+   * `false` otherwise. See {@link SemVer.compareTo} for the rules applied.
+   *
+   * @param {SemVer|string} otherVersion the version to compare against.
+   * @returns {boolean} `true` if this version is older than `otherVersion`.
+   */
+  lt(otherVersion) {
+    return this.compareTo(otherVersion) < 0
+  }
+
+  /**
+   * Returns `true` if this version has lower or equal precedence compared to
+   * `otherVersion`, `false` otherwise.
+   *
+   * @param {SemVer|string} otherVersion the version to compare against.
+   * @returns {boolean} `true` if this version is not newer than `otherVersion`.
+   */
+  lte(otherVersion) {
+    return this.compareTo(otherVersion) <= 0
+  }
+
+  /**
+   * Returns `true` if this version has higher precedence than `otherVersion`,
+   * `false` otherwise. See {@link SemVer.compareTo} for the rules applied.
+   *
+   * @param {SemVer|string} otherVersion the version to compare against.
+   * @returns {boolean} `true` if this version is newer than `otherVersion`.
+   */
+  gt(otherVersion) {
+    return this.compareTo(otherVersion) > 0
+  }
+
+  /**
+   * Returns `true` if this version has higher or equal precedence compared to
+   * `otherVersion`, `false` otherwise.
+   *
+   * @param {SemVer|string} otherVersion the version to compare against.
+   * @returns {boolean} `true` if this version is not older than `otherVersion`.
+   */
+  gte(otherVersion) {
+    return this.compareTo(otherVersion) >= 0
+  }
+
+  /**
+   * Determines whether moving between `otherVersion` and this version
+   * crosses a compatibility boundary. The boundary is the left-most non-zero
+   * position, the same rule caret ranges use, so below `1.0.0` a minor bump
+   * is considered breaking and below `0.1.0` even a patch bump is. The check
+   * is symmetric; a downgrade across a boundary is just as breaking as an
+   * upgrade.
+   *
+   * @param {SemVer|string} otherVersion the version being moved away from.
+   * @returns {boolean} `true` if code written against `otherVersion` cannot
+   * be expected to work with this version, `false` otherwise.
+   *
+   * @example
+   * new SemVer('2.0.0').isBreakingChangeFrom('1.9.4')   // true
+   * new SemVer('1.9.4').isBreakingChangeFrom('1.2.0')   // false
+   * new SemVer('0.3.0').isBreakingChangeFrom('0.2.7')   // true
+   * new SemVer('0.2.8').isBreakingChangeFrom('0.2.7')   // false
+   * new SemVer('0.0.4').isBreakingChangeFrom('0.0.3')   // true
+   */
+  isBreakingChangeFrom(otherVersion) {
+    const other = toSemVer(otherVersion)
+    const lane = ({ major, minor, patch }) => (
+      major > 0 ? `${major}` : (minor > 0 ? `0.${minor}` : `0.0.${patch}`)
+    )
+
+    return lane(this) !== lane(other)
+  }
+
   /**
    * Provides a custom tag when the object is converted to a string. This
    * method overrides the default behavior to return the class name instead
@@ -257,6 +833,45 @@ export class SemVer {
    */
   metadata = ''
 
+  /**
+   * The `kSemVerPattern` is a regular expression that finds semver 2.0.0
+   * compliant versions embedded within larger strings, such as filenames,
+   * changelogs or banners. A version is not matched when it is directly
+   * attached to other digits, so `1.2.3.4` contains no version at all, but
+   * a leading `v` or a surrounding `.` as in `bundle.2.3.2.js` is fine.
+   *
+   * Trailing dot separated identifiers made of letters alone are taken to
+   * be file extensions rather than part of the prerelease or build, so
+   * `1.2.3-beta.js` matches `1.2.3-beta`. The price is that a version such
+   * as `1.0.0-alpha.beta` is only matched up to `1.0.0-alpha`.
+   *
+   * A new, global, `RegExp` is returned on each access so that its
+   * `lastIndex` state is never shared between callers.
+   *
+   * @example
+   * 'app-1.4.0-rc.1.tgz'.match(SemVer.kSemVerPattern)
+   * // ['1.4.0-rc.1']
+   *
+   * @type {RegExp}
+   */
+  static get kSemVerPattern() {
+    const number = '(?:0|[1-9]\\d*)'
+    const identifier = `(?:${number}|\\d*[A-Za-z-][0-9A-Za-z-]*)`
+    const build = '[0-9A-Za-z-]+'
+    const separator = [
+      '(?!(?:\\.[A-Za-z]+)+',
+      '(?![0-9A-Za-z-]|\\.[0-9A-Za-z-]))\\.',
+    ].join('')
+
+    return new RegExp([
+      '(?<!\\d)(?<!\\d\\.)',
+      `${number}\\.${number}\\.${number}`,
+      `(?:-${identifier}(?:${separator}${identifier})*)?`,
+      `(?:\\+${build}(?:${separator}${build})*)?`,
+      '(?![0-9A-Za-z-])(?!\\.\\d)',
+    ].join(''), 'g')
+  }
+
   /**
    * The `FULL` constant can be passed as a second parameter, inspite of it being
    * the default value, to the `.set()` method on `SemVer` instances. It indicates
@@ -298,7 +913,8 @@ export class SemVer {
 
   /**
    * The `PRERELEASE` constant can be used as a parameter to `set()` method. It
-   * points to the pre-release semver version text.
+   * points to the pre-release semver version text. When passed to
+   * `increment()`, it advances the current prerelease or starts a new one.
    *
    * @example semver.set("beta", SemVer.PRERELEASE).get()
    *
@@ -306,6 +922,36 @@ export class SemVer {
    */
   static get PRERELEASE() { return "prerelease" }
 
+  /**
+   * The `PREMAJOR` constant can be used as a parameter to `increment()`. It
+   * bumps the major version and starts a new prerelease for it.
+   *
+   * @example semver.increment(SemVer.PREMAJOR, 'alpha').get()
+   *
+   * @type {string}
+   */
+  static get PREMAJOR() { return "premajor" }
+
+  /**
+   * The `PREMINOR` constant can be used as a parameter to `increment()`. It
+   * bumps the minor version and starts a new prerelease for it.
+   *
+   * @example semver.increment(SemVer.PREMINOR, 'beta').get()
+   *
+   * @type {string}
+   */
+  static get PREMINOR() { return "preminor" }
+
+  /**
+   * The `PREPATCH` constant can be used as a parameter to `increment()`. It
+   * bumps the patch version and starts a new prerelease for it.
+   *
+   * @example semver.increment(SemVer.PREPATCH, 'rc').get()
+   *
+   * @type {string}
+   */
+  static get PREPATCH() { return "prepatch" }
+
   /**
    * The `METADATA` constant can be used as a parameter to `set()` method. It
    * points to the metadata semver version text.
@@ -330,4 +976,516 @@ export class SemVer {
   static compare(leftVersion, rightVersion) {
     return new SemVer(leftVersion).isSemverEqual(new SemVer(rightVersion))
   }
-}
\ No newline at end of file
+
+  /**
+   * A three-way comparator suitable for passing to `Array.prototype.sort`.
+   * Unlike {@link SemVer.compare}, which only answers equality, this returns
+   * the relative precedence of the two versions. Either argument may be a
+   * version string or a `SemVer` instance.
+   *
+   * @param {SemVer|string} leftVersion the first version to compare.
+   * @param {SemVer|string} rightVersion the second version to compare.
+   * @returns {number} `-1`, `0` or `1` as `leftVersion` has lower, equal or
+   * higher precedence than `rightVersion`.
+   *
+   * @example
+   * ['1.10.0', '1.2.0', '1.2.0-beta'].sort(SemVer.precedence)
+   * // ['1.2.0-beta', '1.2.0', '1.10.0']
+   */
+  static precedence(leftVersion, rightVersion) {
+    return toSemVer(leftVersion).compareTo(rightVersion)
+  }
+
+  /**
+   * Sorts a list of versions by semver precedence. The list may freely mix
+   * version strings and `SemVer` instances; the returned array contains the
+   * original elements, not copies, so strings stay strings. The supplied
+   * array is not modified. Versions of equal precedence, such as those that
+   * differ only in build metadata, retain their original relative order.
+   *
+   * @param {Array<SemVer|string>} versions the versions to sort.
+   * @param {boolean} [descending=false] if `true`, the newest version is
+   * placed first rather than last.
+   * @returns {Array<SemVer|string>} a new, sorted array.
+   *
+   * @example
+   * SemVer.sort(['2.0.0', new SemVer('1.0.0'), '1.0.0-rc.1'])
+   * // ['1.0.0-rc.1', SemVer(1.0.0), '2.0.0']
+   */
+  static sort(versions, descending = false) {
+    const direction = descending ? -1 : 1
+
+    return (versions
+      .map((original) => ({ original, version: toSemVer(original) }))
+      .sort((l, r) => direction * l.version.compareTo(r.version))
+      .map(({ original }) => original)
+    )
+  }
+
+  /**
+   * Finds the version with the highest precedence in the supplied list. The
+   * original element is returned, so a string input yields a string result.
+   *
+   * @param {Array<SemVer|string>} versions the versions to search.
+   * @returns {SemVer|string|undefined} the newest version, or `undefined` if
+   * `versions` is empty.
+   */
+  static max(versions) {
+    return SemVer.sort(versions, true)[0]
+  }
+
+  /**
+   * Finds the version with the lowest precedence in the supplied list. The
+   * original element is returned, so a string input yields a string result.
+   *
+   * @param {Array<SemVer|string>} versions the versions to search.
+   * @returns {SemVer|string|undefined} the oldest version, or `undefined` if
+   * `versions` is empty.
+   */
+  static min(versions) {
+    return SemVer.sort(versions)[0]
+  }
+
+  /**
+   * Classifies the change between two versions. The result names the most
+   * significant position that differs, prefixed with `pre` when the newer of
+   * the two versions is a prerelease. The order of the arguments does not
+   * matter.
+   *
+   * Graduating a prerelease to its release is special cased, since no
+   * position of `major.minor.patch` need differ; `1.0.0-rc.1` to `1.0.0` is
+   * a `major` change, `1.1.0-rc.1` to `1.1.0` a `minor` one and `1.1.1-rc.1`
+   * to `1.1.1` a `patch`.
+   *
+   * @param {SemVer|string} leftVersion the first version.
+   * @param {SemVer|string} rightVersion the second version.
+   * @returns {string|null} one of `major`, `premajor`, `minor`, `preminor`,
+   * `patch`, `prepatch` or `prerelease`, or `null` if the two versions have
+   * the same precedence.
+   *
+   * @example
+   * SemVer.diff('1.2.3', '2.0.0')          // 'major'
+   * SemVer.diff('1.2.3', '1.3.0-beta.0')   // 'preminor'
+   * SemVer.diff('1.3.0-beta.0', '1.3.0-beta.1') // 'prerelease'
+   * SemVer.diff('1.2.3', '1.2.3+build.9')  // null
+   */
+  static diff(leftVersion, rightVersion) {
+    const left = toSemVer(leftVersion)
+    const right = toSemVer(rightVersion)
+    const comparison = left.compareTo(right)
+
+    if (comparison === 0)
+      return null
+
+    const [low, high] = comparison < 0 ? [left, right] : [right, left]
+
+    if (low.prerelease && !high.prerelease) {
+      if (!low.patch && !low.minor)
+        return SemVer.MAJOR
+
+      if (low.isLooselyEqual(high))
+        return low.minor && !low.patch ? SemVer.MINOR : SemVer.PATCH
+    }
+
+    const prefix = high.prerelease ? 'pre' : ''
+
+    for (const part of [SemVer.MAJOR, SemVer.MINOR, SemVer.PATCH]) {
+      if (left[part] !== right[part])
+        return `${prefix}${part}`
+    }
+
+    return SemVer.PRERELEASE
+  }
+
+  /**
+   * Recreates a `SemVer` from the value produced by {@link SemVer.toJSON}.
+   * For convenience, an object holding the individual fields, such as the
+   * result of `structuredClone` on an instance, is accepted as well.
+   *
+   * @param {string|object} value the serialized version.
+   * @returns {SemVer} the deserialized version.
+   * @throws {TypeError} if `value` is neither a string nor an object.
+   * @throws {SemVerParseError} if `value` does not describe a valid version.
+   *
+   * @example
+   * SemVer.fromJSON('1.2.3').major                     // 1
+   * SemVer.fromJSON(structuredClone(new SemVer('1.2.3'))).get() // '1.2.3'
+   */
+  static fromJSON(value) {
+    if (typeof value === 'string')
+      return new this(value)
+
+    if (value && typeof value === 'object')
+      return new this().with(value)
+
+    throw new TypeError('SemVer.fromJSON() requires a string or an object')
+  }
+
+  /**
+   * Creates a reviver function for `JSON.parse` that turns the version
+   * strings found under the named keys back into `SemVer` instances. If no
+   * keys are supplied, every string that is a valid version is revived.
+   * Values that are not valid versions are always left untouched.
+   *
+   * @param {...string} keys the property names whose values are versions.
+   * @returns {function(string, *): *} a reviver for `JSON.parse`.
+   *
+   * @example
+   * const manifest = JSON.parse(
+   *   '{"name":"plugin","version":"1.4.0","title":"2.0.0 Release"}',
+   *   SemVer.reviver('version')
+   * )
+   *
+   * manifest.version instanceof SemVer // true
+   * manifest.title                     // '2.0.0 Release'
+   */
+  static reviver(...keys) {
+    const Class = this
+
+    return function semVerReviver(key, value) {
+      if (typeof value !== 'string' || (keys.length && !keys.includes(key)))
+        return value
+
+      return Class.parse(value) ?? value
+    }
+  }
+
+  /**
+   * Parses a version string without throwing. This is useful for scenarios
+   * where the input comes from the outside world, such as a user agent or a
+   * configuration file, and an invalid version is an expected outcome rather
+   * than an exceptional one.
+   *
+   * @param {string|SemVer} semverString the version to parse. `SemVer`
+   * instances are returned as is.
+   * @param {SemVerOptions} [options] optional parsing behavior; pass
+   * `{ loose: true }` to coerce inputs such as `v1.2` or `=1.2.3`.
+   * @returns {SemVer|null} the parsed version, or `null` if `semverString`
+   * is not a valid version.
+   *
+   * @example
+   * SemVer.parse('1.2.3-beta-2+build')?.prerelease  // 'beta-2'
+   * SemVer.parse('01.2.3')                         // null
+   * SemVer.parse('v1.2', { loose: true })?.get()   // '1.2.0'
+   */
+  static parse(semverString, options = {}) {
+    if (semverString instanceof this)
+      return semverString
+
+    if (typeof semverString !== 'string')
+      return null
+
+    try {
+      return new this(semverString, options)
+    }
+    catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * Validates a version string, returning its normalized form rather than a
+   * `SemVer` instance. Paired with {@link SemVer.parse}, this never throws.
+   *
+   * @param {string|SemVer} semverString the version to validate.
+   * @param {SemVerOptions} [options] optional parsing behavior.
+   * @returns {string|null} the normalized version string, or `null` if
+   * `semverString` is not a valid version.
+   *
+   * @example
+   * SemVer.valid('1.2.3')                      // '1.2.3'
+   * SemVer.valid(' =v1.2.3 ', { loose: true }) // '1.2.3'
+   * SemVer.valid('1.2')                        // null
+   */
+  static valid(semverString, options = {}) {
+    return SemVer.parse(semverString, options)?.get() ?? null
+  }
+
+  /**
+   * Extracts the most plausible version from real-world text that is not
+   * itself a version, such as a user agent, `git describe` output, a Docker
+   * tag or a filename. The first run of up to three dot separated numbers
+   * is used, with missing positions filled with `0` and leading zeros
+   * dropped, so that `v2`, `nginx:1.25-alpine` and `app-01.2.3.4.tgz` yield
+   * `2.0.0`, `1.25.0` and `1.2.3` respectively.
+   *
+   * ```
+   * interface SemVerCoerceOptions {
+   *   // Prefer the right-most version in the text rather than the first
+   *   rtl?: boolean;
+   *   // Keep any prerelease and build metadata following the version
+   *   includePrerelease?: boolean;
+   * }
+   * ```
+   *
+   * When scanning right-to-left, the version ending closest to the end of
+   * the text wins and, among those, the longest one; `1.2.3.4` becomes
+   * `2.3.4`. Prerelease or build metadata that would not form a valid
+   * version is discarded rather than causing the coercion to fail. A run
+   * with a number too large to represent exactly is skipped as a whole, so
+   * none of its later numbers are mistaken for a version.
+   *
+   * @param {string|number|SemVer} input the text to extract a version from.
+   * `SemVer` instances are returned as is.
+   * @param {SemVerCoerceOptions} [options] optional behavior modifiers.
+   * @returns {SemVer|null} the coerced version, or `null` if `input`
+   * contains no digits to work with.
+   *
+   * @example
+   * SemVer.coerce('v2.3.1-14-gabc123').get()    // '2.3.1'
+   * SemVer.coerce('v2.3.1-14-gabc123', { includePrerelease: true }).get()
+   * // '2.3.1-14-gabc123'
+   *
+   * const agent = 'Mozilla/5.0 (X11) Chrome/120.0.6099.109 Safari/537.36'
+   * SemVer.coerce(agent).get()                  // '5.0.0'
+   * SemVer.coerce(agent, { rtl: true }).get()   // '537.36.0'
+   */
+  static coerce(input, options = {}) {
+    if (input instanceof SemVer)
+      return input
+
+    if (typeof input === 'number')
+      input = String(input)
+
+    if (typeof input !== 'string')
+      return null
+
+    const identifiers = '[0-9A-Za-z-]+(?:\\.[0-9A-Za-z-]+)*'
+    const pattern = new RegExp([
+      '(\\d+)(?:\\.(\\d+))?(?:\\.(\\d+))?',
+      options?.includePrerelease
+        ? `(?:-(${identifiers}))?(?:\\+(${identifiers}))?`
+        : '',
+      '(?!\\d)',
+    ].join(''), 'y')
+
+    let best = null
+
+    for (let index = 0; index < input.length; index++) {
+      if (!/\d/.test(input[index]) || /\d/.test(input[index - 1] ?? ''))
+        continue
+
+      pattern.lastIndex = index
+      const match = pattern.exec(input)
+
+      if (!match)
+        continue
+
+      const [, ...parts] = match.slice(0, 4)
+
+      if (parts.some((part) => !Number.isSafeInteger(Number(part ?? 0)))) {
+        index = pattern.lastIndex - 1
+        continue
+      }
+
+      if (!options?.rtl) {
+        best = match
+        break
+      }
+
+      if (!best || pattern.lastIndex > best.index + best[0].length)
+        best = match
+    }
+
+    if (!best)
+      return null
+
+    const [, major, minor = 0, patch = 0, prerelease, metadata] = best
+    const core = [major, minor, patch].map(Number).join('.')
+    const full = [
+      core,
+      prerelease ? `-${prerelease}` : '',
+      metadata ? `+${metadata}` : '',
+    ].join('')
+
+    return this.parse(full) ?? this.parse(core)
+  }
+
+  /**
+   * Finds every version embedded within `text`, along with the character
+   * range each one occupies. This is useful for scenarios where versions
+   * live inside of other strings, such as the `browser` bundle filename in
+   * a `package.json` or the headings of a changelog.
+   *
+   * @param {string} text the string to search.
+   * @returns {Array<{semVer: SemVer, semVerString: string,
+   * range: [number, number]}>} one entry per version found, in order. Each
+   * `range` holds the start offset and the offset just past the end of the
+   * match, suitable for `String.prototype.slice`.
+   *
+   * @example
+   * SemVer.matchAll('upgrade 1.2.3 -> 1.3.0-beta.1')
+   * // [
+   * //   { semVer: SemVer, semVerString: '1.2.3', range: [8, 13] },
+   * //   { semVer: SemVer, semVerString: '1.3.0-beta.1', range: [17, 29] },
+   * // ]
+   */
+  static matchAll(text) {
+    return [...String(text).matchAll(SemVer.kSemVerPattern)].map((match) => ({
+      semVer: new SemVer(match[0]),
+      semVerString: match[0],
+      range: [match.index, match.index + match[0].length],
+    }))
+  }
+
+  /**
+   * Finds the first version embedded within `text`. See
+   * {@link SemVer.matchAll} for the shape of the result.
+   *
+   * @param {string} text the string to search.
+   * @returns {{semVer: SemVer, semVerString: string,
+   * range: [number, number]}|undefined} the first match, or `undefined` if
+   * `text` contains no version.
+   *
+   * @example
+   * const browser = 'dist/@nejs/foundation.bundle.2.3.2.js'
+   * const { semVer, range } = SemVer.from(browser)
+   *
+   * semVer.get()          // '2.3.2'
+   * browser.slice(...range) // '2.3.2'
+   */
+  static from(text) {
+    return SemVer.matchAll(text)[0]
+  }
+
+  /**
+   * Rewrites every version embedded within `text`. The `mapper` receives a
+   * fresh `SemVer` for each match, which it is free to modify and return,
+   * along with the match details. Whatever it returns is converted to a
+   * string and substituted for the original version; returning `undefined`
+   * or `null` leaves that version untouched.
+   *
+   * @param {string} text the string containing versions to rewrite.
+   * @param {function(SemVer, object): (SemVer|string|undefined)} mapper
+   * produces the replacement for each version found. The second argument is
+   * the match as described by {@link SemVer.matchAll}.
+   * @returns {string} a copy of `text` with the versions replaced.
+   *
+   * @example
+   * SemVer.replaceIn(
+   *   'dist/@nejs/foundation.bundle.2.3.2.js',
+   *   (semVer) => semVer.increment(SemVer.PATCH)
+   * )
+   * // 'dist/@nejs/foundation.bundle.2.3.3.js'
+   *
+   * @example
+   * // only bump the versions in the changelog headings
+   * SemVer.replaceIn(changelog, (semVer, { range }) => (
+   *   changelog.slice(range[0] - 3, range[0]) === '## '
+   *     ? semVer.increment(SemVer.MINOR)
+   *     : undefined
+   * ))
+   */
+  static replaceIn(text, mapper) {
+    const source = String(text)
+    const output = []
+    let cursor = 0
+
+    for (const match of SemVer.matchAll(source)) {
+      const [start, end] = match.range
+      const replacement = mapper(match.semVer, match)
+
+      output.push(source.slice(cursor, start))
+      output.push(replacement == null ? match.semVerString : String(replacement))
+      cursor = end
+    }
+
+    output.push(source.slice(cursor))
+
+    return output.join('')
+  }
+}
+
+/**
+ * An immutable {@link SemVer}. Instances are frozen as soon as they are
+ * constructed, so their fields can never change underneath a caller. This
+ * is useful for scenarios where versions are handed across module
+ * boundaries, such as a host exposing its own version to plugins, and an
+ * in-place `increment` somewhere would otherwise leak into everyone else's
+ * view of that version.
+ *
+ * The mutating methods of `SemVer` are all still available, but rather than
+ * modifying the instance they return a new `FrozenSemVer` reflecting the
+ * change. Chaining therefore continues to read naturally.
+ *
+ * @example
+ * const host = new FrozenSemVer('2.3.0')
+ * const next = host.increment(SemVer.MINOR)
+ *
+ * next.get()            // '2.4.0'
+ * host.get()            // '2.3.0'
+ * Object.isFrozen(host) // true
+ */
+export class FrozenSemVer extends SemVer {
+  /**
+   * Constructs a frozen version. Accepts the same arguments as
+   * {@link SemVer}.
+   *
+   * @param {string} [semverString="0.0.0"] the semantic version string.
+   * @param {SemVerOptions} [options] optional parsing behavior.
+   * @throws {SemVerParseError} if semverString is not a valid version.
+   */
+  constructor(semverString = '0.0.0', options = {}) {
+    super(semverString, options)
+    Object.freeze(this)
+  }
+
+  /**
+   * Returns a new `FrozenSemVer` with the version, or a part of it, set to
+   * the supplied value. See {@link SemVer.set} for the parameters. During
+   * construction, before the instance is frozen, this behaves exactly like
+   * its superclass.
+   *
+   * @returns {FrozenSemVer|undefined} the derived version.
+   */
+  set(...args) {
+    if (!Object.isFrozen(this))
+      return super.set(...args)
+
+    return this.#derive((copy) => copy.set(...args))
+  }
+
+  /**
+   * Returns a new `FrozenSemVer` incremented as described by
+   * {@link SemVer.increment}; this instance is unchanged.
+   *
+   * @returns {FrozenSemVer} the derived version.
+   */
+  increment(...args) {
+    return this.#derive((copy) => copy.increment(...args))
+  }
+
+  /**
+   * Returns a new `FrozenSemVer` decremented as described by
+   * {@link SemVer.decrement}; this instance is unchanged.
+   *
+   * @returns {FrozenSemVer} the derived version.
+   */
+  decrement(...args) {
+    return this.#derive((copy) => copy.decrement(...args))
+  }
+
+  /**
+   * Creates a mutable copy of this version.
+   *
+   * @returns {SemVer} a plain, mutable, `SemVer` equal to this one.
+   */
+  toMutable() {
+    return new SemVer(this.get())
+  }
+
+  /**
+   * Applies `mutator` to a mutable copy of this version and freezes the
+   * result into a new instance of this class.
+   *
+   * @param {function(SemVer): void} mutator modifies the copy in place.
+   * @returns {FrozenSemVer} the derived version.
+   */
+  #derive(mutator) {
+    const copy = this.toMutable()
+
+    mutator(copy)
+
+    return new this.constructor(copy.get())
+  }
+}
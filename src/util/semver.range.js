@@ -0,0 +1,623 @@
+import { SemVer, SemVerParseError } from './semver.js'
+
+/**
+ * A partial version such as `1`, `1.2`, `1.x` or `1.2.3-beta.1` as it
+ * appears inside of a range expression. Wildcard or missing positions are
+ * represented as `undefined`.
+ *
+ * ```
+ * interface PartialVersion {
+ *   major?: number;
+ *   minor?: number;
+ *   patch?: number;
+ *   prerelease: string;
+ * }
+ * ```
+ *
+ * @typedef {object} PartialVersion
+ */
+
+/**
+ * A single primitive comparator. Every range, no matter how it was written,
+ * is reduced to sets of these. An empty `operator` with a `null` semver
+ * matches any version.
+ *
+ * ```
+ * interface Comparator {
+ *   operator: '' | '=' | '<' | '<=' | '>' | '>=';
+ *   semver: SemVer | null;
+ * }
+ * ```
+ *
+ * @typedef {object} Comparator
+ */
+
+const kPartialPattern = new RegExp([
+  '^v?',
+  '(\\d+|[xX*])',
+  '(?:\\.(\\d+|[xX*]))?',
+  '(?:\\.(\\d+|[xX*]))?',
+  '(?:-([0-9A-Za-z.-]+))?',
+  '(?:\\+[0-9A-Za-z.-]+)?$',
+].join(''))
+
+const kComparatorPattern = /^(<=|>=|<|>|=|\^|~>?|)(.*)$/
+
+const kAny = Object.freeze({ operator: '', semver: null })
+
+const isX = (part) => part === undefined
+
+const toPart = (part) => (
+  part === undefined || /^[xX*]$/.test(part) ? undefined : Number(part)
+)
+
+const makeSemVer = (major, minor, patch, prerelease = '') => (
+  new SemVer(`${major}.${minor}.${patch}${prerelease ? `-${prerelease}` : ''}`)
+)
+
+const comparator = (operator, ...parts) => Object.freeze({
+  operator,
+  semver: makeSemVer(...parts),
+})
+
+/**
+ * Parses a possibly partial version, as found in a range expression, into
+ * its numeric parts. Once a position is a wildcard, every position after
+ * it is treated as a wildcard as well, so `1.x.3` is the same as `1.x`.
+ *
+ * @param {string} text the partial version text, with any operator removed.
+ * @returns {PartialVersion|null} the parsed parts or `null` if `text` is not
+ * a valid partial version.
+ */
+function parsePartial(text) {
+  const match = kPartialPattern.exec(text)
+
+  if (!match)
+    return null
+
+  const major = toPart(match[1])
+  const minor = isX(major) ? undefined : toPart(match[2])
+  const patch = isX(minor) ? undefined : toPart(match[3])
+  const prerelease = isX(patch) ? '' : (match[4] ?? '')
+
+  return { major, minor, patch, prerelease }
+}
+
+/**
+ * Reduces a primitive comparison, optionally against a partial version, to
+ * primitive comparators on full versions. For example `>1.2` means anything
+ * from `1.3.0` onward and `<=1` means anything below `2.0.0-0`.
+ *
+ * @param {string} operator one of `''`, `=`, `<`, `<=`, `>` or `>=`.
+ * @param {PartialVersion} partial the version being compared against.
+ * @returns {Array<Comparator>} the equivalent primitive comparators.
+ */
+function desugarPrimitive(operator, partial) {
+  const { major, minor, patch, prerelease } = partial
+
+  if (isX(major)) {
+    return operator === '<' || operator === '>'
+      ? [comparator('<', 0, 0, 0, '0')]
+      : [kAny]
+  }
+
+  if (!operator || operator === '=') {
+    if (isX(minor)) {
+      return [
+        comparator('>=', major, 0, 0),
+        comparator('<', major + 1, 0, 0, '0'),
+      ]
+    }
+
+    if (isX(patch)) {
+      return [
+        comparator('>=', major, minor, 0),
+        comparator('<', major, minor + 1, 0, '0'),
+      ]
+    }
+
+    return [comparator('=', major, minor, patch, prerelease)]
+  }
+
+  if (!isX(patch))
+    return [comparator(operator, major, minor, patch, prerelease)]
+
+  switch (operator) {
+    case '>':
+      return isX(minor)
+        ? [comparator('>=', major + 1, 0, 0)]
+        : [comparator('>=', major, minor + 1, 0)]
+    case '>=':
+      return [comparator('>=', major, minor ?? 0, 0)]
+    case '<':
+      return [comparator('<', major, minor ?? 0, 0, '0')]
+    case '<=':
+      return isX(minor)
+        ? [comparator('<', major + 1, 0, 0, '0')]
+        : [comparator('<', major, minor + 1, 0, '0')]
+    default:
+      return [kAny]
+  }
+}
+
+/**
+ * Reduces a tilde range to primitive comparators. Tilde ranges allow patch
+ * level changes when a minor version is specified and minor level changes
+ * when it is not.
+ *
+ * ```
+ * ~1.2.3 := >=1.2.3 <1.3.0-0
+ * ~1.2   := >=1.2.0 <1.3.0-0
+ * ~1     := >=1.0.0 <2.0.0-0
+ * ```
+ *
+ * @param {PartialVersion} partial the version following the `~`.
+ * @returns {Array<Comparator>} the equivalent primitive comparators.
+ */
+function desugarTilde(partial) {
+  const { major, minor, patch, prerelease } = partial
+
+  if (isX(major))
+    return [kAny]
+
+  if (isX(minor)) {
+    return [
+      comparator('>=', major, 0, 0),
+      comparator('<', major + 1, 0, 0, '0'),
+    ]
+  }
+
+  return [
+    comparator('>=', major, minor, patch ?? 0, prerelease),
+    comparator('<', major, minor + 1, 0, '0'),
+  ]
+}
+
+/**
+ * Reduces a caret range to primitive comparators. Caret ranges allow any
+ * change that does not modify the left-most non-zero position, which is the
+ * 0.x convention for what constitutes a breaking change.
+ *
+ * ```
+ * ^1.2.3 := >=1.2.3 <2.0.0-0
+ * ^0.2.3 := >=0.2.3 <0.3.0-0
+ * ^0.0.3 := >=0.0.3 <0.0.4-0
+ * ^0.x   := >=0.0.0 <1.0.0-0
+ * ```
+ *
+ * @param {PartialVersion} partial the version following the `^`.
+ * @returns {Array<Comparator>} the equivalent primitive comparators.
+ */
+function desugarCaret(partial) {
+  const { major, minor, patch, prerelease } = partial
+
+  if (isX(major))
+    return [kAny]
+
+  if (isX(minor)) {
+    return [
+      comparator('>=', major, 0, 0),
+      comparator('<', major + 1, 0, 0, '0'),
+    ]
+  }
+
+  const lower = comparator('>=', major, minor, patch ?? 0, prerelease)
+
+  if (major > 0)
+    return [lower, comparator('<', major + 1, 0, 0, '0')]
+
+  if (minor > 0 || isX(patch))
+    return [lower, comparator('<', 0, minor + 1, 0, '0')]
+
+  return [lower, comparator('<', 0, 0, patch + 1, '0')]
+}
+
+/**
+ * Reduces a hyphen range, `from - to`, to primitive comparators. Missing
+ * positions in `from` are filled with zeroes while missing positions in `to`
+ * accept anything that starts with the supplied positions.
+ *
+ * ```
+ * 1.2.3 - 2.3.4 := >=1.2.3 <=2.3.4
+ * 1.2 - 2.3.4   := >=1.2.0 <=2.3.4
+ * 1.2.3 - 2.3   := >=1.2.3 <2.4.0-0
+ * ```
+ *
+ * @param {PartialVersion} from the lower end of the range.
+ * @param {PartialVersion} to the upper end of the range.
+ * @returns {Array<Comparator>} the equivalent primitive comparators.
+ */
+function desugarHyphen(from, to) {
+  const result = []
+
+  if (!isX(from.major)) {
+    result.push(comparator(
+      '>=', from.major, from.minor ?? 0, from.patch ?? 0, from.prerelease
+    ))
+  }
+
+  if (isX(to.major))
+    return result.length ? result : [kAny]
+
+  if (isX(to.minor))
+    result.push(comparator('<', to.major + 1, 0, 0, '0'))
+  else if (isX(to.patch))
+    result.push(comparator('<', to.major, to.minor + 1, 0, '0'))
+  else
+    result.push(comparator('<=', to.major, to.minor, to.patch, to.prerelease))
+
+  return result
+}
+
+/**
+ * Parses a single comparator set, that is one side of a `||`, into a list
+ * of primitive comparators that must all be satisfied.
+ *
+ * @param {string} text the comparator set text.
+ * @returns {Array<Comparator>} the primitive comparators, never empty.
+ * @throws {TypeError} if any portion of `text` cannot be understood.
+ */
+function parseComparatorSet(text) {
+  const invalid = (portion) => new TypeError(
+    `Invalid semver range "${text}": cannot parse "${portion}"`
+  )
+
+  // Positions such as `01` or ones too large to be safe integers get past
+  // the partial pattern but not the SemVer parser; report them as written
+  const desugar = (portion, reduce) => {
+    try {
+      return reduce()
+    }
+    catch (error) {
+      if (error instanceof SemVerParseError)
+        throw invalid(portion)
+
+      throw error
+    }
+  }
+
+  const trimmed = text.trim()
+  const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(trimmed)
+
+  if (hyphen) {
+    const from = parsePartial(hyphen[1])
+    const to = parsePartial(hyphen[2])
+
+    if (!from || !to)
+      throw invalid(trimmed)
+
+    return desugar(trimmed, () => desugarHyphen(from, to))
+  }
+
+  if (!trimmed)
+    return [kAny]
+
+  const tokens = (trimmed
+    .replace(/(<=|>=|<|>|=|\^|~>?)\s+/g, '$1')
+    .split(/\s+/)
+  )
+
+  const comparators = tokens.flatMap((token) => {
+    const [, operator, version] = kComparatorPattern.exec(token)
+    const partial = parsePartial(version)
+
+    if (!partial)
+      throw invalid(token)
+
+    return desugar(token, () => {
+      switch (operator) {
+        case '^': return desugarCaret(partial)
+        case '~': return desugarTilde(partial)
+        case '~>': return desugarTilde(partial)
+        default:
+          return desugarPrimitive(operator, partial)
+      }
+    })
+  })
+
+  const bounded = comparators.filter((entry) => entry !== kAny)
+
+  return bounded.length ? bounded : [kAny]
+}
+
+/**
+ * Determines whether or not a single version passes a single comparator.
+ *
+ * @param {Comparator} entry the comparator to test against.
+ * @param {SemVer} version the version to test.
+ * @returns {boolean} `true` if `version` passes, `false` otherwise.
+ */
+function testComparator(entry, version) {
+  const { operator, semver } = entry
+
+  if (!semver)
+    return true
+
+  const result = version.compareTo(semver)
+
+  switch (operator) {
+    case '=': return result === 0
+    case '<': return result < 0
+    case '<=': return result <= 0
+    case '>': return result > 0
+    case '>=': return result >= 0
+    default:
+      return false
+  }
+}
+
+/**
+ * Determines whether or not the comparators in a set could be satisfied by
+ * at least one version. Each set is the intersection of its comparators so
+ * it always describes a single, possibly empty, interval of versions.
+ *
+ * @param {Array<Comparator>} comparators the comparators to intersect.
+ * @returns {boolean} `true` if some version satisfies every comparator.
+ */
+function isSatisfiable(comparators) {
+  let lower = { semver: makeSemVer(0, 0, 0, '0'), inclusive: true }
+  let upper = null
+
+  for (const { operator, semver } of comparators) {
+    if (!semver)
+      continue
+
+    if (['>', '>=', '='].includes(operator)) {
+      const inclusive = operator !== '>'
+      const result = semver.compareTo(lower.semver)
+
+      if (result > 0 || (result === 0 && !inclusive))
+        lower = { semver, inclusive }
+    }
+
+    if (['<', '<=', '='].includes(operator)) {
+      const inclusive = operator !== '<'
+      const result = upper ? semver.compareTo(upper.semver) : -1
+
+      if (result < 0 || (result === 0 && !inclusive))
+        upper = { semver, inclusive }
+    }
+  }
+
+  if (!upper)
+    return true
+
+  const result = lower.semver.compareTo(upper.semver)
+
+  return result < 0 || (result === 0 && lower.inclusive && upper.inclusive)
+}
+
+/**
+ * Represents an npm-style semantic version range, such as `^2.3.0`, `~1.4`,
+ * `>=1.2.0 <2.0.0` or `1.x || 2.0.0 - 2.5.0`. Whatever syntax is used, the
+ * range is reduced to a list of comparator sets; a version satisfies the
+ * range if it satisfies every comparator in at least one of those sets.
+ *
+ * This is useful for scenarios where compatibility must be validated against
+ * a constraint, such as plugins declaring which versions of a host they
+ * support.
+ *
+ * Prerelease versions follow the npm semantics. A version like
+ * `1.3.0-beta.1` only satisfies a comparator set if one of the comparators
+ * in that set refers to a prerelease of the same `major.minor.patch`. This
+ * keeps `^1.2.0` from matching unstable releases by surprise. Pass the
+ * `includePrerelease` option to turn that behavior off.
+ *
+ * @example
+ * const range = new SemVerRange('^2.3.0')
+ *
+ * range.satisfies('2.9.1')         // true
+ * range.satisfies('3.0.0')         // false
+ * range.satisfies('2.4.0-beta.1')  // false
+ *
+ * new SemVerRange('>=2.4.0-beta <3').satisfies('2.4.0-beta.1') // true
+ *
+ * @example
+ * // pick the newest release a plugin is able to run against
+ * const supported = new SemVerRange('1.x || 2.0.0 - 2.5.0')
+ * supported.maxSatisfying(['1.9.0', '2.5.0', '2.6.0'])  // '2.5.0'
+ */
+export class SemVerRange {
+  /**
+   * The range expression exactly as it was supplied to the constructor.
+   *
+   * @type {string}
+   */
+  raw = '';
+
+  /**
+   * When `true`, prerelease versions are tested like any other version
+   * rather than requiring a comparator that opts into them explicitly.
+   *
+   * @type {boolean}
+   */
+  includePrerelease = false;
+
+  /**
+   * The parsed comparator sets. The outer array represents the `||`
+   * separated alternatives and each inner array holds the primitive
+   * comparators that must all be satisfied.
+   *
+   * @type {Array<Array<Comparator>>}
+   */
+  set = [];
+
+  /**
+   * Creates a new range from an npm-style range expression.
+   *
+   * ```
+   * interface SemVerRangeOptions {
+   *   // When true, prerelease versions are matched like any other version
+   *   includePrerelease?: boolean;
+   * }
+   * ```
+   *
+   * @param {string|SemVerRange} range the range expression to parse. If
+   * another `SemVerRange` is supplied, its raw expression is reused.
+   * @param {SemVerRangeOptions} [options] optional behavior modifiers.
+   * @throws {TypeError} if `range` cannot be parsed.
+   */
+  constructor(range = '*', options = {}) {
+    const raw = range instanceof SemVerRange ? range.raw : String(range)
+
+    this.raw = raw
+    this.includePrerelease = !!options?.includePrerelease
+    this.set = raw.split('||').map((text) => parseComparatorSet(text))
+  }
+
+  /**
+   * Determines whether or not the supplied version falls within this range.
+   * Strings that are not valid versions never satisfy a range; rather than
+   * throwing, `false` is returned.
+   *
+   * @param {SemVer|string} version the version to test.
+   * @returns {boolean} `true` if `version` satisfies the range, `false`
+   * otherwise.
+   */
+  satisfies(version) {
+    let semver
+
+    try {
+      semver = (version instanceof SemVer
+        ? version
+        : new SemVer(String(version))
+      )
+    }
+    catch (error) {
+      return false
+    }
+
+    return this.set.some((comparators) => this.#testSet(comparators, semver))
+  }
+
+  /**
+   * Finds the version with the highest precedence in `versions` that also
+   * satisfies this range. The original element is returned, so strings stay
+   * strings.
+   *
+   * @param {Array<SemVer|string>} versions the candidate versions.
+   * @returns {SemVer|string|null} the newest satisfying version or `null` if
+   * none of the candidates satisfy the range.
+   */
+  maxSatisfying(versions) {
+    const matches = versions.filter((version) => this.satisfies(version))
+
+    return SemVer.max(matches) ?? null
+  }
+
+  /**
+   * Finds the version with the lowest precedence in `versions` that also
+   * satisfies this range. The original element is returned, so strings stay
+   * strings.
+   *
+   * @param {Array<SemVer|string>} versions the candidate versions.
+   * @returns {SemVer|string|null} the oldest satisfying version or `null` if
+   * none of the candidates satisfy the range.
+   */
+  minSatisfying(versions) {
+    const matches = versions.filter((version) => this.satisfies(version))
+
+    return SemVer.min(matches) ?? null
+  }
+
+  /**
+   * Determines whether or not some version could satisfy both this range
+   * and `otherRange`. This is useful for detecting conflicting constraints,
+   * such as two plugins requiring `^1.2.0` and `>=2.0.0` of the same host.
+   *
+   * @param {SemVerRange|string} otherRange the range to compare against.
+   * @returns {boolean} `true` if the two ranges overlap, `false` otherwise.
+   *
+   * @example
+   * new SemVerRange('^1.2.0').intersects('1.5.x')    // true
+   * new SemVerRange('^1.2.0').intersects('>=2.0.0')  // false
+   */
+  intersects(otherRange) {
+    const other = otherRange instanceof SemVerRange
+      ? otherRange
+      : new SemVerRange(otherRange)
+
+    return this.set.some((left) => (
+      other.set.some((right) => isSatisfiable([...left, ...right]))
+    ))
+  }
+
+  /**
+   * Returns the normalized form of this range, with every comparator set
+   * reduced to its primitive comparators.
+   *
+   * @returns {string} the normalized range, e.g. `>=1.2.3 <2.0.0-0`.
+   *
+   * @example
+   * String(new SemVerRange('^1.2.3 || ~0.4'))
+   * // '>=1.2.3 <2.0.0-0 || >=0.4.0 <0.5.0-0'
+   */
+  toString() {
+    return (this.set
+      .map((comparators) => comparators
+        .map(({ operator, semver }) => (
+          semver ? `${operator === '=' ? '' : operator}${semver.get()}` : '*'
+        ))
+        .join(' ')
+      )
+      .join(' || ')
+    )
+  }
+
+  /**
+   * Tests a version against a single comparator set, applying the npm
+   * prerelease rules unless `includePrerelease` was requested.
+   *
+   * @param {Array<Comparator>} comparators the comparator set.
+   * @param {SemVer} version the version to test.
+   * @returns {boolean} `true` if the version satisfies the whole set.
+   */
+  #testSet(comparators, version) {
+    if (!comparators.every((entry) => testComparator(entry, version)))
+      return false
+
+    if (!version.prerelease || this.includePrerelease)
+      return true
+
+    // Prereleases only match when a comparator in this set explicitly opts
+    // into prereleases for the very same major.minor.patch tuple.
+    return comparators.some(({ semver }) => (
+      semver?.prerelease &&
+      version.isLooselyEqual(semver)
+    ))
+  }
+
+  /**
+   * Provides a custom tag when the object is converted to a string, naming
+   * the class rather than the generic "Object" tag.
+   *
+   * @returns {string} The class name "SemVerRange".
+   */
+  get [Symbol.toStringTag]() {
+    return this.constructor.name
+  }
+
+  /**
+   * Convenience method that determines whether or not `version` satisfies
+   * `range` without creating the `SemVerRange` instance explicitly.
+   *
+   * @param {SemVer|string} version the version to test.
+   * @param {SemVerRange|string} range the range to test against.
+   * @param {SemVerRangeOptions} [options] optional behavior modifiers.
+   * @returns {boolean} `true` if `version` satisfies `range`, `false`
+   * otherwise, including when `range` is not a valid range.
+   *
+   * @example
+   * SemVerRange.satisfies('1.4.2', '~1.4') // true
+   */
+  static satisfies(version, range, options = {}) {
+    try {
+      return new SemVerRange(range, options).satisfies(version)
+    }
+    catch (error) {
+      return false
+    }
+  }
+}
+
+export default SemVerRange
@@ -0,0 +1,748 @@
+const {
+  Callable,
+  CallableCache,
+  CallableOverloadError,
+  CallableOverloads,
+  CallableTypeError,
+} = await import('../../src/core/callable.js')
+const { inspect } = await import('node:util')
+const { z } = await import('zod')
+const { describe, expect, test, vi } = await import('vitest')
+
+describe('Callable', () => {
+  describe('overloads', () => {
+    const shapes = {
+      unit: 'cm',
+      square(side) { return side * side },
+      rectangle(width, height) { return width * height },
+    }
+
+    const area = () => Callable.overloaded(shapes, [
+      [[Number], 'square'],
+      [[Number, Number], 'rectangle'],
+      [
+        z.tuple([z.object({ radius: z.coerce.number() })]),
+        ({ unit }, { radius }) => (
+          `${(Math.PI * radius ** 2).toFixed(1)}${unit}`
+        ),
+      ],
+    ])
+
+    test('dispatch to the first overload matching the arguments', () => {
+      const callable = area()
+
+      expect(callable(3)).toBe(9)
+      expect(callable(2, 5)).toBe(10)
+      expect(callable({ radius: '1' })).toBe('3.1cm')
+      expect(callable.unit).toBe('cm')
+    })
+
+    test('match by arity, type names, classes and predicates', () => {
+      const describe = Callable.overloaded({}, [
+        [[null], () => 'null'],
+        [['array'], () => 'array'],
+        [[Date], () => 'date'],
+        [(value) => value === 42, () => 'answer'],
+        [['string', 'any'], () => 'labelled'],
+        [1, () => 'one'],
+        [0, () => 'none'],
+      ])
+
+      expect(describe(null)).toBe('null')
+      expect(describe([1])).toBe('array')
+      expect(describe(new Date())).toBe('date')
+      expect(describe(42)).toBe('answer')
+      expect(describe('a', undefined)).toBe('labelled')
+      expect(describe(7)).toBe('one')
+      expect(describe()).toBe('none')
+    })
+
+    test('overloads can be registered after creation', () => {
+      const callable = area()
+      const overloads = callable[Callable.kOverloads]
+
+      expect(overloads).toBeInstanceOf(CallableOverloads)
+      overloads.add([String], function (name) {
+        return `${name} in ${this.unit}`
+      })
+      expect(callable('lot')).toBe('lot in cm')
+      expect(new Callable({}, () => 1)[Callable.kOverloads]).toBeUndefined()
+    })
+
+    test('unmatched arguments list every candidate signature', () => {
+      const callable = area()
+
+      expect(() => callable(true)).toThrow(CallableOverloadError)
+
+      const error = (() => {
+        try { callable('wide', 2) }
+        catch (error) { return error }
+      })()
+
+      expect(error).toBeInstanceOf(TypeError)
+      expect(error.args).toEqual(['wide', 2])
+      expect(error.signatures).toEqual([
+        '(number)',
+        '(number, number)',
+        '({ radius })',
+      ])
+      expect(error.message).toBe(
+        'No overload matches (string, number); candidates are\n' +
+        '  (number)\n  (number, number)\n  ({ radius })'
+      )
+    })
+
+    test('invalid matchers and missing methods are reported', () => {
+      expect(() => new CallableOverloads([['nope', 'square']]))
+        .toThrow(TypeError)
+
+      const callable = Callable.overloaded(shapes, [
+        { match: 1, handler: 'circle', signature: '(radius)' },
+      ])
+
+      expect(() => callable(1)).toThrow('(radius) names a missing method')
+    })
+  })
+
+  describe('interceptors', () => {
+    const counter = () => new Callable({ count: 1 }, function (by = 1) {
+      return (this.count += by)
+    })
+
+    test('before, around and after wrap each call in order', () => {
+      const callable = counter()
+      const seen = []
+
+      Callable.use(
+        callable,
+        (context, next) => {
+          seen.push('outer')
+          return next() * 10
+        },
+        {
+          before(context) {
+            seen.push(`before ${context.args}`)
+            context.args = [context.args[0] * 2]
+          },
+          after(context) {
+            seen.push(`after ${context.result}`)
+          },
+        },
+      )
+
+      expect(callable(2)).toBe(50)
+      expect(seen).toEqual(['outer', 'before 2', 'after 5'])
+      expect(callable.count).toBe(5)
+      expect(callable[Callable.kInterceptors]).toHaveLength(3)
+    })
+
+    test('context exposes the handler and function metadata', () => {
+      const callable = counter()
+      let context
+
+      Callable.use(callable, { before(each) { context = each } })
+      callable()
+
+      expect(context.callable).toBe(callable)
+      expect(context.handler).toBe(callable[Callable.kHandler])
+      expect(context[Callable.kHandler]).toBe(context.handler)
+      expect(context[Callable.kFunction]).toBe(callable[Callable.kFunction])
+      expect(context.target).toBe(callable[Callable.kFunction])
+    })
+
+    test('before and around can short-circuit the call', () => {
+      const callable = counter()
+
+      Callable.use(callable, {
+        before: ({ args }) => args[0] === 0 ? 'skipped' : undefined,
+      })
+      Callable.use(callable, (context, next) => (
+        context.args[0] < 0 ? 'negative' : next()
+      ))
+
+      expect(callable(0)).toBe('skipped')
+      expect(callable(-1)).toBe('negative')
+      expect(callable.count).toBe(1)
+    })
+
+    test('after sees and may recover from exceptions', () => {
+      const failing = new Callable({}, () => { throw new Error('boom') })
+      const errors = []
+
+      Callable.use(failing, { after: ({ error }) => { errors.push(error) } })
+      expect(() => failing()).toThrow('boom')
+
+      Callable.use(failing, {
+        after: ({ error }) => `recovered ${error.message}`,
+      })
+      expect(failing()).toBe('recovered boom')
+      expect(errors).toEqual([expect.any(Error), undefined])
+    })
+
+    test('async targets and interceptors are awaited', async () => {
+      const fetcher = new Callable({ base: 2 }, function (value) {
+        return Promise.resolve(this.base * value)
+      })
+
+      Callable.use(fetcher, {
+        before: async ({ args }) => args[0] > 10 ? 'cached' : undefined,
+        after: async ({ result }) => result + 1,
+      })
+
+      await expect(fetcher(3)).resolves.toBe(7)
+      await expect(fetcher(11)).resolves.toBe('cached')
+
+      const rejecting = new Callable({}, async () => { throw new Error('no') })
+
+      Callable.use(rejecting, { after: ({ error }) => error.message })
+      await expect(rejecting()).resolves.toBe('no')
+    })
+
+    test('only Callables and real interceptors are accepted', () => {
+      expect(() => Callable.use(() => 1, () => 2)).toThrow(TypeError)
+      expect(() => Callable.use(counter(), {})).toThrow(TypeError)
+    })
+  })
+
+  describe('memoization', () => {
+    const person = () => {
+      const calls = []
+      const fullName = new Callable(
+        { first: 'Jane', last: 'Doe' },
+        function (separator = ' ') {
+          calls.push(separator)
+          return `${this.first}${separator}${this.last}`
+        },
+        { memoize: true },
+      )
+
+      return { calls, fullName }
+    }
+
+    test('results are cached by arguments', () => {
+      const { calls, fullName } = person()
+
+      expect(fullName()).toBe('Jane Doe')
+      expect(fullName()).toBe('Jane Doe')
+      expect(fullName(', ')).toBe('Jane, Doe')
+      expect(calls).toEqual([' ', ', '])
+      expect(fullName[Callable.kCache]).toBeInstanceOf(CallableCache)
+      expect(fullName[Callable.kCache].size).toBe(2)
+      expect(new Callable({}, () => 1)[Callable.kCache]).toBeUndefined()
+    })
+
+    test('objects are matched by identity despite colliding hashes', () => {
+      let calls = 0
+      const size = new Callable({}, (_, value) => (calls++, value.n), {
+        memoize: true,
+      })
+      const one = { n: 1 }
+
+      expect(size(one)).toBe(1)
+      expect(size({ n: 2 })).toBe(2)
+      expect(size(one)).toBe(1)
+      expect(calls).toBe(2)
+    })
+
+    test('setting or deleting handler properties invalidates', () => {
+      const { calls, fullName } = person()
+
+      fullName()
+      fullName.last = 'Smith'
+      expect(fullName()).toBe('Jane Smith')
+      delete fullName.first
+      expect(fullName()).toBe('undefined Smith')
+      expect(calls).toHaveLength(3)
+    })
+
+    test('custom keys, ttl and maxSize evictions', () => {
+      vi.useFakeTimers()
+
+      try {
+        const cache = new CallableCache({
+          key: (user) => user.id,
+          ttl: 1000,
+          maxSize: 2,
+        })
+        let calls = 0
+        const load = new Callable({}, (_, user) => `${user.id}#${++calls}`, {
+          memoize: cache,
+        })
+
+        expect(load({ id: 1 })).toBe('1#1')
+        expect(load({ id: 1, stale: true })).toBe('1#1')
+        expect(load({ id: 2 })).toBe('2#2')
+        expect(load({ id: 3 })).toBe('3#3')
+        expect(cache.has({ id: 1 })).toBe(false)
+        expect(load({ id: 2 })).toBe('2#2')
+
+        vi.advanceTimersByTime(1000)
+        expect(load({ id: 2 })).toBe('2#4')
+
+        expect(cache.delete({ id: 2 })).toBe(true)
+        expect(cache.size).toBe(1)
+      }
+      finally {
+        vi.useRealTimers()
+      }
+
+      expect(() => new CallableCache({ ttl: 0 })).toThrow(TypeError)
+      expect(() => new CallableCache({ key: 'id' })).toThrow(TypeError)
+    })
+
+    test('rejected promises are not cached', async () => {
+      let attempts = 0
+      const fetch = new Callable({}, () => (
+        ++attempts < 2 ? Promise.reject(new Error('retry')) : Promise.resolve(7)
+      ), { memoize: true })
+
+      await expect(fetch()).rejects.toThrow('retry')
+      await expect(fetch()).resolves.toBe(7)
+      await expect(fetch()).resolves.toBe(7)
+      expect(attempts).toBe(2)
+    })
+  })
+
+  describe('async and generator targets', () => {
+    const deferred = () => {
+      let resolve
+      const promise = new Promise((done) => (resolve = done))
+
+      return { promise, resolve }
+    }
+
+    test('async functions and methods are bound to the handler', async () => {
+      const model = {
+        name: 'model',
+        async load() { return this.name },
+        method() { return this.name },
+      }
+
+      await expect(new Callable(model, 'load')()).resolves.toBe('model')
+      await expect(new Callable(model, async function () {
+        return this.name
+      })()).resolves.toBe('model')
+      expect(new Callable(model, 'method')()).toBe('model')
+      expect(new Callable(model, (self) => self.name)()).toBe('model')
+    })
+
+    test('methods named async are not mistaken for arrows', async () => {
+      const model = {
+        name: 'model',
+        async(greeting = ')') { return `${greeting} ${this.name}` },
+      }
+
+      expect(new Callable(model, 'async')('hi')).toBe('hi model')
+      expect(new Callable(model, model.async).length).toBe(0)
+      expect(new Callable(model, (a = ')', /* ) */ b = '(') => (
+        `${a.name} ${b}`
+      ))(')')).toBe('model )')
+      await expect(new Callable(model, async (self) => self.name)())
+        .resolves.toBe('model')
+    })
+
+    test('concurrency queues calls beyond the limit', async () => {
+      const gates = [deferred(), deferred(), deferred()]
+      const started = []
+      const run = new Callable({}, function (index) {
+        started.push(index)
+        return gates[index].promise
+      }, { concurrency: 2 })
+
+      const results = [0, 1, 2].map((index) => run(index))
+
+      expect(started).toEqual([0, 1])
+      expect(run[Callable.kPending]).toBe(3)
+
+      gates[1].resolve('b')
+      await results[1]
+      expect(started).toEqual([0, 1, 2])
+
+      gates[0].resolve('a')
+      gates[2].resolve('c')
+      await expect(Promise.all(results)).resolves.toEqual(['a', 'b', 'c'])
+      expect(run[Callable.kPending]).toBe(0)
+    })
+
+    test('an AbortSignal cancels running and queued calls', async () => {
+      const gate = deferred()
+      const received = []
+      const run = new Callable({}, function (signal) {
+        received.push(signal)
+        return gate.promise
+      }, { concurrency: 1 })
+      const controller = new AbortController()
+
+      const running = run(controller.signal)
+      const queued = run(controller.signal)
+
+      controller.abort(new Error('stop'))
+      await expect(running).rejects.toThrow('stop')
+      await expect(queued).rejects.toThrow('stop')
+      expect(received).toEqual([controller.signal])
+      expect(run[Callable.kPending]).toBe(1)
+
+      gate.resolve()
+      await gate.promise
+      await expect(run(controller.signal)).rejects.toThrow('stop')
+      expect(run[Callable.kPending]).toBe(0)
+      expect(() => new Callable({}, run, { concurrency: 0 }))
+        .toThrow(TypeError)
+    })
+
+    test('generator callables can be iterated directly', async () => {
+      const model = { limit: 3 }
+      const numbers = new Callable(model, function* () {
+        for (let n = 1; n <= this.limit; n++)
+          yield n
+      })
+      const letters = new Callable(model, async function* (from = 'a') {
+        for (let n = 0; n < this.limit; n++)
+          yield String.fromCharCode(from.charCodeAt(0) + n)
+      })
+      const seen = []
+
+      for await (const letter of letters)
+        seen.push(letter)
+
+      expect([...numbers]).toEqual([1, 2, 3])
+      expect(seen).toEqual(['a', 'b', 'c'])
+      expect(new Callable({}, () => 1)[Symbol.iterator]).toBeUndefined()
+    })
+
+    test('an AbortSignal argument ends async iterators', async () => {
+      const controller = new AbortController()
+      const ticks = new Callable({}, async function* () {
+        for (let n = 0; ; n++) {
+          yield n
+          await new Promise((resolve) => setTimeout(resolve, 5))
+        }
+      })
+      const seen = []
+
+      for await (const tick of ticks(controller.signal)) {
+        seen.push(tick)
+
+        if (tick === 2)
+          controller.abort()
+      }
+
+      expect(seen).toEqual([0, 1, 2])
+    })
+  })
+
+  describe('typed', () => {
+    class Person {
+      name = 'Jane'
+
+      greet(greeting, times) {
+        return `${greeting}, ${this.name}! `.repeat(times).trim()
+      }
+    }
+
+    const args = z.tuple([z.string(), z.coerce.number().int()])
+    const returns = z.string().max(20)
+
+    test('arguments are validated and parsed before the call', () => {
+      const greet = Callable.typed(new Person(), 'greet', { args, returns })
+
+      expect(greet('Hi', 1)).toBe('Hi, Jane!')
+      expect(greet('Hi', '2')).toBe('Hi, Jane! Hi, Jane!')
+      expect(greet[Callable.kArgs]).toBe(args)
+      expect(greet[Callable.kReturns]).toBe(returns)
+      expect(new Callable({}, () => 1)[Callable.kArgs]).toBeUndefined()
+    })
+
+    test('errors name the handler, the function and the problem', () => {
+      const greet = Callable.typed(new Person(), 'greet', { args, returns })
+      const failure = (call) => {
+        try { call() }
+        catch (error) { return error }
+      }
+
+      const invalid = failure(() => greet(42, 1))
+
+      expect(invalid).toBeInstanceOf(CallableTypeError)
+      expect(invalid).toBeInstanceOf(TypeError)
+      expect(invalid.message).toBe(
+        'Invalid arguments for greet on Person: ' +
+        '0: Expected string, received number'
+      )
+      expect(invalid.subject).toBe('arguments')
+      expect(invalid.value).toEqual([42, 1])
+
+      const long = failure(() => greet('Hello', 3))
+
+      expect(long.message).toMatch(/^Invalid return value for greet on Person/)
+      expect(long.issues[0].code).toBe('too_big')
+    })
+
+    test('promised results are validated once resolved', async () => {
+      const count = Callable.typed({ items: ['a', 'b'] }, function () {
+        return Promise.resolve(this.items.length)
+      }, { returns: z.number().max(2) })
+
+      await expect(count()).resolves.toBe(2)
+      count.items = ['a', 'b', 'c']
+      await expect(count()).rejects.toThrow(
+        'Invalid return value for anonymous on Object'
+      )
+    })
+
+    test('schemas are required', () => {
+      expect(() => Callable.typed({}, () => 1)).toThrow(TypeError)
+      expect(() => new Callable({}, () => 1, { args: [String] }))
+        .toThrow(TypeError)
+    })
+  })
+
+  describe('composition', () => {
+    const person = (first, last) => new Callable(
+      { first, last },
+      function (separator = ' ') {
+        return `${this.first}${separator}${this.last}`
+      },
+    )
+
+    test('pipe and compose keep the handler of the first callable', () => {
+      const name = person('Jane', 'Doe')
+      const label = Callable.pipe(
+        name,
+        (text) => text.toUpperCase(),
+        function (text) { return `${text} (${this.first.length})` },
+      )
+      const shout = Callable.compose((text) => `${text}!`, name)
+
+      expect(label(', ')).toBe('JANE, DOE (4)')
+      expect(label[Callable.kHandler]).toBe(name[Callable.kHandler])
+      expect(shout()).toBe('Jane Doe!')
+      expect(shout.first).toBe('Jane')
+    })
+
+    test('pipelines wait for promises', async () => {
+      const load = new Callable({ id: 7 }, function () {
+        return Promise.resolve(this.id)
+      })
+      const doubled = Callable.pipe(load, (id) => id * 2, (id) => `#${id}`)
+
+      await expect(doubled()).resolves.toBe('#14')
+    })
+
+    test('partial supplies leading arguments', () => {
+      const between = new Callable(
+        { values: [1, 3, 5, 7] },
+        (self, lo, hi) => self.values.filter((n) => n >= lo && n <= hi),
+      )
+      const fromThree = Callable.partial(between, 3)
+
+      expect(fromThree(6)).toEqual([3, 5])
+      expect(fromThree.values).toEqual([1, 3, 5, 7])
+    })
+
+    test('curry collects arguments up to the arity', () => {
+      const sum = new Callable({ base: 100 }, function (a, b, c) {
+        return this.base + a + b + c
+      })
+      const curried = Callable.curry(sum)
+
+      expect(curried(1)(2)(3)).toBe(106)
+      expect(curried(1, 2)(3)).toBe(106)
+      expect(curried(1)(2, 3)).toBe(106)
+      expect(curried.length).toBe(3)
+      expect(curried(1).length).toBe(2)
+      expect(curried(1, 2).length).toBe(1)
+      expect(curried(1).base).toBe(100)
+      expect(Callable.curry(sum, 1)(1)).toBeNaN()
+      expect(Callable.curry(new Callable({}, (self, a, b) => a + b))(1)(2))
+        .toBe(3)
+      expect(() => Callable.curry(sum, -1)).toThrow(TypeError)
+    })
+
+    test('rebind creates siblings over other handlers', () => {
+      const rows = [['Jane', 'Doe'], ['Sally', 'Smith']]
+        .map(([first, last]) => ({ first, last }))
+      let calls = 0
+      const name = new Callable(rows[0], function () {
+        calls++
+        return `${this.last}, ${this.first}`
+      }, { memoize: true, returns: z.string() })
+
+      Callable.use(name, { after: ({ result }) => result.toUpperCase() })
+
+      const names = rows.map((row) => Callable.rebind(name, row)())
+
+      expect(names).toEqual(['DOE, JANE', 'SMITH, SALLY'])
+      expect(name()).toBe('DOE, JANE')
+      expect(calls).toBe(3)
+
+      const sibling = Callable.rebind(name, rows[1])
+
+      expect(sibling[Callable.kReturns]).toBe(name[Callable.kReturns])
+      expect(sibling[Callable.kCache]).not.toBe(name[Callable.kCache])
+    })
+
+    test('only Callables can be composed', () => {
+      expect(() => Callable.pipe((x) => x)).toThrow(TypeError)
+      expect(() => Callable.pipe(person('a', 'b'), 1)).toThrow(TypeError)
+      expect(() => Callable.partial(() => 1)).toThrow(TypeError)
+      expect(() => Callable.rebind({}, {})).toThrow(TypeError)
+    })
+  })
+
+  describe('proxy invariants and introspection', () => {
+    class Person {
+      constructor(first, last) {
+        this.first = first
+        this.last = last
+      }
+
+      get initials() { return `${this.first[0]}${this.last[0]}` }
+    }
+
+    const fullName = () => new Callable(
+      new Person('Jane', 'Doe'),
+      function fullName(separator) {
+        return `${this.first}${separator ?? ' '}${this.last}`
+      },
+    )
+
+    test('keys and descriptors come from the handler', () => {
+      const callable = fullName()
+      const keys = Reflect.ownKeys(callable)
+
+      expect(Object.keys(callable)).toEqual(['first', 'last'])
+      expect(keys).toEqual(['first', 'last', 'length', 'name'])
+
+      for (const key of keys)
+        expect(Object.getOwnPropertyDescriptor(callable, key)).toBeDefined()
+
+      expect(Object.getOwnPropertyDescriptor(callable, 'first')).toEqual({
+        value: 'Jane',
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      })
+      expect({ ...callable }).toEqual({ first: 'Jane', last: 'Doe' })
+      expect(Object.entries(callable)).toEqual([
+        ['first', 'Jane'],
+        ['last', 'Doe'],
+      ])
+    })
+
+    test('non-configurable handler properties are reported faithfully', () => {
+      const handler = {}
+
+      Object.defineProperty(handler, 'id', { value: 7, enumerable: true })
+
+      const callable = new Callable(handler, (self) => self.id)
+
+      expect(Object.keys(callable)).toEqual(['id'])
+      expect(Object.getOwnPropertyDescriptor(callable, 'id').configurable)
+        .toBe(false)
+
+      Object.defineProperty(callable, 'code', { value: 'x' })
+      expect(handler.code).toBe('x')
+      expect(Reflect.ownKeys(callable)).toContain('code')
+      expect(Reflect.deleteProperty(callable, 'id')).toBe(false)
+      expect(callable()).toBe(7)
+    })
+
+    test('freezing, sealing and preventing extensions', () => {
+      const frozen = fullName()
+
+      expect(Object.freeze(frozen)).toBe(frozen)
+      expect(Object.isFrozen(frozen)).toBe(true)
+      expect(Object.isFrozen(frozen[Callable.kHandler])).toBe(true)
+      expect(Object.keys(frozen)).toEqual(['first', 'last'])
+      expect(Object.getPrototypeOf(frozen)).toBe(Person.prototype)
+      expect(frozen('-')).toBe('Jane-Doe')
+
+      const sealed = fullName()
+
+      Object.seal(sealed)
+      expect(Object.isSealed(sealed)).toBe(true)
+      sealed.first = 'Sally'
+      expect(sealed()).toBe('Sally Doe')
+
+      const handler = { a: 1, b: 2 }
+      const callable = new Callable(Object.preventExtensions(handler), () => 0)
+
+      expect(Object.isExtensible(callable)).toBe(false)
+      delete handler.b
+      expect(Reflect.ownKeys(callable)).toEqual(['a', 'length', 'name'])
+      expect('b' in callable).toBe(false)
+      expect(Reflect.defineProperty(callable, 'c', { value: 3 })).toBe(false)
+    })
+
+    test('name, length and toString describe the target', () => {
+      const callable = fullName()
+
+      expect(callable.name).toBe('fullName')
+      expect(callable.length).toBe(1)
+      expect(new Callable({}, (self, a, b) => a + b).length).toBe(2)
+      expect(String(callable)).toMatch(/^function fullName\(separator\)/)
+      expect(callable.toString()).toBe(String(callable))
+      expect('name' in callable).toBe(true)
+
+      const named = new Callable(
+        { name: 'Model', toString: () => 'model' },
+        function describe() { return this.name },
+      )
+
+      expect(named.name).toBe('Model')
+      expect(String(named)).toBe('model')
+      expect(Reflect.ownKeys(named)).toEqual(['name', 'toString', 'length'])
+
+      delete callable.name
+      expect(callable.name).toBe('')
+      expect(Reflect.ownKeys(callable)).not.toContain('name')
+    })
+
+    test('function methods remain available', () => {
+      const callable = fullName()
+
+      expect(callable.call(null, '_')).toBe('Jane_Doe')
+      expect(callable.apply(null, ['+'])).toBe('Jane+Doe')
+      expect(callable.bind(null, '.')()).toBe('Jane.Doe')
+      expect(callable.initials).toBe('JD')
+    })
+
+    test('toStringTag, instanceof, inspect and structuredClone', () => {
+      const callable = fullName()
+
+      expect(Object.prototype.toString.call(callable))
+        .toBe('[object Person]')
+      expect(Object.prototype.toString.call(new Callable(
+        Object.create(null),
+        () => 1,
+      ))).toBe('[object Callable]')
+
+      expect(callable).toBeInstanceOf(Callable)
+      expect(callable).toBeInstanceOf(Person)
+      expect({}).not.toBeInstanceOf(Callable)
+      expect(() => 1).not.toBeInstanceOf(Callable)
+      expect(typeof callable).toBe('function')
+
+      expect(inspect(callable))
+        .toBe("[Callable: fullName] Person { first: 'Jane', last: 'Doe' }")
+      expect(inspect({ callable }, { depth: 0 }))
+        .toBe('{ callable: [Callable: fullName] }')
+
+      expect(() => structuredClone(callable)).toThrow(
+        expect.objectContaining({ name: 'DataCloneError' })
+      )
+    })
+
+    test('setters run against the handler', () => {
+      const handler = {
+        values: [],
+        set value(value) { this.values.push(value) },
+      }
+      const callable = new Callable(handler, (self) => self.values)
+
+      callable.value = 1
+      expect(callable()).toEqual([1])
+      expect(Object.keys(callable)).toEqual(['values', 'value'])
+    })
+  })
+})
@@ -0,0 +1,799 @@
+const {
+  Range, RangeND, RangeParseError, RangeSequence, RangeSet,
+} = await import(
+  '../../src/core/range.js'
+)
+const { describe, expect, test, vi } = await import('vitest')
+
+describe('Range', () => {
+  describe('numbers', () => {
+    test('inclusive and exclusive iteration', () => {
+      expect([...new Range(1, 5)]).toEqual([1, 2, 3, 4, 5])
+      expect([...new Range({ start: 10, end: 20, step: 2, inclusive: false })])
+        .toEqual([10, 12, 14, 16, 18])
+      expect([...new Range(5, 1, 2)]).toEqual([5, 3, 1])
+      expect([...new Range(5, 1, -2)]).toEqual([5, 3, 1])
+      expect([...new Range(3, 3)]).toEqual([3])
+      expect([...new Range(3, 3, 1, false)]).toEqual([])
+    })
+
+    test('decimal steps do not accumulate error', () => {
+      const range = new Range(0, 1, 0.1)
+
+      expect([...range]).toEqual(
+        [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1]
+      )
+      expect(range.size).toBe(11)
+      expect(range.includes(0.3)).toBe(true)
+      expect(range.includes(0.35)).toBe(false)
+      expect(new Range(0, 1, 0.1, false).size).toBe(10)
+      expect([...new Range(0, 1, 0.3)]).toEqual([0, 0.3, 0.6, 0.9])
+    })
+
+    test('far into a range, near misses are not values', () => {
+      const roots = new Range(0, 1e7, Math.SQRT2)
+      const tenths = new Range(0, 1e9, 0.1)
+
+      expect(roots.includes(47321)).toBe(false)
+      expect(roots.includes(33461 * Math.SQRT2)).toBe(true)
+      expect(roots.includes(roots.at(7000000))).toBe(true)
+      expect(tenths.includes(99999999.9)).toBe(true)
+      expect(tenths.includes(99999999.95)).toBe(false)
+      expect(tenths.size).toBe(1e10 + 1)
+    })
+
+    test('size and includes honor direction and inclusivity', () => {
+      const descending = new Range(10, 0, 2.5)
+
+      expect(descending.size).toBe(5)
+      expect(descending.includes(2.5)).toBe(true)
+      expect(descending.includes(11)).toBe(false)
+      expect(new Range(1, 5, 1, false).includes(5)).toBe(false)
+      expect(new Range(1, 5).includes(5)).toBe(true)
+    })
+
+    test('each visits every value', () => {
+      const seen = []
+
+      new Range(1, 2, 0.25).each((value) => seen.push(value))
+      expect(seen).toEqual([1, 1.25, 1.5, 1.75, 2])
+    })
+
+    test('dynamic bounds are evaluated on access', () => {
+      let end = 3
+      const range = new Range(1, () => end)
+
+      expect(range.size).toBe(3)
+      end = 5
+      expect([...range]).toEqual([1, 2, 3, 4, 5])
+    })
+
+    test('step validation', () => {
+      expect(() => new Range(1, 5, 0)).toThrow(Error)
+      expect(() => new Range(1n, 5n, 0n)).toThrow(Error)
+      expect(() => new Range(1, 5, 'abc')).toThrow(Error)
+    })
+  })
+
+  describe('BigInt', () => {
+    test('iterates exactly beyond the safe integer range', () => {
+      const base = 2n ** 64n
+      const range = new Range(base, base + 10n, 5n)
+
+      expect([...range]).toEqual([base, base + 5n, base + 10n])
+      expect(range.size).toBe(3)
+      expect(range.includes(base + 5n)).toBe(true)
+      expect(range.includes(base + 6n)).toBe(false)
+      expect(range.includes(5)).toBe(false)
+    })
+
+    test('defaults the step to 1n and supports exclusive ends', () => {
+      const range = new Range({ start: 3n, end: 0n, inclusive: false })
+
+      expect(range.step).toBe(1n)
+      expect([...range]).toEqual([3n, 2n, 1n])
+    })
+
+    test('mixing value types is an error', () => {
+      expect(() => [...new Range(1n, 5)]).toThrow(TypeError)
+    })
+  })
+
+  describe('Date', () => {
+    const day = (date) => date.getDate()
+
+    test('steps by calendar days by default', () => {
+      const week = new Range(new Date(2024, 2, 1), new Date(2024, 2, 7))
+
+      expect(week.step).toEqual({ days: 1 })
+      expect(week.size).toBe(7)
+      expect([...week].map(day)).toEqual([1, 2, 3, 4, 5, 6, 7])
+      expect(week.includes(new Date(2024, 2, 4))).toBe(true)
+      expect(week.includes(new Date(2024, 2, 4, 12))).toBe(false)
+    })
+
+    test('supports month, week and fixed-length durations', () => {
+      const start = new Date(2024, 0, 15)
+      const months = new Range(start, new Date(2024, 5, 1), { months: 2 })
+      const hours = new Range(start, new Date(2024, 0, 15, 6), { hours: 3 })
+
+      expect([...months].map((date) => date.getMonth())).toEqual([0, 2, 4])
+      expect(months.includes(new Date(2024, 2, 15))).toBe(true)
+      expect(hours.size).toBe(3)
+      expect([...hours].map((date) => date.getHours())).toEqual([0, 3, 6])
+      expect(new Range(start, new Date(2024, 1, 15), { weeks: 1 }).size)
+        .toBe(5)
+    })
+
+    test('month steps clamp to the end of shorter months', () => {
+      const start = new Date(2024, 0, 31)
+      const months = new Range(start, new Date(2024, 4, 31), { months: 1 })
+
+      expect([...months].map((date) => [date.getMonth(), day(date)]))
+        .toEqual([[0, 31], [1, 29], [2, 31], [3, 30], [4, 31]])
+      expect(months.size).toBe(5)
+      expect(months.includes(new Date(2024, 3, 30))).toBe(true)
+    })
+
+    test('descending and millisecond steps', () => {
+      const end = new Date(2024, 0, 1)
+      const start = new Date(end.getTime() + 1000)
+      const range = new Range(start, end, 250, false)
+
+      expect(range.size).toBe(4)
+      expect([...range].map((date) => date.getTime() - end.getTime()))
+        .toEqual([1000, 750, 500, 250])
+    })
+  })
+
+  describe('domains', () => {
+    const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+    const weekday = {
+      name: 'weekday',
+      accepts: (value) => weekdays.includes(value),
+      compare: (a, b) => weekdays.indexOf(a) - weekdays.indexOf(b),
+      successor: (value, step) => weekdays[weekdays.indexOf(value) + step],
+      predecessor: (value, step) => weekdays[weekdays.indexOf(value) - step],
+    }
+
+    test('single characters are detected and step by code point', () => {
+      const letters = new Range('a', 'z', 2)
+
+      expect(letters.domain.name).toBe('character')
+      expect([...new Range('a', 'e')]).toEqual(['a', 'b', 'c', 'd', 'e'])
+      expect(letters.size).toBe(13)
+      expect(letters.includes('c')).toBe(true)
+      expect(letters.includes('d')).toBe(false)
+      expect([...new Range('😀', '😂')]).toEqual(['😀', '😁', '😂'])
+      expect(() => [...new Range('a', 5)]).toThrow(TypeError)
+    })
+
+    test('spreadsheet columns must be opted into', () => {
+      const columns = new Range({
+        start: 'A', end: 'AC', domain: Range.domains.column,
+      })
+
+      expect(columns.size).toBe(29)
+      expect([...columns].slice(-4)).toEqual(['Z', 'AA', 'AB', 'AC'])
+      expect(columns.includes('AB')).toBe(true)
+      expect(columns.includes('AD')).toBe(false)
+      expect([...new Range({
+        start: 'ab', end: 'z', domain: Range.domains.column,
+      })]).toEqual(['ab', 'aa', 'z'])
+    })
+
+    test('custom adapters only need compare, successor and predecessor', () => {
+      const workweek = new Range({ start: 'Mon', end: 'Fri', domain: weekday })
+      const odd = new Range({
+        start: 'Sun', end: 'Tue', step: 2, domain: weekday,
+      })
+
+      expect([...workweek]).toEqual(['Mon', 'Tue', 'Wed', 'Thu', 'Fri'])
+      expect(workweek.size).toBe(5)
+      expect(workweek.includes('Wed')).toBe(true)
+      expect(workweek.includes('Sat')).toBe(false)
+      expect([...odd]).toEqual(['Sun', 'Fri', 'Wed'])
+      expect(odd.includes('Thu')).toBe(false)
+    })
+
+    test('incomplete adapters are rejected', () => {
+      expect(() => new Range({ start: 1, end: 2, domain: {} }))
+        .toThrow(TypeError)
+      expect(() => new Range({
+        start: 1, end: 2, domain: { compare: weekday.compare },
+      })).toThrow(TypeError)
+    })
+  })
+
+  describe('set algebra', () => {
+    const bounds = (range) => [range.start, range.end, range.step]
+
+    test('intersect honors step alignment', () => {
+      expect(bounds(new Range(0, 30, 2).intersect(new Range(0, 30, 3))))
+        .toEqual([0, 30, 6])
+      expect(bounds(
+        new Range(0, 1, 0.1).intersect(new Range(0.25, 0.75, 0.05))
+      )).toEqual([0.3, 0.7, 0.1])
+      expect(bounds(new Range(10, 0).intersect(new Range(3, 20))))
+        .toEqual([3, 10, 1])
+      expect(new Range(0, 9, 3).intersect(new Range(1, 9, 3)).size).toBe(0)
+    })
+
+    test('union returns a range when possible, otherwise a RangeSet', () => {
+      const joined = new Range(1, 5).union(new Range(6, 10))
+      const apart = new Range(1, 5).union(new Range(8, 10))
+
+      expect(joined).toBeInstanceOf(Range)
+      expect(bounds(joined)).toEqual([1, 10, 1])
+      expect(apart).toBeInstanceOf(RangeSet)
+      expect(apart.ranges.map(bounds)).toEqual([[1, 5, 1], [8, 10, 1]])
+      expect([...new Range(0, 10).union(new Range(0, 20, 5))])
+        .toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 15, 20])
+    })
+
+    test('difference splits, trims and removes interleaved values', () => {
+      const odd = new Range(1, 10).difference(new Range(2, 10, 2))
+      const split = new Range(1, 10).difference(new Range(4, 6))
+
+      expect(bounds(odd)).toEqual([1, 9, 2])
+      expect(split.ranges.map(bounds)).toEqual([[1, 3, 1], [7, 10, 1]])
+      expect(bounds(new Range(1, 10).difference(new Range(8, 20))))
+        .toEqual([1, 7, 1])
+      expect(new Range(1, 10).difference(new Range(0, 10)).size).toBe(0)
+      expect(new Range(0, 10000).difference(new Range(0, 10000, 1000)).size)
+        .toBe(9990)
+    })
+
+    test('incommensurable steps share at most one value', () => {
+      const integers = new Range(0, 1e7, 1)
+      const roots = new Range(0, 1e7, Math.SQRT2)
+      const shifted = new Range(3 - 5 * Math.SQRT2, 1e7, Math.SQRT2)
+
+      expect([...integers.intersect(roots)]).toEqual([0])
+      expect(new Range(1, 1e7, 1).overlaps(roots)).toBe(false)
+      expect([...shifted.intersect(integers)]).toEqual([3])
+      expect(integers.difference(roots).size).toBe(1e7)
+    })
+
+    test('common values of long ranges are solved, not walked', () => {
+      const tenths = new Range(0, 1e9, 0.1)
+      const started = performance.now()
+
+      expect(bounds(tenths.intersect(new Range(0.3, 1e9, 0.3))))
+        .toEqual([0.3, 999999999.9, 0.3])
+      expect(new Range(0.05, 1e9, 0.1).overlaps(tenths)).toBe(false)
+      expect([...new Range(0, 5e8, 1).intersect(new Range(0, 5e8, 1.5 ** 0.5))])
+        .toEqual([0])
+      expect([...new Range(0, 1e9, 1).intersect(new Range(0, 1e9, 2 ** 0.5))])
+        .toEqual([0, 549964829])
+      expect(performance.now() - started).toBeLessThan(1000)
+    })
+
+    test('overlaps, contains and adjacentTo', () => {
+      expect(new Range(0, 10, 2).overlaps(new Range(1, 9, 2))).toBe(false)
+      expect(new Range(0, 10, 2).overlaps(new Range(4, 20))).toBe(true)
+      expect(new Range(0, 100, 5).contains(new Range(10, 30, 10))).toBe(true)
+      expect(new Range(0, 100, 5).contains(new Range(10, 30))).toBe(false)
+      expect(new Range(1, 5).adjacentTo(new Range(6, 10))).toBe(true)
+      expect(new Range(1, 5, 1, false).adjacentTo(new Range(5, 10))).toBe(true)
+      expect(new Range(1, 5).adjacentTo(new Range(5, 10))).toBe(false)
+      expect(new Range(1, 5).adjacentTo(new Range(7, 10))).toBe(false)
+    })
+
+    test('clamp snaps to the nearest value of the range', () => {
+      expect(new Range(0, 100, 10).clamp(42)).toBe(40)
+      expect(new Range(0, 100, 10).clamp(-7)).toBe(0)
+      expect(new Range(0, 99, 10).clamp(120)).toBe(90)
+      expect(() => new Range(0, 0, 1, false).clamp(1)).toThrow(RangeError)
+    })
+
+    test('works across domains but never between them', () => {
+      const letters = new Range('a', 'z').difference(new Range('m', 'p'))
+
+      expect(letters.ranges.map(bounds)).toEqual([['a', 'l', 1], ['q', 'z', 1]])
+      expect(bounds(
+        new Range(0n, 100n, 10n).intersect(new Range(0n, 100n, 15n))
+      )).toEqual([0n, 90n, 30n])
+      expect(() => new Range(1, 2).union(new Range('a', 'b')))
+        .toThrow(TypeError)
+    })
+
+    test('RangeSet holds disjoint ranges and iterates in order', () => {
+      const slots = new RangeSet([new Range(9, 12), new Range(14, 17)])
+      const thirds = new Range(0, 11).difference(new Range(0, 11, 3))
+
+      expect(slots.size).toBe(8)
+      expect(slots.includes(13)).toBe(false)
+      expect(slots.difference(new Range(11, 15)).ranges.map(bounds))
+        .toEqual([[9, 10, 1], [16, 17, 1]])
+      expect(new RangeSet([new Range(1, 5), new Range(3, 8)]).ranges)
+        .toHaveLength(1)
+      expect(slots.contains(new Range(15, 16))).toBe(true)
+      expect(slots.contains(new Range(12, 14))).toBe(false)
+      expect([...thirds]).toEqual([1, 2, 4, 5, 7, 8, 10, 11])
+    })
+
+    test('RangeSet formats its ranges', () => {
+      const split = new Range(1, 10).difference(new Range(4, 6))
+      const endless = Range.from(1).difference(new Range(3, 5))
+
+      expect(split.toString()).toBe('1..3, 7..10')
+      expect(split.toString('interval')).toBe('[1, 3], [7, 10]')
+      expect(endless.toString()).toBe('1..2, 6..')
+      expect(endless.ranges[1].toString()).toBe('6..')
+      expect(JSON.stringify(split)).toBe('["1..3","7..10"]')
+      expect(new RangeSet().toString()).toBe('∅')
+      expect(new Range(0, 30, 2).difference(new Range(0, 30, 3)).toString())
+        .toBe('2..26 step 6, 4..28 step 6')
+    })
+  })
+
+  describe('pipelines', () => {
+    test('at computes values arithmetically', () => {
+      expect(new Range(0, 1, 0.1).at(3)).toBe(0.3)
+      expect(new Range(10, 0, 2).at(-1)).toBe(0)
+      expect(new Range(0, 1e15).at(1e14)).toBe(1e14)
+      expect(new Range(0, 5).at(6)).toBeUndefined()
+    })
+
+    test('take, skip, stepBy and reverse return ranges', () => {
+      const countdown = new Range(10, 1)
+
+      expect(new Range(1, 10).stepBy(3)).toBeInstanceOf(Range)
+      expect([...new Range(1, 10).stepBy(3)]).toEqual([1, 4, 7, 10])
+      expect([...countdown.take(3)]).toEqual([10, 9, 8])
+      expect([...countdown.skip(7)]).toEqual([3, 2, 1])
+      expect([...new Range(1, 10, 4).reverse()]).toEqual([9, 5, 1])
+      expect(new Range(0, 1e12).take(2).size).toBe(2)
+      expect(() => countdown.stepBy(0)).toThrow(RangeError)
+    })
+
+    test('map and filter are lazy', () => {
+      const seen = []
+      const squares = new Range(1, 1e9)
+        .map((n) => (seen.push(n), n * n))
+        .filter((n) => n % 3 === 0)
+        .take(3)
+
+      expect(squares).toBeInstanceOf(RangeSequence)
+      expect(seen).toEqual([])
+      expect([...squares]).toEqual([9, 36, 81])
+      expect(seen).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9])
+      expect([...squares]).toEqual([9, 36, 81])
+    })
+
+    test('zip, chunk and window', () => {
+      expect([...new Range(1, 5).zip('abc', new Range(10, 100, 10))])
+        .toEqual([[1, 'a', 10], [2, 'b', 20], [3, 'c', 30]])
+      expect([...new Range(1, 7).chunk(3)]).toEqual([[1, 2, 3], [4, 5, 6], [7]])
+      expect([...new Range(1, 5).window(3)])
+        .toEqual([[1, 2, 3], [2, 3, 4], [3, 4, 5]])
+      expect([...new Range(1, 1e12).window(2).take(2)])
+        .toEqual([[1, 2], [2, 3]])
+    })
+
+    test('reduce folds without an array', () => {
+      expect(new Range(1, 100).reduce((sum, n) => sum + n)).toBe(5050)
+      expect(new Range(1, 4).map(String).reduce((a, b) => a + b, '>'))
+        .toBe('>1234')
+      expect(() => new Range(0, 0, 1, false).reduce((a, b) => a + b))
+        .toThrow(TypeError)
+    })
+  })
+
+  describe('unbounded and half-open ranges', () => {
+    test('Range.from counts up forever', () => {
+      const naturals = Range.from(5)
+
+      expect(naturals.size).toBe(Infinity)
+      expect([...naturals.take(3)]).toEqual([5, 6, 7])
+      expect(naturals.includes(1e9)).toBe(true)
+      expect(naturals.includes(4)).toBe(false)
+      expect(naturals.includes(5.5)).toBe(false)
+      expect(naturals.at(10)).toBe(15)
+      expect([...naturals.map((n) => n * 2).take(2)]).toEqual([10, 12])
+      expect(() => naturals.reverse()).toThrow(RangeError)
+    })
+
+    test('Range.upTo counts down from its end', () => {
+      const upTo = Range.upTo(10)
+
+      expect(upTo.size).toBe(Infinity)
+      expect([...upTo.take(3)]).toEqual([10, 9, 8])
+      expect(upTo.includes(-3)).toBe(true)
+      expect(upTo.includes(11)).toBe(false)
+    })
+
+    test('undefined and infinite ends replace the legacy semantics', () => {
+      expect(new Range(10, undefined).size).toBe(Infinity)
+      expect([...new Range(0, -Infinity, 2).take(3)]).toEqual([0, -2, -4])
+      expect(new Range(-Infinity, Infinity).includes(3.3)).toBe(true)
+      expect(() => [...new Range(-Infinity, Infinity)]).toThrow(RangeError)
+      expect(() => new Range(1, NaN).includes(1)).toThrow(TypeError)
+    })
+
+    test('startInclusive and endInclusive', () => {
+      const open = new Range({ start: 1, end: 5, startInclusive: false })
+      const below = new Range({ start: -Infinity, end: 10, inclusive: false })
+
+      expect([...open]).toEqual([2, 3, 4, 5])
+      expect(open.includes(1)).toBe(false)
+      expect([...new Range({
+        start: 1, end: 5, startInclusive: false, endInclusive: false,
+      })]).toEqual([2, 3, 4])
+      expect(new Range({ start: 5, end: 5, startInclusive: false }).size)
+        .toBe(0)
+      expect(below.endInclusive).toBe(false)
+      expect([...below.take(2)]).toEqual([9, 8])
+    })
+
+    test('endless ranges take part in set algebra', () => {
+      expect([...Range.from(0, 3).intersect(new Range(0, 20, 2))])
+        .toEqual([0, 6, 12, 18])
+      expect([...new Range(0, 30).difference(Range.from(10))])
+        .toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9])
+    })
+  })
+
+  describe('parse and toString', () => {
+    const notations = [
+      ['1..10', '1..10', '[1, 10]'],
+      ['1...10', '1...10', '[1, 10)'],
+      ['[0, 100)', '0...100', '[0, 100)'],
+      ['0..100 step 5', '0..100 step 5', '[0, 100] step 5'],
+      ['10..1', '10..1', '[10, 1]'],
+      ['(1, 5]', '(1, 5]', '(1, 5]'],
+      ['5..', '5..', '[5, ∞)'],
+      ['(-∞, 0]', '..0', '(-∞, 0]'],
+      ['1..=10', '1..10', '[1, 10]'],
+      [" 'a' .. 'z' step 2 ", "'a'..'z' step 2", "['a', 'z'] step 2"],
+      ['0n..10n step 5n', '0n..10n step 5n', '[0n, 10n] step 5n'],
+    ]
+
+    test.each(notations)('%s round trips', (input, dots, interval) => {
+      const range = Range.parse(input)
+
+      expect(range.toString()).toBe(dots)
+      expect(range.toString('interval')).toBe(interval)
+      expect(Range.parse(dots).toString()).toBe(dots)
+      expect(Range.parse(interval).toString('interval')).toBe(interval)
+    })
+
+    test('parsed ranges behave like constructed ones', () => {
+      expect([...Range.parse('0..100 step 25')]).toEqual([0, 25, 50, 75, 100])
+      expect(Range.parse('[0, 100)').includes(100)).toBe(false)
+      expect([...Range.parse('(1, 5]')]).toEqual([2, 3, 4, 5])
+      expect(Range.parse('..10').includes(-3)).toBe(true)
+      expect(Range.parse("'A'..'AC'", { domain: Range.domains.column }).size)
+        .toBe(29)
+      expect(JSON.stringify({ ports: new Range(8000, 8080) }))
+        .toBe('{"ports":"8000..8080"}')
+    })
+
+    test('Date ranges write their steps as ISO 8601 durations', () => {
+      const start = new Date(Date.UTC(2024, 0, 1))
+      const end = new Date(Date.UTC(2024, 5, 1))
+      const monthly = new Range(start, end, { months: 1 })
+      const text = '2024-01-01T00:00:00.000Z..2024-06-01T00:00:00.000Z'
+
+      expect(monthly.toString()).toBe(`${text} step P1M`)
+      expect(new Range(start, end, { weeks: 2, hours: 1, milliseconds: 500 })
+        .toString('interval')).toMatch(/\] step P2WT1H0\.5S$/)
+
+      const parsed = Range.parse(monthly.toString())
+
+      expect(parsed.step).toEqual({ months: 1 })
+      expect([...parsed].map((date) => date.getTime()))
+        .toEqual([...monthly].map((date) => date.getTime()))
+      expect(Range.parse(`${text} step PT1.25S`).step)
+        .toEqual({ seconds: 1, milliseconds: 250 })
+      expect(() => Range.parse(`${text} step P`)).toThrow(RangeParseError)
+    })
+
+    test('malformed input reports where and what was expected', () => {
+      const failure = (input) => {
+        try {
+          Range.parse(input)
+        }
+        catch (error) {
+          return error
+        }
+      }
+
+      expect(failure('[0, 100')).toBeInstanceOf(RangeParseError)
+      expect(failure('[0, 100')).toMatchObject({
+        offset: 7, expected: '"]" or ")"',
+      })
+      expect(failure('1..2 step 0').offset).toBe(10)
+      expect(failure('[1; 2]').expected).toBe('","')
+      expect(failure('1..2 stride 3').offset).toBe(5)
+      expect(failure('a..b').offset).toBe(0)
+      expect(() => new Range(1, 2).toString('rust')).toThrow(TypeError)
+    })
+
+    test('default steps are left out even when given', () => {
+      expect(new Range(0, 100, 5).toString()).toBe('0..100 step 5')
+      expect(new Range(0, 100, 1, false).toString('interval')).toBe('[0, 100)')
+      expect(new Range(0n, 9n, 1n).toString()).toBe('0n..9n')
+      expect(new Range(9, 0, -1).toString()).toBe('9..0 step -1')
+      expect(new Range(
+        new Date(Date.UTC(2024, 0, 1)), new Date(Date.UTC(2024, 0, 5)),
+        { days: 1 },
+      ).toString()).not.toContain('step')
+    })
+  })
+
+  describe('reactive ranges', () => {
+    const viewport = () => {
+      const state = { top: 0 }
+      const rows = new Range(
+        () => Math.floor(state.top / 20),
+        () => Math.floor(state.top / 20) + 30
+      )
+
+      return { state, rows }
+    }
+
+    test('refresh notifies subscribers with bounds and value diffs', () => {
+      const { state, rows } = viewport()
+      const changes = []
+
+      rows.subscribe((change) => changes.push(change))
+
+      expect(rows.refresh()).toBeNull()
+
+      state.top = 400
+      rows.refresh()
+
+      const [change] = changes
+
+      expect(change.range).toBe(rows)
+      expect([change.previous.start, change.previous.end]).toEqual([0, 30])
+      expect([change.current.start, change.current.end]).toEqual([20, 50])
+      expect([...change.added]).toEqual([31, 32, 33, 34, 35, 36, 37, 38, 39,
+        40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50])
+      expect(change.removed.size).toBe(20)
+      expect(change.removed.includes(19)).toBe(true)
+    })
+
+    test('unsubscribing and listener errors', () => {
+      const { state, rows } = viewport()
+      const calls = []
+      const unsubscribe = rows.subscribe(() => calls.push('first'))
+
+      rows.subscribe(() => {
+        throw new Error('boom')
+      })
+      rows.subscribe(() => calls.push('last'))
+
+      state.top = 100
+      expect(() => rows.refresh()).toThrow('boom')
+      expect(calls).toEqual(['first', 'last'])
+
+      unsubscribe()
+      state.top = 200
+      expect(() => rows.refresh()).toThrow('boom')
+      expect(calls).toEqual(['first', 'last', 'last'])
+    })
+
+    test('watch attaches triggers and polling', () => {
+      vi.useFakeTimers()
+
+      try {
+        const { state, rows } = viewport()
+        const starts = []
+        let trigger
+        let cleaned = false
+
+        rows.subscribe(({ current }) => starts.push(current.start))
+
+        const detachTrigger = rows.watch((refresh) => {
+          trigger = refresh
+          return () => (cleaned = true)
+        })
+        const detachPolling = rows.watch(100, { onError: vi.fn() })
+
+        state.top = 40
+        trigger()
+        state.top = 80
+        vi.advanceTimersByTime(250)
+        detachPolling()
+        detachTrigger()
+        state.top = 120
+        vi.advanceTimersByTime(250)
+
+        expect(starts).toEqual([2, 4])
+        expect(cleaned).toBe(true)
+        expect(() => rows.watch('often')).toThrow(TypeError)
+      }
+      finally {
+        vi.useRealTimers()
+      }
+    })
+
+    test('watch reports listener errors instead of leaking them', () => {
+      vi.useFakeTimers()
+
+      try {
+        const { state, rows } = viewport()
+        const errors = []
+        const onError = (error) => errors.push(error)
+        let trigger
+
+        rows.subscribe(() => {
+          throw new Error('boom')
+        })
+
+        const detach = rows.watch(100, { onError })
+
+        rows.watch((refresh) => (trigger = refresh), { onError })
+
+        state.top = 40
+        vi.advanceTimersByTime(100)
+        state.top = 80
+        vi.advanceTimersByTime(100)
+        detach()
+        state.top = 120
+        trigger()
+
+        expect(errors.map((error) => error.message))
+          .toEqual(['boom', 'boom', 'boom'])
+        expect(() => rows.watch(100)).toThrow(TypeError)
+        expect(vi.getTimerCount()).toBe(0)
+      }
+      finally {
+        vi.useRealTimers()
+      }
+    })
+  })
+
+  describe('async iteration', () => {
+    const collect = async (iterable, advance = 0) => {
+      const values = []
+      const done = (async () => {
+        for await (const value of iterable) {
+          values.push([value, Date.now()])
+        }
+      })()
+
+      await vi.advanceTimersByTimeAsync(advance)
+      await done
+
+      return values
+    }
+
+    test('ranges are async iterable', async () => {
+      const values = []
+
+      for await (const value of new Range('a', 'c')) {
+        values.push(value)
+      }
+
+      expect(values).toEqual(['a', 'b', 'c'])
+    })
+
+    test('paced waits a fixed or computed delay between values', async () => {
+      vi.useFakeTimers({ now: 0 })
+
+      try {
+        expect(await collect(new Range(1, 3).paced({ delay: 100 }), 1000))
+          .toEqual([[1, 0], [2, 100], [3, 200]])
+        expect(await collect(
+          new Range(1, 3).paced({ delay: (index) => index * 10 }), 1000
+        )).toEqual([[1, 1000], [2, 1010], [3, 1030]])
+      }
+      finally {
+        vi.useRealTimers()
+      }
+    })
+
+    test('a delay iterable bounds the attempts', async () => {
+      vi.useFakeTimers({ now: 0 })
+
+      try {
+        const delays = Range.backoff({ base: 10 }).take(3)
+
+        expect(await collect(Range.from(1).paced({ delay: delays }), 1000))
+          .toEqual([[1, 0], [2, 10], [3, 30], [4, 70]])
+      }
+      finally {
+        vi.useRealTimers()
+      }
+    })
+
+    test('an AbortSignal stops iteration, even mid delay', async () => {
+      vi.useFakeTimers({ now: 0 })
+
+      try {
+        const controller = new AbortController()
+        const paced = Range.from(1).paced({
+          delay: 100, signal: controller.signal,
+        })
+
+        setTimeout(() => controller.abort(), 150)
+
+        expect(await collect(paced, 1000)).toEqual([[1, 0], [2, 100]])
+        expect(await collect(paced)).toEqual([])
+      }
+      finally {
+        vi.useRealTimers()
+      }
+    })
+
+    test('backoff grows, caps and jitters', () => {
+      const random = vi.spyOn(Math, 'random').mockReturnValue(0.5)
+
+      try {
+        expect([...Range.backoff({ base: 100, max: 1000 }).take(6)])
+          .toEqual([100, 200, 400, 800, 1000, 1000])
+        expect([...Range.backoff({ base: 100, factor: 3 }).take(3)])
+          .toEqual([100, 300, 900])
+        expect([...Range.backoff({ jitter: true }).take(2)]).toEqual([50, 100])
+        expect([...Range.backoff({ jitter: 0.2 }).take(2)]).toEqual([90, 180])
+      }
+      finally {
+        random.mockRestore()
+      }
+    })
+  })
+
+  describe('grids', () => {
+    const board = Range.grid(new Range(0, 7), new Range(0, 7))
+
+    test('iterates the cartesian product in either order', () => {
+      expect(Range.grid(2, 3)).toBeInstanceOf(RangeND)
+      expect([...Range.grid(2, 3)])
+        .toEqual([[0, 0], [0, 1], [0, 2], [1, 0], [1, 1], [1, 2]])
+      expect([...Range.grid(2, 3, { order: 'column' })])
+        .toEqual([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2], [1, 2]])
+      expect([...Range.grid(new Range(10, 0, 5), new Range('a', 'b'))])
+        .toEqual([[10, 'a'], [10, 'b'], [5, 'a'], [5, 'b'], [0, 'a'], [0, 'b']])
+    })
+
+    test('size, shape, includes, at and indexOf are arithmetic', () => {
+      const cube = Range.grid(3, 4, 5)
+
+      expect(board.size).toBe(64)
+      expect(cube.shape).toEqual([3, 4, 5])
+      expect(cube.dimensions).toBe(3)
+      expect(board.includes([3, 7])).toBe(true)
+      expect(board.includes([3, 8])).toBe(false)
+      expect(board.includes([3])).toBe(false)
+      expect(cube.at(27)).toEqual([1, 1, 2])
+      expect(cube.indexOf([1, 1, 2])).toBe(27)
+      expect(cube.at(-1)).toEqual([2, 3, 4])
+      expect(Range.grid(2, 3, { order: 'column' }).indexOf([1, 0])).toBe(1)
+      expect(Range.grid(2, 0).size).toBe(0)
+      expect([...Range.grid(2, 0)]).toEqual([])
+    })
+
+    test('endless slow dimensions still iterate lazily', () => {
+      const rows = Range.grid(Range.from(0), 2)
+
+      expect(rows.size).toBe(Infinity)
+      expect(rows.at(5)).toEqual([2, 1])
+      expect([...new RangeSequence(rows).take(3)])
+        .toEqual([[0, 0], [0, 1], [1, 0]])
+    })
+
+    test('slice narrows dimensions by index or by range', () => {
+      expect(board.slice([2, 4]).shape).toEqual([3, 8])
+      expect(board.slice(null, new Range(0, 7, 2)).shape).toEqual([8, 4])
+      expect([...Range.grid(3, 3).slice([1, 2], [1, 2])])
+        .toEqual([[1, 1], [1, 2], [2, 1], [2, 2]])
+      expect(() => board.slice(5)).toThrow(TypeError)
+    })
+
+    test('neighbors finds Moore and von Neumann neighborhoods', () => {
+      expect(board.neighbors([0, 0])).toEqual([[0, 1], [1, 0], [1, 1]])
+      expect(board.neighbors([3, 3])).toHaveLength(8)
+      expect(board.neighbors([3, 3], { diagonal: false }))
+        .toEqual([[2, 3], [3, 2], [3, 4], [4, 3]])
+      expect(board.neighbors([3, 3], { distance: 2, diagonal: false }))
+        .toHaveLength(12)
+      expect(board.neighbors([3, 3], { includeSelf: true })).toHaveLength(9)
+      expect(Range.grid(3, 3, 3).neighbors([1, 1, 1])).toHaveLength(26)
+      expect(() => board.neighbors([9, 9])).toThrow(RangeError)
+    })
+  })
+})
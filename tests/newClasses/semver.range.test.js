@@ -0,0 +1,101 @@
+const { SemVerRange } = await import('../../src/util/semver.range.js')
+const { SemVer } = await import('../../src/util/semver.js')
+const { describe, expect, test } = await import('vitest')
+
+describe('SemVerRange', () => {
+  describe('desugaring', () => {
+    const cases = [
+      ['^1.2.3', '>=1.2.3 <2.0.0-0'],
+      ['^0.2.3', '>=0.2.3 <0.3.0-0'],
+      ['^0.0.3', '>=0.0.3 <0.0.4-0'],
+      ['^0.x', '>=0.0.0 <1.0.0-0'],
+      ['^0.0', '>=0.0.0 <0.1.0-0'],
+      ['~1.2.3', '>=1.2.3 <1.3.0-0'],
+      ['~1.4', '>=1.4.0 <1.5.0-0'],
+      ['~1', '>=1.0.0 <2.0.0-0'],
+      ['1.x', '>=1.0.0 <2.0.0-0'],
+      ['1.2.*', '>=1.2.0 <1.3.0-0'],
+      ['*', '*'],
+      ['', '*'],
+      ['>1.2', '>=1.3.0'],
+      ['<=1.2', '<1.3.0-0'],
+      ['>= 1.2.0 < 2.0.0', '>=1.2.0 <2.0.0'],
+      ['1.2.3 - 2.3.4', '>=1.2.3 <=2.3.4'],
+      ['1.2 - 2.3', '>=1.2.0 <2.4.0-0'],
+      ['1.x || 2.0.0 - 2.5.0', '>=1.0.0 <2.0.0-0 || >=2.0.0 <=2.5.0'],
+    ]
+
+    test.each(cases)('%s is %s', (range, expected) => {
+      expect(String(new SemVerRange(range))).toBe(expected)
+    })
+
+    test('invalid ranges throw a TypeError', () => {
+      expect(() => new SemVerRange('>=abc')).toThrow(TypeError)
+      expect(() => new SemVerRange('1.2.3 - ')).toThrow(TypeError)
+      expect(() => new SemVerRange('^1.2.3-01')).toThrow(TypeError)
+      expect(() => new SemVerRange('99999999999999999999.0.0'))
+        .toThrow('cannot parse "99999999999999999999.0.0"')
+      expect(() => new SemVerRange('1.0.0 - 1.0.0-01')).toThrow(TypeError)
+    })
+  })
+
+  describe('satisfies', () => {
+    test('caret, tilde and unions', () => {
+      expect(SemVerRange.satisfies('2.9.1', '^2.3.0')).toBe(true)
+      expect(SemVerRange.satisfies('3.0.0', '^2.3.0')).toBe(false)
+      expect(SemVerRange.satisfies('1.4.9', '~1.4')).toBe(true)
+      expect(SemVerRange.satisfies('1.5.0', '~1.4')).toBe(false)
+      expect(SemVerRange.satisfies('2.5.0', '1.x || 2.0.0 - 2.5.0')).toBe(true)
+      expect(SemVerRange.satisfies('2.5.1', '1.x || 2.0.0 - 2.5.0')).toBe(false)
+      expect(SemVerRange.satisfies(new SemVer('1.9.9'), '>=1.2.0 <2.0.0'))
+        .toBe(true)
+    })
+
+    test('prereleases require an opt-in comparator on the same tuple', () => {
+      const range = new SemVerRange('^1.2.0')
+
+      expect(range.satisfies('1.3.0-beta.1')).toBe(false)
+      expect(new SemVerRange('>=1.3.0-beta <2').satisfies('1.3.0-beta.1'))
+        .toBe(true)
+      expect(new SemVerRange('>=1.3.0-beta <2').satisfies('1.4.0-beta.1'))
+        .toBe(false)
+      expect(SemVerRange.satisfies('1.0.0-rc.1', '*')).toBe(false)
+    })
+
+    test('includePrerelease matches prereleases like any other version', () => {
+      const range = new SemVerRange('^1.2.0', { includePrerelease: true })
+
+      expect(range.satisfies('1.3.0-beta.1')).toBe(true)
+      expect(range.satisfies('2.0.0-beta.1')).toBe(false)
+    })
+
+    test('invalid versions or ranges never satisfy', () => {
+      expect(new SemVerRange('*').satisfies('not a version')).toBe(false)
+      expect(SemVerRange.satisfies('1.0.0', '>>1')).toBe(false)
+    })
+  })
+
+  describe('max/minSatisfying', () => {
+    const versions = ['1.9.0', '2.5.0', new SemVer('2.1.0'), '2.6.0']
+    const range = new SemVerRange('1.x || 2.0.0 - 2.5.0')
+
+    test('return the original elements', () => {
+      expect(range.maxSatisfying(versions)).toBe('2.5.0')
+      expect(range.minSatisfying(versions)).toBe('1.9.0')
+      expect(new SemVerRange('^3').maxSatisfying(versions)).toBeNull()
+    })
+  })
+
+  describe('intersects', () => {
+    test('detects overlapping and disjoint ranges', () => {
+      const range = new SemVerRange('^1.2.0')
+
+      expect(range.intersects('1.5.x')).toBe(true)
+      expect(range.intersects('>=2.0.0')).toBe(false)
+      expect(range.intersects('<1.2.0 || >=1.9.0')).toBe(true)
+      expect(range.intersects(new SemVerRange('<=1.2.0'))).toBe(true)
+      expect(range.intersects('<1.2.0')).toBe(false)
+      expect(new SemVerRange('>*').intersects('*')).toBe(false)
+    })
+  })
+})
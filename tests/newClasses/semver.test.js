@@ -0,0 +1,411 @@
+const {
+  FrozenSemVer,
+  SemVer,
+  SemVerParseError,
+} = await import('../../src/util/semver.js')
+const { describe, expect, test } = await import('vitest')
+
+describe('SemVer', () => {
+  describe('parsing', () => {
+    test('keeps hyphens in prerelease and build identifiers', () => {
+      const version = new SemVer('1.0.0-beta-2+build-7.exp')
+
+      expect(version.prerelease).toBe('beta-2')
+      expect(version.metadata).toBe('build-7.exp')
+      expect(version.get()).toBe('1.0.0-beta-2+build-7.exp')
+    })
+
+    test('allows leading zeros in build metadata only', () => {
+      expect(new SemVer('1.0.0-rc.0+001').metadata).toBe('001')
+      expect(SemVer.valid('1.0.0-rc.01')).toBeNull()
+    })
+
+    test.each([
+      ['01.2.3', 0, 'major version without leading zeros'],
+      ['1.02.3', 2, 'minor version without leading zeros'],
+      ['1.2', 3, '"." followed by the patch version'],
+      ['1.2.3-', 6, 'a prerelease identifier'],
+      ['1.2.3-beta..1', 11, 'a prerelease identifier'],
+      ['1.2.3+', 6, 'a build metadata identifier'],
+      ['1.2.3-be$ta', 8, 'end of version'],
+      ['v1.2.3', 0, 'a numeric major version'],
+    ])('%s fails at offset %i', (input, offset, expected) => {
+      let error
+
+      try {
+        new SemVer(input)
+      }
+      catch (caught) {
+        error = caught
+      }
+
+      expect(error).toBeInstanceOf(SemVerParseError)
+      expect(error).toBeInstanceOf(Error)
+      expect(error.input).toBe(input)
+      expect(error.offset).toBe(offset)
+      expect(error.expected).toBe(expected)
+      expect(error.message).toContain(`offset ${offset}`)
+    })
+
+    test('parse and valid return null instead of throwing', () => {
+      expect(SemVer.parse('1.2.3-alpha.1').prerelease).toBe('alpha.1')
+      expect(SemVer.parse('nope')).toBeNull()
+      expect(SemVer.parse(42)).toBeNull()
+      expect(SemVer.valid('1.2.3+build')).toBe('1.2.3+build')
+      expect(SemVer.valid('1.2.3.4')).toBeNull()
+    })
+
+    test('loose mode coerces common deviations', () => {
+      const loose = { loose: true }
+
+      expect(SemVer.valid('v1.2', loose)).toBe('1.2.0')
+      expect(SemVer.valid('=1.2.3', loose)).toBe('1.2.3')
+      expect(SemVer.valid(' = v1.2.3 ', loose)).toBe('1.2.3')
+      expect(SemVer.valid('1.2.3.4', loose)).toBe('1.2.3')
+      expect(SemVer.valid('01.002.3', loose)).toBe('1.2.3')
+      expect(SemVer.valid('V2', loose)).toBe('2.0.0')
+      expect(new SemVer('v1.2-rc.1', loose).get()).toBe('1.2.0-rc.1')
+      expect(SemVer.valid('x1.2', loose)).toBeNull()
+    })
+  })
+
+  describe('increment', () => {
+    const table = [
+      ['1.2.3', 'major', '2.0.0'],
+      ['1.2.3', 'minor', '1.3.0'],
+      ['1.2.3', 'patch', '1.2.4'],
+      ['1.2.3', 'premajor', '2.0.0-beta.0'],
+      ['1.2.3', 'preminor', '1.3.0-beta.0'],
+      ['1.2.3', 'prepatch', '1.2.4-beta.0'],
+      ['1.2.3', 'prerelease', '1.2.4-beta.0'],
+      ['1.2.3-beta.1', 'major', '2.0.0'],
+      ['1.2.3-beta.1', 'minor', '1.3.0'],
+      ['1.2.3-beta.1', 'patch', '1.2.3'],
+      ['1.2.3-beta.1', 'premajor', '2.0.0-beta.0'],
+      ['1.2.3-beta.1', 'prerelease', '1.2.3-beta.2'],
+      ['1.0.0-rc.1', 'major', '1.0.0'],
+      ['1.3.0-rc.1', 'minor', '1.3.0'],
+      ['1.3.0-alpha.4', 'prerelease', '1.3.0-beta.0'],
+      ['1.3.0-beta', 'prerelease', '1.3.0-beta.0'],
+      ['1.3.0-beta.1.rc', 'prerelease', '1.3.0-beta.2.rc'],
+    ]
+
+    test.each(table)('%s by %s with beta is %s', (from, release, to) => {
+      expect(new SemVer(from).increment(release, 'beta').get()).toBe(to)
+    })
+
+    test('without an identifier prereleases are numeric', () => {
+      expect(new SemVer('1.2.3').increment(SemVer.PRERELEASE).get())
+        .toBe('1.2.4-0')
+      expect(new SemVer('1.2.4-0').increment(SemVer.PRERELEASE).get())
+        .toBe('1.2.4-1')
+      expect(new SemVer('1.2.4-rc').increment(SemVer.PRERELEASE).get())
+        .toBe('1.2.4-rc.0')
+    })
+
+    test('applies the increment repeatedly and chains', () => {
+      const version = new SemVer('1.2.3+build.5')
+
+      expect(version.increment(SemVer.MINOR, 2).get()).toBe('1.4.0+build.5')
+      expect(version
+        .increment(SemVer.PREMINOR, 1, 'beta')
+        .increment(SemVer.PRERELEASE, 'beta')
+        .get()
+      ).toBe('1.5.0-beta.1+build.5')
+    })
+
+    test('numeric strings count increments outside prereleases', () => {
+      expect(new SemVer('1.2.3').increment(SemVer.MAJOR, '2').get())
+        .toBe('3.0.0')
+      expect(new SemVer('1.2.3').increment(SemVer.PATCH, ' 3 ').get())
+        .toBe('1.2.6')
+      expect(new SemVer('1.2.3').increment(SemVer.PREMINOR, '2').get())
+        .toBe('1.3.0-2.0')
+    })
+
+    test('unknown release types leave the version untouched', () => {
+      expect(new SemVer('1.2.3').increment('bogus').get()).toBe('1.2.3')
+    })
+  })
+
+  describe('coerce', () => {
+    const agent = 'Mozilla/5.0 (X11) Chrome/120.0.6099.109 Safari/537.36'
+
+    test.each([
+      ['v2.3.1-14-gabc123', '2.3.1'],
+      ['nginx:1.25-alpine', '1.25.0'],
+      ['app-01.2.3.4.tgz', '1.2.3'],
+      ['release v2', '2.0.0'],
+      [agent, '5.0.0'],
+      [42, '42.0.0'],
+    ])('%s becomes %s', (input, expected) => {
+      expect(SemVer.coerce(input).get()).toBe(expected)
+    })
+
+    test('right-to-left prefers the last, longest version', () => {
+      expect(SemVer.coerce(agent, { rtl: true }).get()).toBe('537.36.0')
+      expect(SemVer.coerce('1.2.3.4', { rtl: true }).get()).toBe('2.3.4')
+      expect(SemVer.coerce('a1 b2.2 c3', { rtl: true }).get()).toBe('3.0.0')
+    })
+
+    test('optionally keeps prerelease and build metadata', () => {
+      const options = { includePrerelease: true }
+
+      expect(SemVer.coerce('v2.3.1-14-gabc123', options).get())
+        .toBe('2.3.1-14-gabc123')
+      expect(SemVer.coerce('image:1.25-alpine+arm64', options).get())
+        .toBe('1.25.0-alpine+arm64')
+      expect(SemVer.coerce('build 1.2.3-01', options).get()).toBe('1.2.3')
+    })
+
+    test('returns null when there is nothing to coerce', () => {
+      expect(SemVer.coerce('latest')).toBeNull()
+      expect(SemVer.coerce(null)).toBeNull()
+      expect(SemVer.coerce('a 99999999999999999.1.2')).toBeNull()
+      expect(SemVer.coerce('a 9007199254740992.1 b 3.4', { rtl: true }).get())
+        .toBe('3.4.0')
+      expect(SemVer.coerce('99999999999999999.1.2 then 4.5').get())
+        .toBe('4.5.0')
+    })
+  })
+
+  describe('embedded versions', () => {
+    test('matchAll finds every version with its range', () => {
+      const text = 'upgrade v1.2.3 -> 1.3.0-beta.1+exp.sha.5114f85.'
+      const matches = SemVer.matchAll(text)
+
+      expect(matches.map(({ semVerString }) => semVerString)).toEqual(
+        ['1.2.3', '1.3.0-beta.1+exp.sha.5114f85']
+      )
+      expect(matches[0].semVer).toBeInstanceOf(SemVer)
+      expect(text.slice(...matches[1].range)).toBe(matches[1].semVerString)
+    })
+
+    test('ignores version-like runs that are not versions', () => {
+      expect(SemVer.matchAll('1.2.3.4 and 01.2.3 and 1.2')).toEqual([])
+      expect(SemVer.from('nothing here')).toBeUndefined()
+    })
+
+    test('does not mistake file extensions for identifiers', () => {
+      expect('app-1.4.0-rc.1.tgz'.match(SemVer.kSemVerPattern))
+        .toEqual(['1.4.0-rc.1'])
+      expect('pkg-2.0.0+build.7.tar.gz'.match(SemVer.kSemVerPattern))
+        .toEqual(['2.0.0+build.7'])
+      expect(SemVer.matchAll('x 1.2.3-beta.js')[0].semVer.prerelease)
+        .toBe('beta')
+      expect(SemVer.matchAll('1.0.0-x.7.z.92 ').map((m) => m.semVerString))
+        .toEqual(['1.0.0-x.7.z.92'])
+    })
+
+    test('from finds the version in a bundle filename', () => {
+      const browser = 'dist/@nejs/foundation.bundle.2.3.2.js'
+      const { semVer, range } = SemVer.from(browser)
+
+      expect(semVer.get()).toBe('2.3.2')
+      expect(range).toEqual([29, 34])
+    })
+
+    test('replaceIn rewrites each version through the mapper', () => {
+      const browser = 'dist/@nejs/foundation.bundle.2.3.2.js'
+
+      expect(SemVer.replaceIn(browser, (v) => v.increment(SemVer.MINOR)))
+        .toBe('dist/@nejs/foundation.bundle.2.4.0.js')
+      expect(SemVer.replaceIn(
+        'foundation.bundle.2.3.2-beta.js',
+        (v) => v.increment(SemVer.PATCH),
+      )).toBe('foundation.bundle.2.3.2.js')
+
+      expect(SemVer.replaceIn('a 1.0.0 b 2.0.0 c', (v, { range }) => (
+        range[0] > 5 ? `[${v.get()}]` : undefined
+      ))).toBe('a 1.0.0 b [2.0.0] c')
+    })
+  })
+
+  describe('diff', () => {
+    test.each([
+      ['1.2.3', '2.0.0', 'major'],
+      ['2.0.0', '1.2.3', 'major'],
+      ['1.2.3', '1.3.0', 'minor'],
+      ['1.2.3', '1.2.4', 'patch'],
+      ['1.2.3', '2.0.0-rc.1', 'premajor'],
+      ['1.2.3', '1.3.0-beta.0', 'preminor'],
+      ['1.2.3', '1.2.4-0', 'prepatch'],
+      ['1.3.0-beta.0', '1.3.0-beta.1', 'prerelease'],
+      ['1.0.0-rc.1', '1.0.0', 'major'],
+      ['1.1.0-rc.1', '1.1.0', 'minor'],
+      ['1.1.1-rc.1', '1.1.1', 'patch'],
+      ['1.1.1-rc.1', '1.2.0', 'minor'],
+      ['1.2.3', '1.2.3+build.9', null],
+    ])('%s -> %s is %s', (left, right, expected) => {
+      expect(SemVer.diff(left, right)).toBe(expected)
+    })
+  })
+
+  describe('isBreakingChangeFrom', () => {
+    test.each([
+      ['2.0.0', '1.9.4', true],
+      ['1.9.4', '1.2.0', false],
+      ['1.2.0', '1.9.4', false],
+      ['1.0.0', '0.9.0', true],
+      ['0.3.0', '0.2.7', true],
+      ['0.2.8', '0.2.7', false],
+      ['0.0.4', '0.0.3', true],
+      ['2.0.0', '2.0.0-rc.1', false],
+      ['2.0.0-rc.1', '1.9.0', true],
+    ])('%s from %s is %s', (version, from, expected) => {
+      expect(new SemVer(version).isBreakingChangeFrom(from)).toBe(expected)
+    })
+  })
+
+  describe('serialization', () => {
+    test('toJSON emits the version string', () => {
+      const payload = { engine: new SemVer('2.3.0-rc.1+build.4') }
+
+      expect(JSON.stringify(payload)).toBe('{"engine":"2.3.0-rc.1+build.4"}')
+    })
+
+    test('fromJSON accepts strings and field objects', () => {
+      const version = new SemVer('1.2.3-beta.1')
+
+      expect(SemVer.fromJSON('1.2.3').get()).toBe('1.2.3')
+      expect(SemVer.fromJSON(structuredClone(version)).isEqual(version))
+        .toBe(true)
+      expect(FrozenSemVer.fromJSON('1.2.3')).toBeInstanceOf(FrozenSemVer)
+      expect(() => SemVer.fromJSON(42)).toThrow(TypeError)
+    })
+
+    test('reviver restores versions under the named keys', () => {
+      const text = '{"version":"1.4.0","title":"2.0.0","deps":["1.0.0"]}'
+      const named = JSON.parse(text, SemVer.reviver('version'))
+      const every = JSON.parse(text, SemVer.reviver())
+
+      expect(named.version).toBeInstanceOf(SemVer)
+      expect(named.title).toBe('2.0.0')
+      expect(every.title).toBeInstanceOf(SemVer)
+      expect(every.deps[0]).toBeInstanceOf(SemVer)
+    })
+
+    test('the default primitive hint yields the version string', () => {
+      const version = new SemVer('1.2.3')
+
+      expect('v' + version).toBe('v1.2.3')
+      expect(`${version}`).toBe('1.2.3')
+      expect(+version).toBe(1.2)
+    })
+  })
+
+  describe('immutability', () => {
+    test('with returns a modified copy', () => {
+      const release = new SemVer('1.4.0')
+      const candidate = release.with({ minor: 5, prerelease: 'rc.1' })
+
+      expect(candidate.get()).toBe('1.5.0-rc.1')
+      expect(release.get()).toBe('1.4.0')
+      expect(candidate.with({ prerelease: '' }).get()).toBe('1.5.0')
+      expect(() => release.with({ patch: -1 })).toThrow(SemVerParseError)
+    })
+
+    test('FrozenSemVer derives new instances instead of mutating', () => {
+      const host = new FrozenSemVer('2.3.0')
+      const next = host.increment(SemVer.MINOR).increment(SemVer.PATCH)
+
+      expect(Object.isFrozen(host)).toBe(true)
+      expect(host.get()).toBe('2.3.0')
+      expect(next).toBeInstanceOf(FrozenSemVer)
+      expect(next.get()).toBe('2.4.1')
+      expect(host.decrement(SemVer.MINOR).get()).toBe('2.2.0')
+      expect(host.set('3.0.0').get()).toBe('3.0.0')
+      expect(host.with({ major: 9 })).toBeInstanceOf(FrozenSemVer)
+      expect(() => { host.major = 5 }).toThrow(TypeError)
+    })
+
+    test('toFrozen, toMutable and clone', () => {
+      const version = new SemVer('1.0.0')
+      const frozen = version.toFrozen()
+      const copy = version.clone()
+
+      copy.increment(SemVer.MAJOR)
+
+      expect(frozen).toBeInstanceOf(FrozenSemVer)
+      expect(frozen.toMutable()).not.toBeInstanceOf(FrozenSemVer)
+      expect(version.get()).toBe('1.0.0')
+      expect(copy.get()).toBe('2.0.0')
+    })
+  })
+
+  describe('precedence', () => {
+    const ordered = [
+      '1.0.0-alpha',
+      '1.0.0-alpha.1',
+      '1.0.0-alpha.beta',
+      '1.0.0-beta',
+      '1.0.0-beta.2',
+      '1.0.0-beta.11',
+      '1.0.0-rc.1',
+      '1.0.0',
+      '1.0.1',
+      '1.2.0',
+      '1.10.0',
+      '2.0.0',
+    ]
+
+    test('compareTo follows the semver 2.0.0 ordering', () => {
+      for (let i = 0; i < ordered.length - 1; i++) {
+        const lower = new SemVer(ordered[i])
+
+        expect(lower.compareTo(ordered[i + 1])).toBe(-1)
+        expect(new SemVer(ordered[i + 1]).compareTo(lower)).toBe(1)
+        expect(lower.compareTo(ordered[i])).toBe(0)
+      }
+    })
+
+    test('numeric identifiers sort below alphanumeric ones', () => {
+      expect(new SemVer('1.0.0-1').lt('1.0.0-a')).toBe(true)
+      expect(new SemVer('1.0.0-alpha.9').lt('1.0.0-alpha.10')).toBe(true)
+    })
+
+    test('build metadata is ignored', () => {
+      expect(new SemVer('1.0.0+build.1').compareTo('1.0.0+build.2')).toBe(0)
+    })
+
+    test('relational helpers', () => {
+      const version = new SemVer('1.2.3')
+
+      expect(version.lt('1.2.4')).toBe(true)
+      expect(version.lte('1.2.3')).toBe(true)
+      expect(version.gt('1.2.3-rc.1')).toBe(true)
+      expect(version.gte('1.2.3+meta')).toBe(true)
+      expect(version.gt('1.3.0')).toBe(false)
+    })
+
+    test('precedence works as an Array.prototype.sort comparator', () => {
+      const shuffled = [...ordered].reverse()
+
+      expect(shuffled.sort(SemVer.precedence)).toEqual(ordered)
+    })
+  })
+
+  describe('sort, max and min', () => {
+    const instance = new SemVer('1.5.0')
+    const mixed = ['2.0.0', instance, '1.0.0-rc.1', '1.0.0']
+
+    test('sort returns the original elements in order', () => {
+      expect(SemVer.sort(mixed)).toEqual(
+        ['1.0.0-rc.1', '1.0.0', instance, '2.0.0']
+      )
+      expect(SemVer.sort(mixed, true)[0]).toBe('2.0.0')
+      expect(mixed[0]).toBe('2.0.0')
+    })
+
+    test('max and min', () => {
+      expect(SemVer.max(mixed)).toBe('2.0.0')
+      expect(SemVer.min(mixed)).toBe('1.0.0-rc.1')
+      expect(SemVer.max([])).toBeUndefined()
+    })
+  })
+
+  test('compare still answers semver equality', () => {
+    expect(SemVer.compare('1.0.0-alpha', '1.0.0-alpha+build')).toBe(true)
+    expect(SemVer.compare('1.0.0', '1.0.1')).toBe(false)
+  })
+})
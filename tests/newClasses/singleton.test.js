@@ -0,0 +1,140 @@
+const {
+  Singleton,
+  SingletonScope,
+} = await import('../../src/core/singleton.js')
+const { afterEach, describe, expect, test } = await import('vitest')
+
+describe('Singleton', () => {
+  class Clock extends Singleton {
+    now() { return 'real' }
+  }
+
+  class Store extends Singleton {
+    disposed = 0;
+
+    [Symbol.dispose]() { this.disposed++ }
+  }
+
+  afterEach(() => Singleton.resetAll())
+
+  describe('registry', () => {
+    test('shared instances are created once per class', () => {
+      expect(Clock.shared).toBe(Clock.shared)
+      expect(Clock.shared).not.toBe(Store.shared)
+      expect(Singleton.__instanceMap.get(Clock)).toBe(Clock.shared)
+    })
+
+    test('reset and resetAll forget instances', () => {
+      const clock = Clock.shared
+      const store = Store.shared
+
+      expect(Singleton.reset(Clock)).toBe(true)
+      expect(Clock.shared).not.toBe(clock)
+      expect(Store.reset()).toBe(true)
+      expect(Store.shared).not.toBe(store)
+      expect(store.disposed).toBe(0)
+
+      Singleton.resetAll()
+      expect(Singleton.__instanceMap.size).toBe(0)
+      expect(Singleton.reset(Clock)).toBe(false)
+    })
+
+    test('override replaces an instance until restored', () => {
+      const real = Clock.shared
+      const fake = { now: () => 'fake' }
+      const restore = Singleton.override(Clock, fake)
+
+      expect(Clock.shared.now()).toBe('fake')
+      restore()
+      expect(Clock.shared).toBe(real)
+
+      const again = Singleton.override(Store, fake)
+
+      again()
+      expect(Store.shared).toBeInstanceOf(Store)
+    })
+  })
+
+  describe('scopes', () => {
+    test('named scopes hold their own instances', () => {
+      const tenantA = Singleton.scope('tenant-a')
+      const tenantB = Singleton.scope('tenant-b')
+
+      expect(tenantA).toBeInstanceOf(SingletonScope)
+      expect(Singleton.scope('tenant-a')).toBe(tenantA)
+      expect(tenantA.shared(Clock)).toBe(tenantA.shared(Clock))
+      expect(tenantA.shared(Clock)).not.toBe(tenantB.shared(Clock))
+      expect(tenantA.shared(Clock)).not.toBe(Clock.shared)
+      expect(tenantA.has(Store)).toBe(false)
+      expect(tenantA.size).toBe(1)
+
+      const clock = tenantA.shared(Clock)
+      const store = tenantB.shared(Store)
+
+      Singleton.resetAll()
+      expect(tenantA.size).toBe(0)
+      expect(Singleton.scope('tenant-a')).not.toBe(tenantA)
+      expect(tenantA.disposed).toBe(true)
+      expect(() => tenantA.shared(Clock)).toThrow(ReferenceError)
+      expect(tenantB.has(Store)).toBe(false)
+      expect(store.disposed).toBe(0)
+      expect(Singleton.scope('tenant-a').shared(Clock)).not.toBe(clock)
+      expect(() => tenantA.shared('Clock')).toThrow(TypeError)
+    })
+
+    test('disposing a scope tears down the instances it created', () => {
+      const scope = Singleton.scope('disposable')
+      const store = scope.shared(Store)
+      const mock = new Store()
+
+      scope.override(Clock, mock)
+      scope[Symbol.dispose]()
+
+      expect(store.disposed).toBe(1)
+      expect(mock.disposed).toBe(0)
+      expect(scope.disposed).toBe(true)
+      expect(scope.size).toBe(0)
+      expect(() => scope.shared(Store)).toThrow(ReferenceError)
+      expect(Singleton.scope('disposable')).not.toBe(scope)
+    })
+
+    test('disposal errors are collected', () => {
+      class Failing {
+        [Symbol.dispose]() { throw new Error('failed') }
+      }
+
+      class AlsoFailing extends Failing {}
+
+      const single = Singleton.scope('single')
+
+      single.shared(Failing)
+      single.shared(Store)
+      expect(() => single[Symbol.dispose]()).toThrow('failed')
+
+      const many = Singleton.scope('many')
+
+      many.shared(Failing)
+      many.shared(AlsoFailing)
+      expect(() => many[Symbol.dispose]()).toThrow(AggregateError)
+    })
+
+    test('async disposal awaits each instance in turn', async () => {
+      const order = []
+
+      class Connection {
+        async [Symbol.asyncDispose]() {
+          await Promise.resolve()
+          order.push('connection')
+        }
+      }
+
+      const scope = Singleton.scope('async')
+
+      scope.shared(Connection)
+      scope.shared(Store)[Symbol.dispose] = () => order.push('store')
+
+      await scope[Symbol.asyncDispose]()
+      expect(order).toEqual(['store', 'connection'])
+    })
+  })
+})